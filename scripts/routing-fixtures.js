@@ -0,0 +1,265 @@
+/**
+ * routing-fixtures.js — Write the stand-in routing responses in
+ * public/fixtures/routing/ that VITE_ROUTING_BACKEND=fixture replays.
+ *
+ * No router is involved: routes run along a made-up street grid between
+ * gazetteer places, with invented elevation, street names and ORS extras.
+ * That is enough to plan, compare, loop, navigate and trace safe reach
+ * without keys or a network, not to judge real routes. The bodies come from
+ * requests.js, so each file is named after exactly the request the app
+ * sends. Recording with VITE_ROUTING_RECORD=1 replaces them with real answers.
+ *
+ *   npm run fixtures:routing
+ */
+
+import { mkdirSync, readFileSync, writeFileSync } from 'node:fs'
+import { haversineMeters } from '../src/utils/scoring.js'
+import { boundaryByBearing } from '../src/utils/reach.js'
+import { fixtureName } from '../src/utils/routing/fixture.js'
+import { STEP, WAYCAT, SUITABILITY_BY_WAYTYPE, toExtra, routeFeature, featureCollection } from '../src/utils/routing/shape.js'
+import {
+  directionsBody, isochroneBody, loopRequest, POOL_REQUESTS, LOOP_SEEDS, REACH_MINUTES, REACH_RAYS, REACH_RAY_REQUEST,
+} from '../src/utils/routing/requests.js'
+
+const OUT_DIR = new URL('../public/fixtures/routing/', import.meta.url)
+const gazetteer = JSON.parse(readFileSync(new URL('../public/fixtures/gazetteer.json', import.meta.url), 'utf8'))
+const place = (name) => {
+  const e = gazetteer.find(g => g.name === name)
+  if (!e) throw new Error(`${name} is not in the gazetteer`)
+  return { lng: e.lng, lat: e.lat }
+}
+
+// What gets written: plans picked from the gazetteer, as the app asks for them
+const AB_PLANS = [
+  ['Square One Shopping Centre', 'Port Credit GO Station'],
+  ['Streetsville GO Station', 'University of Toronto Mississauga'],
+]
+const LOOP_PLANS = [{ from: 'Square One Shopping Centre', km: 25 }]   // the planner's default loop
+const REACH_PLANS = ['Square One Shopping Centre']
+
+// --- deterministic randomness, so re-running gives the same files
+const hash = (s) => {
+  let h = 0x811c9dc5
+  for (let i = 0; i < s.length; i++) { h ^= s.charCodeAt(i); h = Math.imul(h, 0x01000193) }
+  return h >>> 0
+}
+const rng = (seed) => {
+  let a = hash(String(seed))
+  return () => {
+    a = (a + 0x6d2b79f5) | 0
+    let t = Math.imul(a ^ (a >>> 15), 1 | a)
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+const pickWeighted = (rand, weights) => {
+  const entries = Object.entries(weights)
+  let r = rand() * entries.reduce((s, [, w]) => s + w, 0)
+  for (const [k, w] of entries) { if ((r -= w) <= 0) return Number(k) }
+  return Number(entries[entries.length - 1][0])
+}
+
+// --- terrain: rising from the lake, with a river valley and some roll
+const elevationAt = (lng, lat) => {
+  const riverLng = -79.585 - ((lat - 43.55) / 0.04) * 0.125
+  const valley = -22 * Math.exp(-(((lng - riverLng) / 0.006) ** 2))
+  return +(76 + (lat - 43.52) * 1800 + 2 * Math.sin(lng * 900) + 2 * Math.cos(lat * 1100) + valley).toFixed(1)
+}
+
+// --- way types per route flavor (ORS waytype codes)
+const FLAVORS = {
+  shortest: { 2: 0.45, 3: 0.45, 6: 0.1 },
+  road: { 2: 0.3, 3: 0.5, 6: 0.2 },
+  safe: { 3: 0.25, 4: 0.3, 6: 0.45 },
+}
+const EW_NAMES = ['Burnhamthorpe Rd', 'Dundas St', 'Eglinton Ave', 'Britannia Rd', 'Rathburn Rd', 'Bloor St', 'Lakeshore Rd']
+const NS_NAMES = ['Hurontario St', 'Mavis Rd', 'Cawthra Rd', 'Mississauga Rd', 'Erin Mills Pkwy', 'Creditview Rd', 'Confederation Pkwy']
+const TRAIL_NAMES = ['Credit River Trail', 'Waterfront Trail', 'Cooksville Creek Trail', 'Culham Trail']
+const SPEED_KPH = { 2: 17, 3: 17, 4: 15, 6: 18 }
+
+const way = (rand, waytype) => {
+  const paved = waytype !== 4 || rand() < 0.6
+  const avgspeed = waytype === 2 ? 60 : waytype === 3 ? (rand() < 0.5 ? 40 : 50) : waytype === 6 ? (rand() < 0.5 ? 20 : 50) : 15
+  return {
+    waytype,
+    surface: waytype === 4 && !paved ? (rand() < 0.5 ? 2 : 9) : rand() < 0.1 ? 4 : 1,
+    suitability: Math.max(1, Math.min(10, SUITABILITY_BY_WAYTYPE[waytype] + Math.round(rand() * 2 - 1))),
+    avgspeed,
+    waycategory: paved ? WAYCAT.PAVED : WAYCAT.UNPAVED,
+  }
+}
+
+const steepnessOf = (grade) => {
+  const g = Math.abs(grade) * 100
+  const cls = g < 1 ? 0 : g < 4 ? 1 : g < 7 ? 2 : g < 10 ? 3 : g < 16 ? 4 : 5
+  return grade < 0 ? -cls : cls
+}
+
+// corners of a grid path between two points; `variant` picks the shape
+const gridCorners = (a, b, variant) => {
+  const mid = (t) => a.lng + (b.lng - a.lng) * t
+  const out = (d) => ({ lng: Math.max(a.lng, b.lng) + d, lat: a.lat })
+  switch (variant % 6) {
+    case 0: return [a, { lng: b.lng, lat: a.lat }, b]
+    case 1: return [a, { lng: a.lng, lat: b.lat }, b]
+    case 2: return [a, { lng: mid(0.5), lat: a.lat }, { lng: mid(0.5), lat: b.lat }, b]
+    case 3: return [a, { lng: mid(0.25), lat: a.lat }, { lng: mid(0.25), lat: b.lat }, b]
+    case 4: return [a, { lng: a.lng, lat: (a.lat + b.lat) / 2 }, { lng: b.lng, lat: (a.lat + b.lat) / 2 }, b]
+    default: return [a, out(0.012), { lng: out(0.012).lng, lat: b.lat }, b]
+  }
+}
+
+const STEP_M = 80   // spacing of generated coordinates
+
+/**
+ * ORS-shaped route through `stops`, each leg drawn along `corners(a, b)`.
+ * Every straight run is a street, split into stretches with their own way
+ * attributes; turns between runs become steps.
+ */
+const buildRoute = (stops, corners, { flavor, seed, accessM = 0 }) => {
+  const rand = rng(seed)
+  const coords = [], wayPoints = [0], segments = []
+  const runs = { waytype: [], surface: [], suitability: [], avgspeed: [], waycategory: [], steepness: [] }
+  let along = 0
+
+  for (let leg = 0; leg < stops.length - 1; leg++) {
+    const pts = corners(stops[leg], stops[leg + 1]).filter((p, i, arr) => i === 0 || p.lng !== arr[i - 1].lng || p.lat !== arr[i - 1].lat)
+    const steps = []
+    let legDist = 0, legTime = 0, prevHeading = null
+    for (let r = 0; r < pts.length - 1; r++) {
+      const p = pts[r], q = pts[r + 1]
+      const len = haversineMeters(p, q)
+      const n = Math.max(1, Math.round(len / STEP_M))
+      const heading = q.lat !== p.lat && Math.abs(q.lat - p.lat) > Math.abs(q.lng - p.lng) ? (q.lat > p.lat ? 'north' : 'south') : (q.lng > p.lng ? 'east' : 'west')
+      const ns = heading === 'north' || heading === 'south'
+      const street = (ns ? NS_NAMES : EW_NAMES)[Math.floor(rand() * 7)]
+      const from = coords.length ? coords.length - 1 : 0
+      if (!coords.length) coords.push([p.lng, p.lat, elevationAt(p.lng, p.lat)])
+      // stretches of 500–1500 m, each with its own way
+      let k = 0
+      while (k < n) {
+        const first = along < accessM
+        const size = first ? Math.max(1, Math.round((accessM - along) / STEP_M)) : Math.max(1, Math.round((500 + rand() * 1000) / STEP_M))
+        const end = Math.min(n, k + size)
+        const w = way(rand, first ? 3 : pickWeighted(rand, FLAVORS[flavor]))
+        const a = coords.length - 1
+        for (let j = k + 1; j <= end; j++) {
+          const t = j / n
+          const lng = +(p.lng + (q.lng - p.lng) * t).toFixed(6), lat = +(p.lat + (q.lat - p.lat) * t).toFixed(6)
+          coords.push([lng, lat, elevationAt(lng, lat)])
+        }
+        const b = coords.length - 1
+        const d = (len * (end - k)) / n
+        const grade = d > 0 ? (coords[b][2] - coords[a][2]) / d : 0
+        for (const key of ['waytype', 'surface', 'suitability', 'avgspeed', 'waycategory']) runs[key].push([a, b, w[key]])
+        runs.steepness.push([a, b, steepnessOf(grade)])
+        legTime += d / (SPEED_KPH[w.waytype] / 3.6)
+        along += d
+        k = end
+      }
+      const turn = prevHeading == null ? STEP.DEPART : turnType(prevHeading, heading)
+      const name = runs.waytype[runs.waytype.length - 1][2] === 6 && rand() < 0.5 ? TRAIL_NAMES[Math.floor(rand() * 4)] : street
+      steps.push({
+        distance: +len.toFixed(1), duration: 0, type: turn, name,
+        instruction: turn === STEP.DEPART ? `Head ${heading} on ${name}` : `Turn ${turn === STEP.LEFT ? 'left' : 'right'} onto ${name}`,
+        way_points: [from, coords.length - 1],
+      })
+      legDist += len
+      prevHeading = heading
+    }
+    const last = leg === stops.length - 2
+    steps.push({ distance: 0, duration: 0, type: STEP.GOAL, name: '-', instruction: last ? 'Arrive at your destination' : 'Arrive at your via point', way_points: [coords.length - 1, coords.length - 1] })
+    const perM = legDist > 0 ? legTime / legDist : 0
+    for (const st of steps) st.duration = +(st.distance * perM).toFixed(1)
+    segments.push({ distance: +legDist.toFixed(1), duration: +legTime.toFixed(1), steps })
+    wayPoints.push(coords.length - 1)
+  }
+
+  const extras = Object.fromEntries(Object.entries(runs).map(([k, v]) => [k, toExtra(v, coords)]))
+  return routeFeature({ coords, segments, extras, wayPoints })
+}
+
+const HEADINGS = ['north', 'east', 'south', 'west']
+const turnType = (from, to) => ((HEADINGS.indexOf(to) - HEADINGS.indexOf(from) + 4) % 4 === 1 ? STEP.RIGHT : STEP.LEFT)
+
+// --- responses per request
+const directions = (points, opts) => {
+  const body = directionsBody(points, opts)
+  const alts = body.options.alternative_routes?.target_count || 1
+  const flavor = opts.preference === 'shortest' ? 'shortest' : opts.profile === 'cycling-regular' ? 'safe' : 'road'
+  const count = Math.min(alts, flavor === 'shortest' ? 3 : 4)
+  const first = { shortest: 0, road: 1, safe: 2 }[flavor]
+  const features = Array.from({ length: count }, (_, k) =>
+    buildRoute(points, (a, b) => gridCorners(a, b, first + k), { flavor, seed: `${JSON.stringify(body)}#${k}` }))
+  return { body, profile: opts.profile, json: featureCollection(features) }
+}
+
+const loop = (start, opts) => {
+  const body = directionsBody([start], opts)
+  const { length, points: n, seed } = opts.roundTrip
+  const theta = (seed * 47 * Math.PI) / 180
+  const lngPerM = 1 / (111320 * Math.cos((start.lat * Math.PI) / 180)), latPerM = 1 / 110540
+  const ring = (radius) => {
+    const c = { lng: start.lng + Math.sin(theta) * radius * lngPerM, lat: start.lat + Math.cos(theta) * radius * latPerM }
+    const corners = Array.from({ length: n }, (_, k) => {
+      const a = theta + Math.PI + (2 * Math.PI * k) / n
+      return { lng: +(c.lng + Math.sin(a) * radius * lngPerM).toFixed(6), lat: +(c.lat + Math.cos(a) * radius * latPerM).toFixed(6) }
+    })
+    corners[0] = start
+    return [...corners, start]
+  }
+  // grid legs run about 1.3× the circle: size the ring, then correct once
+  let radius = length / (2 * Math.PI * 1.3)
+  const draw = (r) => buildRoute(ring(r), (a, b) => gridCorners(a, b, seed % 2), { flavor: 'safe', seed: JSON.stringify(body) })
+  radius *= length / draw(radius).properties.summary.distance
+  return { body, profile: opts.profile, json: featureCollection([draw(radius)]) }
+}
+
+const isochrones = (o) => {
+  const body = isochroneBody(o)
+  const rand = rng(JSON.stringify(body))
+  const phase = rand() * Math.PI * 2
+  const lngPerM = 1 / (111320 * Math.cos((o.lat * Math.PI) / 180)), latPerM = 1 / 110540
+  const features = body.range.map(sec => {
+    const ring = Array.from({ length: 48 }, (_, k) => {
+      const b = (2 * Math.PI * k) / 48
+      const m = sec * 4.2 * (0.8 + 0.2 * Math.sin(3 * b + phase))
+      return [+(o.lng + Math.sin(b) * m * lngPerM).toFixed(6), +(o.lat + Math.cos(b) * m * latPerM).toFixed(6)]
+    })
+    return { type: 'Feature', properties: { group_index: 0, value: sec, center: [o.lng, o.lat] }, geometry: { type: 'Polygon', coordinates: [[...ring, ring[0]]] } }
+  })
+  return { body, profile: 'cycling-regular', json: { type: 'FeatureCollection', features } }
+}
+
+// each ray starts on a side street, then follows a path or lane for a while
+const reachRay = (o, t, k) => {
+  const body = directionsBody([o, t], REACH_RAY_REQUEST)
+  const flavor = k % 3 === 2 ? 'road' : 'safe'
+  const feature = buildRoute([o, t], (a, b) => gridCorners(a, b, k % 2), { flavor, seed: JSON.stringify(body), accessM: 200 })
+  return { body, profile: 'cycling-regular', json: featureCollection([feature]) }
+}
+
+// --- write everything
+const files = []
+const write = (service, { body, profile, json }) => {
+  const name = fixtureName(service, profile, body)
+  writeFileSync(new URL(`${name}.json`, OUT_DIR), JSON.stringify(json))
+  files.push(name)
+}
+
+mkdirSync(OUT_DIR, { recursive: true })
+for (const [from, to] of AB_PLANS) {
+  const points = [place(from), place(to)]
+  for (const opts of Object.values(POOL_REQUESTS)) write('directions', directions(points, opts))
+}
+for (const { from, km } of LOOP_PLANS) {
+  LOOP_SEEDS.forEach((seed, i) => write('directions', loop(place(from), loopRequest(km * 1000, seed, i))))
+}
+for (const from of REACH_PLANS) {
+  const o = place(from)
+  const iso = isochrones(o)
+  write('isochrones', iso)
+  const outer = iso.json.features[iso.json.features.length - 1]
+  boundaryByBearing(outer.geometry.coordinates[0], o, REACH_RAYS).forEach((t, k) => write('directions', reachRay(o, t, k)))
+}
+console.log(`Wrote ${files.length} fixtures (${REACH_MINUTES.join('/')} min reach) to ${OUT_DIR.pathname}`)
@@ -0,0 +1,58 @@
+import React, { useState } from 'react'
+
+const fieldStyle = { padding:'6px 8px', borderRadius:8, border:'1px solid #2a3246', background:'#0d121b', color:'#eef3f8' }
+
+// Avoid areas: draw polygons on the map, name them, switch them on and off
+export default function AvoidZones({ zones, onChange, draft, onDraw, onUndo, onFinish, onCancel, onFocus }){
+  const [name, setName] = useState('')
+  const [open, setOpen] = useState(false)
+  const drawing = !!draft
+  const corners = draft?.length || 0
+
+  const finish = () => {
+    onFinish(name.trim() || `Avoid area ${zones.length + 1}`)
+    setName('')
+  }
+  const patch = (id, p) => onChange(zones.map(z => (z.id === id ? { ...z, ...p } : z)))
+
+  return (
+    <details style={{ marginTop:12, fontSize:13, color:'#cfe1ff' }} open={open || drawing}
+      onToggle={e => setOpen(e.currentTarget.open)}>
+      <summary style={{ cursor:'pointer' }}>Avoid areas{zones.length ? ` (${zones.filter(z => z.enabled).length} on)` : ''}</summary>
+      <p style={{ margin:'6px 0', color:'#9fb1c7' }}>
+        Draw around an intersection or a closed trail and every route will keep out of it.
+      </p>
+
+      {drawing ? (
+        <div role="group" aria-label="New avoid area" style={{ display:'grid', gap:6, padding:8, borderRadius:8, border:'1px solid #2a3b5f', marginBottom:8 }}>
+          <div style={{ color:'#9fb1c7' }} aria-live="polite">
+            Click the map to add corners — {corners} so far{corners < 3 ? ' (at least 3)' : ''}. <kbd>Esc</kbd> cancels.
+          </div>
+          <input type="text" value={name} onChange={e => setName(e.target.value)} placeholder={`Avoid area ${zones.length + 1}`}
+            maxLength={60} style={fieldStyle} aria-label="Area name" onKeyDown={e => { if (e.key === 'Enter' && corners >= 3) finish() }} />
+          <div style={{ display:'flex', gap:8 }}>
+            <button type="button" className="primary" onClick={finish} disabled={corners < 3}>Save area</button>
+            <button type="button" className="secondary" onClick={onUndo} disabled={!corners}>Undo corner</button>
+            <button type="button" className="secondary" onClick={onCancel}>Cancel</button>
+          </div>
+        </div>
+      ) : (
+        <button type="button" className="secondary" onClick={onDraw} style={{ marginBottom:8 }}>Draw an avoid area</button>
+      )}
+
+      {zones.length > 0 && (
+        <ul style={{ listStyle:'none', margin:0, padding:0, maxHeight:200, overflowY:'auto' }}>
+          {zones.map(z => (
+            <li key={z.id} style={{ display:'flex', gap:8, alignItems:'center', padding:'4px 0', borderTop:'1px solid #1f2a40' }}>
+              <input type="checkbox" checked={z.enabled} onChange={e => patch(z.id, { enabled: e.target.checked })} aria-label={`Avoid ${z.name}`} />
+              <input type="text" value={z.name} maxLength={60} onChange={e => patch(z.id, { name: e.target.value })}
+                style={{ ...fieldStyle, flex:1, minWidth:0, padding:'2px 6px' }} aria-label="Area name" />
+              <button type="button" className="secondary" onClick={() => onFocus(z)} title="Show on map">Show</button>
+              <button type="button" className="secondary" onClick={() => onChange(zones.filter(x => x.id !== z.id))} aria-label={`Delete ${z.name}`}>✕</button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </details>
+  )
+}
@@ -4,26 +4,77 @@ import QRCode from 'qrcode'
 import ShareButtons from './ShareButtons.jsx'
 import GeoAutocomplete from './GeoAutocomplete.jsx'
 import RouteInsights from './RouteInsights.jsx'
+import CacheSettings from './CacheSettings.jsx'
+import HazardReports from './HazardReports.jsx'
+import AvoidZones from './AvoidZones.jsx'
+import PlanHistory from './PlanHistory.jsx'
+import RouteComparison from './RouteComparison.jsx'
+import SavedPlaces from './SavedPlaces.jsx'
 import {
   haversineMeters, toRiskFCRaw, routeSig,
   riskScore as riskScoreRaw, scenicScore as scenicScoreRaw,
   getInsights, distanceOf, isSameRoute, routeOverlap,
   byDistinctness, cloneAndLabel, wayLabel, INFRA_LABEL,
+  RIDER_PROFILES, riderProfile, withHazards, CONDITIONS, withConditions, cruiseSpeedKph, kmByClass,
 } from '../utils/scoring.js'
+import { toGPX, toTCX, downloadText, parseTrack, sampleTrack } from '../utils/trackFiles.js'
+import { decodePlan, writePlanToUrl, decodeSharedRoute, sharedRouteLink, planTag, loopNumber } from '../utils/urlState.js'
+import { boundaryByBearing, safeTimeline, pointAtTime, reachPolygon } from '../utils/reach.js'
+import { cached } from '../utils/cache.js'
+import { snapToRoute, currentStepIndex, metersToStep, OFF_ROUTE_M, OFF_ROUTE_FIXES, ARRIVE_M } from '../utils/navigation.js'
+import {
+  speechSupported, loadVoiceSettings, saveVoiceSettings, voicesFor, voiceLanguages, speak, guidanceCues,
+} from '../utils/speech.js'
+import { loadHazards, saveHazards, activeHazards, hazardsToGeoJSON, hazardLabel, HAZARD_CATEGORIES, HAZARD_SEVERITY } from '../utils/hazards.js'
+import { loadAvoidZones, saveAvoidZones, makeZone, avoidGeometry, zonesToGeoJSON } from '../utils/avoidZones.js'
+import { createRoutingBackend } from '../utils/routing/index.js'
+import {
+  directionsBody, isochroneBody, loopRequest, POOL_REQUESTS, LOOP_SEEDS, REACH_MINUTES, REACH_RAYS, REACH_RAY_REQUEST, REACH_RAY_CONCURRENCY,
+} from '../utils/routing/requests.js'
+import { createGeocoder, geocodeFirst } from '../utils/geocoder.js'
+import { createWeatherProvider, conditionFromWeather, compassPoint } from '../utils/weather.js'
+import { loadPowerSettings, savePowerSettings, POSITIONS, EFFORTS } from '../utils/power.js'
+import { loadPlaces, savePlaces, loadRecentPlaces, saveRecentPlaces, pushRecent } from '../utils/places.js'
+import { loadHistory, saveHistory, recordPlan, shortPlaceLabel } from '../utils/history.js'
+import { loadCalibrationRides, saveCalibrationRides, analyzeRide, surfaceAlong, mergeRides, fitCalibration } from '../utils/calibration.js'
+import { loadItem, saveItem } from '../utils/storage.js'
 
 const MAPTILER_KEY = import.meta.env.VITE_MAPTILER_KEY
-const ORS_KEY      = import.meta.env.VITE_ORS_KEY
-const ORS_BASE     = import.meta.env.DEV ? '/ors' : 'https://api.openrouteservice.org'
+
+const routingBackend = createRoutingBackend()   // ORS unless VITE_ROUTING_BACKEND picks another engine
+const weather = createWeatherProvider()          // Open-Meteo unless VITE_WEATHER_PROVIDER=local
+const geocoder = createGeocoder()                // place search and point labels; MapTiler unless VITE_GEOCODER picks another
+const REVERSE_DEBOUNCE_MS = 350
+// labels for a restored plan: all at once, or a second apart for a provider
+// without searchAsYouType (Nominatim allows one request per second)
+const RESTORE_LABEL_GAP_MS = geocoder.searchAsYouType ? 0 : 1100
+
+const coordText = (c) => `${c.lat.toFixed(5)},${c.lng.toFixed(5)}`
 
 const DEFAULT_CENTER = [-79.6440, 43.5890]
 const DEFAULT_ZOOM   = 12
-
-const http = async (url, opts = {}, timeout = 20000) => {
-  const ctl = new AbortController()
-  const id = setTimeout(()=>ctl.abort(), timeout)
-  try { return await fetch(url, { ...opts, signal: ctl.signal }) }
-  finally { clearTimeout(id) }
-}
+const VIA_COLOR      = '#a855f7'
+const RIDER_KEY      = 'bikesafe:rider-profile'
+const REACH_SOURCE   = 'reach'
+const REACH_LAYERS   = [
+  { id:'reach-all-fill',  kind:'all',  type:'fill', paint:{ 'fill-color':'#60a5fa', 'fill-opacity':0.1 } },
+  { id:'reach-all-line',  kind:'all',  type:'line', paint:{ 'line-color':'#3b82f6', 'line-width':1.5, 'line-opacity':0.8 } },
+  { id:'reach-safe-fill', kind:'safe', type:'fill', paint:{ 'fill-color':'#10b981', 'fill-opacity':0.18 } },
+  { id:'reach-safe-line', kind:'safe', type:'line', paint:{ 'line-color':'#059669', 'line-width':2, 'line-dasharray':[2,1] } },
+]
+const HAZARD_SOURCE  = 'hazards'
+const HAZARD_LAYER   = 'hazard-points'
+const AVOID_SOURCE   = 'avoid-zones'
+const AVOID_LAYERS   = [
+  { id:'avoid-fill',  type:'fill',   filter:['==', ['get','kind'], 'zone'],
+    paint:{ 'fill-color':'#ef4444', 'fill-opacity':['case', ['get','enabled'], 0.18, 0.05] } },
+  { id:'avoid-line',  type:'line',   filter:['in', ['get','kind'], ['literal', ['zone', 'draft']]],
+    paint:{ 'line-color':'#dc2626', 'line-width':2, 'line-dasharray':[2,1], 'line-opacity':['case', ['==', ['get','enabled'], false], 0.35, 1] } },
+  { id:'avoid-corner', type:'circle', filter:['==', ['get','kind'], 'corner'],
+    paint:{ 'circle-radius':4, 'circle-color':'#fff', 'circle-stroke-color':'#dc2626', 'circle-stroke-width':2 } },
+  { id:'avoid-label', type:'symbol', filter:['==', ['get','kind'], 'zone'],
+    layout:{ 'text-field':['get','name'], 'text-size':12 }, paint:{ 'text-color':'#991b1b', 'text-halo-color':'#fff', 'text-halo-width':1.5 } },
+]
 
 // Prefer user's location for initial map center; fall back to Mississauga if unavailable/denied.
 async function getInitialCenter(){
@@ -56,20 +107,40 @@ export default function BikeSafeMap(){
 
   const originMarkerRef = useRef(null)
   const destMarkerRef = useRef(null)
+  const viaMarkersRef = useRef(new Map())  // via id -> maplibre Marker
+  const viasRef = useRef([])               // mirrors `vias` for handlers bound on earlier renders
+  const viaSeqRef = useRef(0)
   const routeDebounceRef = useRef(null)
+  const keepViewRef = useRef(false)        // restoring a linked map view: don't refit the route
+  const restoredRef = useRef(false)
+  const openLinkRef = useRef(null)         // latest deep-link handler, so hashchange never calls a stale closure
 
   const [map, setMap] = useState(null)
   const [originText, setOriginText] = useState('')
   const [destText, setDestText] = useState('')
   const [originCoord, setOriginCoord] = useState(null)
   const [destCoord, setDestCoord] = useState(null)
-  const [activePicker, setActivePicker] = useState(null)
-
-  const [shareUrl, setShareUrl] = useState('')
+  const [vias, setVias] = useState([])     // ordered intermediate stops: { id, text, coord }
+  const [activePicker, setActivePicker] = useState(null)  // 'origin' | 'destination' | 'via:<id>' | 'hazard' | 'avoid'
+  const [mode, setMode] = useState('ab')                    // 'ab' (A → B) | 'loop' (round trip from Start)
+  const [loopValue, setLoopValue] = useState('25')
+  const [loopUnit, setLoopUnit] = useState('km')            // 'km' | 'min'
+
+  const [shareUrl, setShareUrl] = useState('')    // read-only BikeSafe link carrying the active route
+  const [googleUrl, setGoogleUrl] = useState('')  // secondary: hand the endpoints to Google Maps
+  const [sharedView, setSharedView] = useState(false)  // showing a route opened from a share link
   const [insights, setInsights] = useState(null)
   const [riskMix, setRiskMix] = useState(null)
   const [riskBands, setRiskBands] = useState([])
   const [directions, setDirections] = useState([])
+  const [nav, setNav] = useState(null)     // live navigation: { stepIdx, nextM, offM, status }
+  const navWatchRef = useRef(null)         // watchPosition id
+  const navStateRef = useRef(null)         // { alongKm, index, offCount, rerouting } between fixes
+  const navFixRef = useRef(null)           // latest fix handler, so the watch never calls a stale closure
+  const wakeLockRef = useRef(null)
+  const [voice, setVoice] = useState(loadVoiceSettings)   // spoken guidance: { muted, voiceURI, rate, lang }
+  const [, setVoiceList] = useState(0)                    // bumped when the browser's voices load
+  const saidRef = useRef({ route: null, keys: new Set() }) // cues already spoken for the current route
 
   const [routing, setRouting] = useState(false)
   const [err, setErr] = useState(null)
@@ -80,6 +151,20 @@ export default function BikeSafeMap(){
   const CYCLE_LAYER_ID = 'cycle-paths-overlay'
   const CYCLE_CASING_ID = 'cycle-paths-overlay-casing'
 
+  const [reachFC, setReachFC] = useState(null)     // isochrone polygons: { kind: 'all' | 'safe', minutes }
+  const [reachBusy, setReachBusy] = useState(false)
+  const [reachMinutes, setReachMinutes] = useState(REACH_MINUTES)
+  const [showReachAll, setShowReachAll] = useState(true)
+  const [showReachSafe, setShowReachSafe] = useState(true)
+
+  const [hazards, setHazards] = useState(loadHazards)   // rider-reported hazards, see utils/hazards.js
+  const hazardsRef = useRef(hazards)                      // read by toRiskFC from stale closures
+  const [hazardDraft, setHazardDraft] = useState(null)   // { lng, lat } of a report being filled in
+
+  const [avoidZones, setAvoidZones] = useState(loadAvoidZones)  // named polygons routes keep out of
+  const avoidZonesRef = useRef(avoidZones)
+  const [avoidDraft, setAvoidDraft] = useState(null)   // corners ([lng, lat]) of the area being drawn
+
   const [biasProximity, setBiasProximity] = useState([DEFAULT_CENTER[0], DEFAULT_CENTER[1]])
   const [biasBBox, setBiasBBox] = useState(null)
   const [acResetKey, setAcResetKey] = useState(0)
@@ -88,7 +173,26 @@ export default function BikeSafeMap(){
   const [routeInsightsCache, setRouteInsightsCache] = useState([]) // cached getInsights per route
   const [activeRouteIdx, setActiveRouteIdx] = useState(0)
   const activeRoute = routes[activeRouteIdx] || null
-  const riskFCCache = useRef(new Map())  // cache toRiskFC results keyed by routeSig
+  const riskFCCache = useRef(new Map())  // cache toRiskFC results keyed by rider profile + conditions + active hazards + routeSig
+  const lastPoolsRef = useRef(null)       // candidate pools of the current plan, for re-ranking
+
+  const [riderId, setRiderId] = useState(() => riderProfile(loadItem(RIDER_KEY)).id)
+  const [conditions, setConditions] = useState('dry')     // riding conditions: a CONDITIONS id
+  const [weatherObs, setWeatherObs] = useState(null)       // last observation used to set conditions
+  const [weatherBusy, setWeatherBusy] = useState(false)
+  const [wind, setWind] = useState(null)                   // { kph, fromDeg } for wind-aware ETA, or null
+  const windRef = useRef(null)
+  const [power, setPower] = useState(loadPowerSettings)   // rider + bike for the speed model: { massKg, position, effort, watts }
+  const powerRef = useRef(power)
+  const [calibRides, setCalibRides] = useState(loadCalibrationRides)   // per-ride speed totals from recorded GPX
+  const [calibration, setCalibration] = useState(() => fitCalibration(loadCalibrationRides()))
+  const calibrationRef = useRef(calibration)
+  const [calibBusy, setCalibBusy] = useState(false)
+  const [calibMsg, setCalibMsg] = useState(null)
+  const [history, setHistory] = useState(loadHistory)   // planned routes, newest first (see history.js)
+  const [places, setPlaces] = useState(loadPlaces)             // saved places: Home, Office…
+  const [recentPlaces, setRecentPlaces] = useState(loadRecentPlaces)
+  const profileRef = useRef(riderProfile(riderId))  // rider profile adjusted for conditions; read by scoring helpers, which may run from stale closures
 
   // --- risk overlay housekeeping
   const safeRemoveLayer  = (m, id) => { try { if (m.getLayer(id))  m.removeLayer(id) } catch {} }
@@ -107,14 +211,16 @@ export default function BikeSafeMap(){
     let cancelled = false;
 
     (async () => {
-      const center = await getInitialCenter()
+      // a linked map view wins over geolocation
+      const linked = decodePlan(window.location).view
+      const center = linked ? [linked.lng, linked.lat] : await getInitialCenter()
       if (cancelled) return
       try{
         m = new maplibregl.Map({
           container: mapRef.current,
           style: `https://api.maptiler.com/maps/streets/style.json?key=${MAPTILER_KEY}`,
           center,
-          zoom: DEFAULT_ZOOM
+          zoom: linked ? linked.zoom : DEFAULT_ZOOM
         })
         m.addControl(new maplibregl.NavigationControl({ showCompass:false }))
         m.once('load', () => {
@@ -158,22 +264,34 @@ export default function BikeSafeMap(){
       if (!activePicker) return
       const c = { lng: e.lngLat.lng, lat: e.lngLat.lat }
 
-      if (activePicker === 'origin') {
+      if (activePicker === 'avoid') {
+        setAvoidDraft(d => [...(d || []), [c.lng, c.lat]])
+        return
+      } else if (activePicker === 'hazard') {
+        setHazardDraft(c)
+      } else if (activePicker === 'origin') {
         setOriginCoord(c)
-        setOriginText(`${c.lat.toFixed(5)},${c.lng.toFixed(5)}`)
+        setOriginText(coordText(c)); labelPoint('origin', c)
         addOrMoveMarker('origin', c)
         const d = destMarkerRef.current?.getLngLat?.()
         if (d) route({ origin: c, dest: { lng: d.lng, lat: d.lat } })
+      } else if (String(activePicker).startsWith('via:')) {
+        setVia(Number(activePicker.slice(4)), { coord: c, text: coordText(c) }); labelPoint(activePicker, c)
+        rerouteFromMarkers()
       } else {
         setDestCoord(c)
-        setDestText(`${c.lat.toFixed(5)},${c.lng.toFixed(5)}`)
+        setDestText(coordText(c)); labelPoint('dest', c)
         addOrMoveMarker('dest', c)
         const o = originMarkerRef.current?.getLngLat?.()
         if (o) route({ origin: { lng: o.lng, lat: o.lat }, dest: c })
       }
       setActivePicker(null)
     }
-    const onEsc = (ev) => { if(ev.key === 'Escape') setActivePicker(null) }
+    const onEsc = (ev) => {
+      if (ev.key !== 'Escape' || ev.defaultPrevented) return   // a search box closing its list
+      if (activePicker === 'avoid') setAvoidDraft(null)
+      setActivePicker(null)
+    }
     map.on('click', onClick)
     window.addEventListener('keydown', onEsc)
     return () => { map.off('click', onClick); window.removeEventListener('keydown', onEsc); map.getCanvas().style.cursor = '' }
@@ -187,7 +305,7 @@ export default function BikeSafeMap(){
     const onDrop = (e) => {
       e.preventDefault()
       const which = (e.dataTransfer.getData('text/pin') || e.dataTransfer.getData('text/plain') || '').toLowerCase()
-      const kind = (which === 'origin' || which === 'start' || which === 'from') ? 'origin' : 'dest'
+      const kind = (which === 'origin' || which === 'start' || which === 'from') ? 'origin' : which === 'via' ? 'via' : 'dest'
       const rect = el.getBoundingClientRect()
       const pt = [e.clientX - rect.left, e.clientY - rect.top]
       placeByDrop(kind, map.unproject(pt))
@@ -228,14 +346,19 @@ export default function BikeSafeMap(){
           map.setPaintProperty(id, 'line-width',  isActive ? 8 : 5)
           map.setPaintProperty(id, 'line-color',  isActive ? '#60a5fa' : '#9ca3af')
           map.setPaintProperty(id, 'line-opacity',isActive ? 1.0 : 0.35)
+          map.setLayoutProperty(id, 'visibility', 'visible')
         }
       })
+      // hide leftovers from a previous plan that had more routes (e.g. after an import)
+      for (let idx = routes.length; map.getLayer(`route-line-${idx}`); idx++)
+        map.setLayoutProperty(`route-line-${idx}`, 'visibility', 'none')
 
       // rebuild risk overlay for the ACTIVE route
       const active = routes[activeRouteIdx]
       clearRiskOverlay(map)
 
       const riskFC = toRiskFC(active)
+      setShareUrl(active ? sharedRouteLink(active, riskFC) : '')
       if (riskFC?.features?.length) {
         map.addSource('route-risk', { type:'geojson', data:riskFC })
 
@@ -262,24 +385,14 @@ export default function BikeSafeMap(){
         lastRouteRef.current = active
         routeCoordsRef.current = active.geometry?.coordinates || []
 
-        const i = getInsights(active)
+        const i = insightsFor(active)
         setInsights(i)
         distKmRef.current = i?.distKm || []
         setDirections(flatSteps(active))
 
         // compute risk mix + bands against current distKm
         if (riskFC?.features?.length) {
-          const kmByRisk = { low:0, med:0, high:0 }
-          for (const f of riskFC.features) {
-            const c = f.geometry?.coordinates || []
-            let len = 0
-            for (let k=1;k<c.length;k++){
-              const [x1,y1] = c[k-1], [x2,y2] = c[k]
-              len += haversineMeters({lng:x1,lat:y1},{lng:x2,lat:y2})
-            }
-            const r = f.properties?.risk
-            if (kmByRisk[r] != null) kmByRisk[r] += (len/1000)
-          }
+          const { risk: kmByRisk, infra: kmByInfra } = kmByClass(riskFC)
           const totalKm = kmByRisk.low + kmByRisk.med + kmByRisk.high || 1
           setRiskMix({
             ...kmByRisk, totalKm,
@@ -301,12 +414,32 @@ export default function BikeSafeMap(){
             const label  = (infra && INFRA_LABEL[infra]) ? INFRA_LABEL[infra] : wayLabel(way)
             const reasons = String(f.properties?.why || '')
               .split(' • ').map(s => s.trim()).filter(Boolean)
-            bands.push({ fromKm, toKm, risk, wayLabel: label, reasons })
+            bands.push({ fromKm, toKm, risk, infra, wayLabel: label, reasons })
           }
           setRiskBands(bands)
+
+          // planned routes go into the history; shared views, imports and navigation re-routes don't
+          if (!sharedView && !nav && !active.properties?._imported && originCoord) {
+            const loop = mode === 'loop'
+            const rec = {
+              plan: loop
+                ? { origin: originCoord, dest: null, vias: [], loop: { value: Number(loopValue), unit: loopUnit } }
+                : { origin: originCoord, dest: destCoord, vias: vias.map(v => v.coord).filter(Boolean), loop: null },
+              originLabel: shortPlaceLabel(originText, originCoord),
+              destLabel: loop ? null : shortPlaceLabel(destText, destCoord),
+              tag: planTag(active),
+              km: (i?.totalDistM || 0) / 1000,
+              ascentM: i?.ascentM || 0,
+              etaMin: i?.etaMin || 0,
+              risk: kmByRisk,
+              infra: kmByInfra,
+            }
+            if (loop || destCoord) setHistory(h => recordPlan(h, rec))
+          }
         }
 
-        fitRoute(active, { tightness: 1.6 })
+        if (keepViewRef.current) keepViewRef.current = false
+        else fitRoute(active, { tightness: 1.6 })
         ensureRouteCursor()
         if (routeCoordsRef.current.length) {
           const [lng, lat] = routeCoordsRef.current[0]
@@ -318,6 +451,35 @@ export default function BikeSafeMap(){
     }
   }, [map, routes, activeRouteIdx])
 
+  // reopen a shared route or plan from a link on load, and follow links pasted into this tab
+  useEffect(() => {
+    if (!map) return
+    const openLink = () => openLinkRef.current?.()
+    if (!restoredRef.current) { restoredRef.current = true; openLink() }
+    window.addEventListener('hashchange', openLink)
+    return () => window.removeEventListener('hashchange', openLink)
+  }, [map])
+
+  // keep the address bar in sync with the plan and the map view (a shared view keeps its link)
+  useEffect(() => {
+    if (!map || sharedView) return
+    const write = () => {
+      const c = map.getCenter()
+      const loop = mode === 'loop'
+      writePlanToUrl({
+        origin: originCoord,
+        dest: loop ? null : destCoord,
+        vias: loop ? [] : vias.map(v => v.coord).filter(Boolean),
+        tag: planTag(routes[activeRouteIdx]),
+        loop: loop ? { value: loopValue, unit: loopUnit } : null,
+        view: { zoom: map.getZoom(), lat: c.lat, lng: c.lng },
+      })
+    }
+    write()
+    map.on('moveend', write)
+    return () => map.off('moveend', write)
+  }, [map, sharedView, mode, loopValue, loopUnit, originCoord, destCoord, vias, routes, activeRouteIdx])
+
 // re-add parks overlay if style reloads (like we do for cycle paths)
 useEffect(() => {
   if (!map) return
@@ -365,6 +527,37 @@ useEffect(() => {
     return () => { map.off('mousemove', onMove); popupRef.current?.remove() }
   }, [map])
 
+  // readable labels for points set on the map. The lookup is debounced and a
+  // newer point (or a drag) cancels it; the label only replaces the input text
+  // while that still shows the point's coordinates, and the coordinate itself
+  // stays the routing input.
+  const reverseRef = useRef({})   // target ('origin' | 'dest' | 'via:<id>') → { timer, ctl }
+  const cancelLabel = (target) => {
+    const slot = reverseRef.current[target]
+    if (!slot) return
+    clearTimeout(slot.timer)
+    slot.ctl?.abort()
+    delete reverseRef.current[target]
+  }
+  const labelPoint = (target, c, delay = REVERSE_DEBOUNCE_MS) => {
+    cancelLabel(target)
+    const slot = reverseRef.current[target] = { ctl: new AbortController() }
+    slot.timer = setTimeout(async () => {
+      let label = null
+      try { label = await geocoder.reverse(c, { signal: slot.ctl.signal }) } catch { /* keep the coordinates */ }
+      if (reverseRef.current[target] !== slot) return
+      delete reverseRef.current[target]
+      if (!label) return
+      const raw = coordText(c)
+      if (target === 'origin') setOriginText(t => (t === raw ? label : t))
+      else if (target === 'dest') setDestText(t => (t === raw ? label : t))
+      else {
+        const id = Number(target.slice(4))
+        if (viasRef.current.find(v => v.id === id)?.text === raw) setVia(id, { text: label })
+      }
+    }, delay)
+  }
+
   // geolocation
   const useMyLocation = (which) => {
     if (!navigator.geolocation) { setErr('Geolocation not supported'); return }
@@ -372,9 +565,9 @@ useEffect(() => {
       (pos) => {
         const c = { lng: pos.coords.longitude, lat: pos.coords.latitude }
         if(which === 'origin'){
-          setOriginCoord(c); setOriginText(`${c.lat.toFixed(5)},${c.lng.toFixed(5)}`); addOrMoveMarker('origin', c)
+          setOriginCoord(c); setOriginText(coordText(c)); addOrMoveMarker('origin', c); labelPoint('origin', c, 0)
         }else{
-          setDestCoord(c); setDestText(`${c.lat.toFixed(5)},${c.lng.toFixed(5)}`); addOrMoveMarker('dest', c)
+          setDestCoord(c); setDestText(coordText(c)); addOrMoveMarker('dest', c); labelPoint('dest', c, 0)
         }
         map?.easeTo({ center:[c.lng,c.lat], zoom:13 })
       },
@@ -474,9 +667,81 @@ useEffect(() => {
     return () => map.off('styledata', tryAdd)
   }, [map, showCyclePaths])
 
+  // reach layers: one source, filtered by kind and the selected minute bands
+  useEffect(() => {
+    if (!map || !mapReady) return
+    const data = reachFC || { type:'FeatureCollection', features:[] }
+    if (map.getSource(REACH_SOURCE)) map.getSource(REACH_SOURCE).setData(data)
+    else map.addSource(REACH_SOURCE, { type:'geojson', data })
+    const before = firstBeforeId(map)
+    for (const L of REACH_LAYERS) {
+      if (!map.getLayer(L.id)) map.addLayer({ id:L.id, type:L.type, source:REACH_SOURCE, paint:L.paint }, before)
+      map.setFilter(L.id, ['all', ['==', ['get','kind'], L.kind], ['in', ['get','minutes'], ['literal', reachMinutes]]])
+      map.setLayoutProperty(L.id, 'visibility', (L.kind === 'all' ? showReachAll : showReachSafe) ? 'visible' : 'none')
+    }
+  }, [map, mapReady, reachFC, reachMinutes, showReachAll, showReachSafe])
+
+  // hazard pins: colored by severity, faded once expired; the report being filled in is hollow
+  useEffect(() => {
+    if (!map || !mapReady) return
+    const data = hazardsToGeoJSON(hazards)
+    if (hazardDraft) data.features.push({ type:'Feature', properties:{ draft:true, severity:2, active:true }, geometry:{ type:'Point', coordinates:[hazardDraft.lng, hazardDraft.lat] } })
+    if (map.getSource(HAZARD_SOURCE)) map.getSource(HAZARD_SOURCE).setData(data)
+    else map.addSource(HAZARD_SOURCE, { type:'geojson', data })
+    if (!map.getLayer(HAZARD_LAYER)) map.addLayer({
+      id: HAZARD_LAYER, type: 'circle', source: HAZARD_SOURCE,
+      paint: {
+        'circle-radius': ['interpolate', ['linear'], ['zoom'], 10, 4, 16, 8],
+        'circle-color': ['match', ['get','severity'], 3, '#dc2626', 2, '#f97316', '#facc15'],
+        'circle-opacity': ['case', ['get','draft'], 0, ['get','active'], 0.95, 0.35],
+        'circle-stroke-color': '#111827',
+        'circle-stroke-width': ['case', ['get','draft'], 3, 1.5],
+      },
+    })
+    else map.moveLayer(HAZARD_LAYER)   // keep pins above route lines drawn since
+  }, [map, mapReady, hazards, hazardDraft, routes])
+
+  // avoid areas, plus the outline and corners of one being drawn
+  useEffect(() => {
+    if (!map || !mapReady) return
+    const data = zonesToGeoJSON(avoidZones)
+    const draft = activePicker === 'avoid' ? avoidDraft : null
+    if (draft?.length) {
+      const line = draft.length >= 3 ? [...draft, draft[0]] : draft
+      if (line.length > 1) data.features.push({ type:'Feature', properties:{ kind:'draft' }, geometry:{ type:'LineString', coordinates:line } })
+      for (const p of draft) data.features.push({ type:'Feature', properties:{ kind:'corner' }, geometry:{ type:'Point', coordinates:p } })
+    }
+    if (map.getSource(AVOID_SOURCE)) map.getSource(AVOID_SOURCE).setData(data)
+    else map.addSource(AVOID_SOURCE, { type:'geojson', data })
+    const before = firstBeforeId(map)
+    for (const L of AVOID_LAYERS)
+      if (!map.getLayer(L.id)) map.addLayer({ id:L.id, type:L.type, source:AVOID_SOURCE, filter:L.filter, paint:L.paint, ...(L.layout ? { layout:L.layout } : {}) }, L.type === 'symbol' ? undefined : before)
+  }, [map, mapReady, avoidZones, avoidDraft, activePicker])
+
+  useEffect(() => {
+    if (!map) return
+    const onClick = (e) => {
+      const p = e.features?.[0]?.properties
+      if (!p || p.draft) return
+      // built from DOM nodes: notes may come from imported files
+      const el = document.createElement('div')
+      el.style.cssText = 'font:12px system-ui; line-height:1.4; max-width:240px; color:#0b1220;'
+      const title = document.createElement('div')
+      title.style.fontWeight = '700'
+      title.textContent = `${HAZARD_CATEGORIES[p.category]?.icon || ''} ${hazardLabel(p)} · ${HAZARD_SEVERITY[p.severity] || ''}`
+      el.appendChild(title)
+      const lines = [p.note, `Reported ${new Date(p.createdAt).toLocaleDateString()}`,
+        p.expiresAt && p.expiresAt !== 'null' ? `${p.active ? 'Expires' : 'Expired'} ${new Date(p.expiresAt).toLocaleDateString()}` : null]
+      for (const text of lines.filter(Boolean)) { const d = document.createElement('div'); d.textContent = text; el.appendChild(d) }
+      new maplibregl.Popup({ closeButton:true, offset:8 }).setLngLat(e.lngLat).setDOMContent(el).addTo(map)
+    }
+    map.on('click', HAZARD_LAYER, onClick)
+    return () => map.off('click', HAZARD_LAYER, onClick)
+  }, [map])
+
   // pins
   const HEX_RE = /^#[0-9a-fA-F]{3,8}$/
-  const makePinEl = (hex) => {
+  const makePinEl = (hex, label) => {
     const safe = HEX_RE.test(hex) ? hex : '#888'
     const el = document.createElement('div')
     el.style.width='26px'; el.style.height='32px'; el.style.pointerEvents='auto'; el.style.background='transparent'
@@ -492,6 +757,14 @@ useEffect(() => {
     circle.setAttribute('cx', '12'); circle.setAttribute('cy', '10'); circle.setAttribute('r', '3.2')
     circle.setAttribute('fill', '#fff'); circle.setAttribute('fill-opacity', '0.35')
     svg.appendChild(path); svg.appendChild(circle)
+    if (label != null) {
+      circle.setAttribute('r', '6'); circle.setAttribute('fill-opacity', '0.9')
+      const text = document.createElementNS(NS, 'text')
+      text.setAttribute('x', '12'); text.setAttribute('y', '13.5'); text.setAttribute('text-anchor', 'middle')
+      text.setAttribute('font-size', '9'); text.setAttribute('font-weight', '700'); text.setAttribute('fill', safe)
+      text.textContent = String(label)
+      svg.appendChild(text)
+    }
     el.appendChild(svg)
     return el
   }
@@ -508,12 +781,14 @@ useEffect(() => {
     const marker = new maplibregl.Marker({ element: makePinEl(color), draggable:true, anchor:'bottom' })
       .setLngLat([c.lng,c.lat]).addTo(map)
     const wrap = marker.getElement(); Object.assign(wrap.style, { background:'transparent', border:0, boxShadow:'none', padding:0, borderRadius:0 })
+    marker.on('dragstart', () => cancelLabel(id))
     marker.on('dragend', () => {
       const { lng, lat } = marker.getLngLat()
       const p = { lng, lat }
+      labelPoint(id, p)
       if (id === 'origin') {
         setOriginCoord(p)
-        setOriginText(`${lat.toFixed(5)},${lng.toFixed(5)}`)
+        setOriginText(coordText(p))
         const d = destMarkerRef.current?.getLngLat?.()
         if (d) {
           clearTimeout(routeDebounceRef.current)
@@ -521,7 +796,7 @@ useEffect(() => {
         }
       } else {
         setDestCoord(p)
-        setDestText(`${lat.toFixed(5)},${lng.toFixed(5)}`)
+        setDestText(coordText(p))
         const o = originMarkerRef.current?.getLngLat?.()
         if (o) {
           clearTimeout(routeDebounceRef.current)
@@ -532,6 +807,141 @@ useEffect(() => {
     if (id === 'origin') originMarkerRef.current = marker
     else destMarkerRef.current = marker
   }
+
+  // --- via points (numbered, draggable, routed in list order)
+  const rerouteFromMarkers = (delay = 0) => {
+    const o = originMarkerRef.current?.getLngLat?.()
+    const d = destMarkerRef.current?.getLngLat?.()
+    if (!o || !d) return
+    clearTimeout(routeDebounceRef.current)
+    routeDebounceRef.current = setTimeout(() => route({ origin: { lng: o.lng, lat: o.lat }, dest: { lng: d.lng, lat: d.lat } }), delay)
+  }
+  const syncViaMarkers = (list) => {
+    if (!map) return
+    const markers = viaMarkersRef.current
+    const placed = new Set(list.filter(v => v.coord).map(v => v.id))
+    for (const [id, mk] of markers) if (!placed.has(id)) { mk.remove(); markers.delete(id) }
+    list.forEach((v, n) => {
+      if (!v.coord) return
+      const existing = markers.get(v.id)
+      if (existing) {
+        existing.setLngLat([v.coord.lng, v.coord.lat])
+        const text = existing.getElement()?.querySelector('text')
+        if (text && text.textContent !== String(n + 1)) text.textContent = String(n + 1)
+        return
+      }
+      const marker = new maplibregl.Marker({ element: makePinEl(VIA_COLOR, n + 1), draggable:true, anchor:'bottom' })
+        .setLngLat([v.coord.lng, v.coord.lat]).addTo(map)
+      marker.on('dragstart', () => cancelLabel(`via:${v.id}`))
+      marker.on('dragend', () => {
+        const { lng, lat } = marker.getLngLat()
+        setVia(v.id, { coord: { lng, lat }, text: coordText({ lng, lat }) })
+        labelPoint(`via:${v.id}`, { lng, lat })
+        rerouteFromMarkers(400)
+      })
+      markers.set(v.id, marker)
+    })
+  }
+  const commitVias = (next) => { viasRef.current = next; setVias(next); syncViaMarkers(next) }
+  const setVia = (id, patch) => commitVias(viasRef.current.map(v => v.id === id ? { ...v, ...patch } : v))
+  const addVia = (coord = null, at = viasRef.current.length) => {
+    const id = ++viaSeqRef.current
+    const v = { id, coord, text: coord ? coordText(coord) : '' }
+    const next = [...viasRef.current]; next.splice(at, 0, v)
+    commitVias(next)
+    return id
+  }
+  const moveVia = (id, delta) => {
+    const list = [...viasRef.current]
+    const i = list.findIndex(v => v.id === id), j = i + delta
+    if (i < 0 || j < 0 || j >= list.length) return
+    ;[list[i], list[j]] = [list[j], list[i]]
+    commitVias(list)
+    if (routes.length) rerouteFromMarkers()
+  }
+  const removeVia = (id) => {
+    commitVias(viasRef.current.filter(v => v.id !== id))
+    if (activePicker === `via:${id}`) setActivePicker(null)
+    if (routes.length) rerouteFromMarkers()
+  }
+  // index at which a new stop adds the least detour to origin → vias → destination
+  const viaInsertIndex = (c) => {
+    const o = originMarkerRef.current?.getLngLat?.(), d = destMarkerRef.current?.getLngLat?.()
+    const stops = [o, ...viasRef.current.map(v => v.coord), d]
+    let best = viasRef.current.length, bestCost = Infinity
+    for (let k = 1; k < stops.length; k++) {
+      const a = stops[k - 1], b = stops[k]
+      if (!a || !b) continue
+      const cost = haversineMeters(a, c) + haversineMeters(c, b) - haversineMeters(a, b)
+      if (cost < bestCost) { bestCost = cost; best = k - 1 }
+    }
+    return best
+  }
+  const restorePlan = (plan) => {
+    if (!map || !plan?.origin) return
+    if (plan.loop) {
+      const o = plan.origin
+      setMode('loop'); setLoopValue(String(plan.loop.value)); setLoopUnit(plan.loop.unit)
+      setOriginCoord(o); setOriginText(coordText(o)); addOrMoveMarker('origin', o); labelPoint('origin', o, 0)
+      destMarkerRef.current?.remove(); destMarkerRef.current = null
+      syncViaMarkers([])
+      if (plan.view) { keepViewRef.current = true; map.jumpTo({ center:[plan.view.lng, plan.view.lat], zoom: plan.view.zoom }) }
+      generateLoops({ origin: o, value: plan.loop.value, unit: plan.loop.unit, loop: loopNumber(plan.tag) })
+      return
+    }
+    if (!plan.dest) return
+    const { origin: o, dest: d } = plan
+    setMode('ab')
+    setOriginCoord(o); setOriginText(coordText(o)); addOrMoveMarker('origin', o); labelPoint('origin', o, 0)
+    setDestCoord(d); setDestText(coordText(d)); addOrMoveMarker('dest', d); labelPoint('dest', d, RESTORE_LABEL_GAP_MS)
+    commitVias(plan.vias.map(c => ({ id: ++viaSeqRef.current, coord: c, text: coordText(c) })))
+    viasRef.current.forEach((v, k) => labelPoint(`via:${v.id}`, v.coord, (k + 2) * RESTORE_LABEL_GAP_MS))
+    if (plan.view) { keepViewRef.current = true; map.jumpTo({ center:[plan.view.lng, plan.view.lat], zoom: plan.view.zoom }) }
+    route({ origin: o, dest: d, tag: plan.tag })
+  }
+
+  // read-only view of a shared route: geometry and risk bands come from the link, nothing is re-routed
+  const openSharedView = ({ feature, riskFC }) => {
+    if (!map) return
+    originMarkerRef.current?.remove(); originMarkerRef.current = null
+    destMarkerRef.current?.remove(); destMarkerRef.current = null
+    commitVias([])
+    setOriginCoord(null); setOriginText(''); setDestCoord(null); setDestText('')
+    setErr(null); setPoolWarning(null); setActivePicker(null)
+
+    feature.properties._riskFC = riskFC
+    lastPoolsRef.current = null
+    setSharedView(true)
+    setRoutes([feature])
+    setRouteInsightsCache([insightsFor(feature)])
+    setActiveRouteIdx(0)
+    lastRouteRef.current = feature
+    routeCoordsRef.current = feature.geometry.coordinates
+
+    const c = feature.geometry.coordinates
+    const [oLng, oLat] = c[0], [dLng, dLat] = c[c.length - 1]
+    const url = new URL('https://www.google.com/maps/dir/')
+    url.searchParams.set('api','1')
+    url.searchParams.set('origin', `${oLat},${oLng}`)
+    url.searchParams.set('destination', `${dLat},${dLng}`)
+    url.searchParams.set('travelmode','bicycling')
+    setGoogleUrl(url.toString())
+  }
+  openLinkRef.current = () => {
+    const shared = decodeSharedRoute(window.location)
+    if (shared) openSharedView(shared)
+    else restorePlan(decodePlan(window.location))
+  }
+  // leave the shared view and plan between the same endpoints
+  const planFromShared = () => {
+    const c = routeCoordsRef.current
+    if (!c.length) return
+    const [oLng, oLat] = c[0], [dLng, dLat] = c[c.length - 1]
+    const o = { lng: oLng, lat: oLat }, d = { lng: dLng, lat: dLat }
+    setOriginText(`${oLat.toFixed(5)},${oLng.toFixed(5)}`); setDestText(`${dLat.toFixed(5)},${dLng.toFixed(5)}`)
+    route({ origin: o, dest: d, tag: activeRoute?.properties?._tag })
+  }
+
   const setPinDragImage = (ev, color) => {
     const ghost = makePinEl(color)
     ghost.style.position='fixed'; ghost.style.left='-9999px'; ghost.style.top='-9999px'
@@ -540,23 +950,27 @@ useEffect(() => {
     setTimeout(()=>document.body.removeChild(ghost),0)
   }
   const onDragStartPin = (ev, which) => {
-    const kind = String(which).toLowerCase()==='origin' ? 'origin' : 'dest'
+    const w = String(which).toLowerCase()
+    const kind = w==='origin' ? 'origin' : w==='via' ? 'via' : 'dest'
     ev.dataTransfer.setData('text/pin', kind)
     ev.dataTransfer.setData('text/plain', kind)
     ev.dataTransfer.effectAllowed = 'copyMove'
-    setPinDragImage(ev, kind==='origin' ? '#22c55e' : '#ef4444')
+    setPinDragImage(ev, kind==='origin' ? '#22c55e' : kind==='via' ? VIA_COLOR : '#ef4444')
   }
   const placeByDrop = (which, lngLat) => {
     const c = { lng: lngLat.lng, lat: lngLat.lat }
-    if (which === 'origin') {
+    if (which === 'via') {
+      labelPoint(`via:${addVia(c, viaInsertIndex(c))}`, c)
+      rerouteFromMarkers()
+    } else if (which === 'origin') {
       setOriginCoord(c)
-      setOriginText(`${c.lat.toFixed(5)},${c.lng.toFixed(5)}`)
+      setOriginText(coordText(c)); labelPoint('origin', c)
       addOrMoveMarker('origin', c)
       const d = destMarkerRef.current?.getLngLat?.()
       if (d) route({ origin: c, dest: { lng: d.lng, lat: d.lat } })
     } else {
       setDestCoord(c)
-      setDestText(`${c.lat.toFixed(5)},${c.lng.toFixed(5)}`)
+      setDestText(coordText(c)); labelPoint('dest', c)
       addOrMoveMarker('dest', c)
       const o = originMarkerRef.current?.getLngLat?.()
       if (o) route({ origin: { lng: o.lng, lat: o.lat }, dest: c })
@@ -574,125 +988,96 @@ useEffect(() => {
   }
   const geocode = async (q) => {
     const ll = parseLatLng(q); if (ll) return { lng: ll.lng, lat: ll.lat }
-    if (!MAPTILER_KEY) throw new Error('To search by address, set VITE_MAPTILER_KEY')
-    const params = new URLSearchParams({ key: MAPTILER_KEY, limit: '1' })
-    if (biasProximity?.length===2) params.set('proximity', `${biasProximity[0]},${biasProximity[1]}`)
-    if (biasBBox?.length===4) params.set('bbox', biasBBox.join(','))
-    const url = `https://api.maptiler.com/geocoding/${encodeURIComponent(String(q))}.json?${params}`
-    const res = await http(url, { headers:{ accept:'application/json' } }, 12000)
-    if (!res.ok) throw new Error(`Place search failed (${res.status})`)
-    const data = await res.json()
-    const feat = data?.features?.[0]; if (!feat?.center) throw new Error('Place not found')
-    const [lng, lat] = feat.center; return { lng, lat }
+    return geocodeFirst(geocoder, q, { proximity: biasProximity, bbox: biasBBox })
   }
 
   // --- risk + insights (pure helpers imported from scoring.js) ---
+  // graded per rider profile; shared-link routes carry their grading with them
   const toRiskFC = (feature) => {
     if (!feature) return null
-    const key = routeSig(feature)
+    if (feature.properties?._riskFC) return feature.properties._riskFC
+    const profile = profileRef.current
+    const hz = activeHazards(hazardsRef.current)
+    const key = `${profile.id}|${profile.condition || 'dry'}|${hz.map(h => `${h.id}:${h.severity}`).join(',')}|${routeSig(feature)}`
     const cached = riskFCCache.current.get(key)
     if (cached) return cached
-    const result = toRiskFCRaw(feature)
+    const result = withHazards(toRiskFCRaw(feature, profile), hz)
     if (result) riskFCCache.current.set(key, result)
     return result
   }
+  const insightsFor = (feature) => getInsights(feature, { wind: windRef.current, power: powerRef.current, calibration: calibrationRef.current })
   // riskScore / scenicScore wrappers that use the cached toRiskFC
-  const riskScore = (feature, routeType) => riskScoreRaw(feature, toRiskFC, routeType)
-  const scenicScore = (feature) => scenicScoreRaw(feature, toRiskFC, (coords) => envBonusNear(map, coords, 28))
-
-
-// --- Robust ORS request with profile + fallbacks for common 400s
-const orsPost = async (body, profile = 'cycling-regular') => {
-  const apiKey = ORS_KEY || import.meta.env.VITE_ORS_KEY
-  if (!apiKey) throw new Error('Missing OpenRouteService key (VITE_ORS_KEY)')
-  const baseURL = `${ORS_BASE}/v2/directions/${profile}/geojson`
-  const headers = {
-    'Authorization': apiKey,
-    'content-type':'application/json',
-    'accept':'application/geo+json, application/json;q=0.9, */*;q=0.8'
-  }
-
-  const doFetch = async (b) => {
-    const res = await http(baseURL, { method:'POST', headers, body: JSON.stringify(b) }, 20000)
-    const text = await res.text()
-    const ct = (res.headers.get('content-type') || '').toLowerCase()
-    const json = ct.includes('json') ? JSON.parse(text) : null
-    return { res, text, json }
-  }
-
-  let cur = body
-  for (let attempt = 0; attempt < 6; attempt++){
-    const { res, text, json } = await doFetch(cur)
-    if (res.ok) return json
-    const msg = (json?.error?.message || json?.message || text || '').toString()
-
-    // fallbacks — strip unsupported extras one at a time
-    if (res.status === 400 && /extra_info|waycategory/i.test(msg) && Array.isArray(cur.extra_info) && cur.extra_info.includes('waycategory')) {
-      cur = { ...cur, extra_info: cur.extra_info.filter(x => x !== 'waycategory') }
-      continue
-    }
-    if (res.status === 400 && /extra_info|avgspeed/i.test(msg) && Array.isArray(cur.extra_info) && cur.extra_info.includes('avgspeed')) {
-      cur = { ...cur, extra_info: cur.extra_info.filter(x => x !== 'avgspeed') }
-      continue
-    }
-    if (res.status === 400 && /extra_info|suitability/i.test(msg) && Array.isArray(cur.extra_info) && cur.extra_info.includes('suitability')) {
-      cur = { ...cur, extra_info: cur.extra_info.filter(x => x !== 'suitability') }
-      continue
+  const riskScore = (feature, routeType) => riskScoreRaw(feature, toRiskFC, routeType, profileRef.current)
+  const scenicScore = (feature) => scenicScoreRaw(feature, toRiskFC, (coords) => envBonusNear(map, coords, 28), profileRef.current)
+
+  // per-route figures for the comparison table; loop labels lose their "— 12.3 km"
+  const shortLabel = (r, i) => r.properties?._label?.split(' — ')[0] || `Route ${i + 1}`
+  const compareColumns = () => routes.map((r, i) => {
+    const ins = routeInsightsCache[i] || insightsFor(r)
+    const { risk, infra } = kmByClass(toRiskFC(r))
+    const overlaps = routes.flatMap((o, j) => (j === i ? [] : [{ label: shortLabel(o, j), frac: routeOverlap(r, o) }]))
+    return {
+      label: shortLabel(r, i),
+      distKm: (ins?.totalDistM || 0) / 1000,
+      etaMin: ins?.etaMin,
+      ascentM: ins?.ascentM,
+      descentM: ins?.descentM,
+      maxGradePct: ins?.maxGradePct,
+      riskPerKm: r.properties?._scores?.risk ?? riskScore(r, 'safest'),
+      scenic: r.properties?._scores?.scenic ?? scenicScore(r),
+      riskKm: risk,
+      infraKm: infra,
+      overlaps,
+      maxOverlap: Math.max(0, ...overlaps.map(o => o.frac)),
     }
-    if (res.status === 400 && /avoid_features/i.test(msg) && cur?.options?.avoid_features) {
-      const options = { ...(cur.options || {}) }; delete options.avoid_features
-      cur = { ...cur, options }
-      continue
-    }
-    if (res.status === 400 && /profile_params|weightings|options/i.test(msg) && cur?.options?.profile_params) {
-      const options = { ...(cur.options || {}) }; delete options.profile_params
-      cur = { ...cur, options }
-      continue
-    }
-    if (res.status === 400 && /alternative_routes/i.test(msg) && cur?.options?.alternative_routes) {
-      const options = { ...(cur.options || {}) }; delete options.alternative_routes
-      cur = { ...cur, options }
-      continue
+  })
+
+
+
+// Promise.allSettled over `items`, with at most `limit` calls of `fn` running
+// at once; results keep the order of `items`.
+const settleAll = async (items, fn, limit) => {
+  const results = new Array(items.length)
+  let next = 0
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++
+      try { results[i] = { status: 'fulfilled', value: await fn(items[i]) } }
+      catch (reason) { results[i] = { status: 'rejected', reason } }
     }
-    const safeMsg = res.status === 400 ? 'Bad routing request' : res.status === 403 ? 'API key invalid or expired' : res.status === 429 ? 'Rate limit exceeded — try again shortly' : `Routing service error (${res.status})`
-    throw new Error(safeMsg)
   }
-  throw new Error('ORS failed after retries')
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker))
+  return results
+}
+
+// ORS-shaped request through the configured routing backend and the persistent
+// cache: repeat plans skip the network and work offline.
+// `service` is 'directions' or 'isochrones'.
+const orsPost = (body, profile = 'cycling-regular', service = 'directions') => {
+  const run = routingBackend[service]
+  if (!run) return Promise.reject(new Error(`${routingBackend.label} can't compute ${service}`))
+  const pts = body.coordinates || body.locations || []
+  const ll = (p) => `${(+p[1]).toFixed(4)},${(+p[0]).toFixed(4)}`
+  const label = `${service} · ${pts.map(ll).join(' → ')}${body.options?.round_trip ? ' (loop)' : ''}`
+  return cached('ors', { backend: routingBackend.id, service, profile, body }, () => run(body, profile), { label })
 }
 
 
 
-// Returns up to N alternatives from ORS for a profile+preference
-async function fetchORSWithAlts(o, d, {
+// Returns up to N alternatives from ORS for a profile+preference; the body
+// comes from directionsBody (see requests.js for the options).
+async function fetchORSWithAlts(points, {
   profile = 'cycling-regular',
   preference = 'recommended',
-  altCount = 3,
-  weightFactor = 1.6,
-  steepnessDifficulty = 1,
-  avoidFeatures,
-  shareFactor = 0.6,
+  avoidPolygons = avoidGeometry(avoidZonesRef.current),
+  ...opts
 } = {}) {
-  const body = {
-    coordinates: [[o.lng,o.lat],[d.lng,d.lat]],
-    preference,
-    elevation: true,
-    instructions: true,
-    instructions_format: 'text',
-    extra_info: ['steepness','surface','waytype','suitability','avgspeed','waycategory'],
-    options: {
-      profile_params: { weightings: { steepness_difficulty: steepnessDifficulty } },
-      ...(avoidFeatures?.length ? { avoid_features: avoidFeatures } : {}),
-      alternative_routes: altCount > 1 ? {
-        target_count: altCount,
-        share_factor: shareFactor,
-        weight_factor: weightFactor
-      } : undefined
-    }
-  }
-
+  const body = directionsBody(points, { preference, avoidPolygons, ...opts })
   const json = await orsPost(body, profile)
+  // the backend routed without the avoid areas (too large, or unsupported)
+  const avoidIgnored = !!avoidPolygons && (json?.ignored || []).includes('avoid_polygons')
   const feats = (json?.features || []).map(f => {
-    f.properties = { ...(f.properties||{}), _preference: preference, _profile: profile }
+    f.properties = { ...(f.properties||{}), _preference: preference, _profile: profile, ...(avoidIgnored ? { _avoidIgnored: true } : {}) }
     return f
   })
   return feats
@@ -767,23 +1152,22 @@ const envBonusNear = (m, coords, pxRadius = 28) => {
 
 
 
-async function fetchThreeRoutes(o, d) {
-  // A) Shortest pool — pick safest within 5% of minimum distance
-  const shortestList = await fetchORSWithAlts(o, d, { profile:'cycling-road', preference:'shortest', altCount:3 })
+// Fetch every candidate pool for a plan. Kept apart from the pick below so a
+// rider-profile change can re-rank the same candidates without new requests.
+async function fetchRoutePools(points) {
+  const multiStop = points.length > 2
+
+  // A) Shortest pool
+  const shortestList = await fetchORSWithAlts(points, POOL_REQUESTS.shortest)
   if (!shortestList.length) throw new Error('No route (shortest)')
-  const sortedByDist = [...shortestList].sort((a,b) => distanceOf(a) - distanceOf(b))
-  const minDist = distanceOf(sortedByDist[0])
-  const nearShortest = sortedByDist.filter(f => distanceOf(f) <= minDist * 1.05)
-  const shortest = nearShortest.sort((a,b) => riskScore(a, 'shortest') - riskScore(b, 'shortest'))[0]
-  const shortestDist = distanceOf(shortest)
 
-  // B) Pools (fetch in parallel — these are independent)
+  // B) Pools (fetch in parallel — these are independent).
+  // Without alternatives the two road pools would be identical, so skip the second.
   let poolWarning = null
   const results = await Promise.allSettled([
-    fetchORSWithAlts(o, d, { profile:'cycling-road',    preference:'recommended', altCount:8, weightFactor:3.0, shareFactor:0.4 }),
-    fetchORSWithAlts(o, d, { profile:'cycling-road',    preference:'recommended', altCount:6, weightFactor:2.2, shareFactor:0.4 }),
-    fetchORSWithAlts(o, d, { profile:'cycling-regular', preference:'recommended', altCount:6, weightFactor:1.8,
-      steepnessDifficulty:2, avoidFeatures:['steps','ferries','fords'] }),
+    fetchORSWithAlts(points, POOL_REQUESTS.road),
+    multiStop ? Promise.resolve([]) : fetchORSWithAlts(points, POOL_REQUESTS.roadWide),
+    fetchORSWithAlts(points, POOL_REQUESTS.safe),
   ])
   const roadAlts1 = results[0].status === 'fulfilled' ? results[0].value : []
   const roadAlts2 = results[1].status === 'fulfilled' ? results[1].value : []
@@ -793,6 +1177,17 @@ async function fetchThreeRoutes(o, d) {
 
   const roadPool = byDistinctness([...roadAlts1, ...roadAlts2])
   const safePool = byDistinctness(safeAlts)
+  return { shortestList, roadPool, safePool, poolWarning }
+}
+
+// Pick the three designated routes from fetched pools, scored with the current rider profile
+function pickDesignated({ shortestList, roadPool, safePool }) {
+  // A) Shortest — pick safest within 5% of minimum distance
+  const sortedByDist = [...shortestList].sort((a,b) => distanceOf(a) - distanceOf(b))
+  const minDist = distanceOf(sortedByDist[0])
+  const nearShortest = sortedByDist.filter(f => distanceOf(f) <= minDist * 1.05)
+  const shortest = nearShortest.sort((a,b) => riskScore(a, 'shortest') - riskScore(b, 'shortest'))[0]
+  const shortestDist = distanceOf(shortest)
 
   // C) Safest: cross-pool, score with 'safest' routeType, enforce diversity vs shortest
   const allForSafety = byDistinctness([...safePool, ...roadPool])
@@ -842,6 +1237,8 @@ async function fetchThreeRoutes(o, d) {
     const c = cloneAndLabel(f, label, tag)
     if (!c.properties) c.properties = {}
     c.properties._profile = f.properties?._profile || 'cycling-road'
+    c.properties._rider = profileRef.current.id   // rider profile that produced this ranking
+    c.properties._conditions = profileRef.current.condition || 'dry'
     out.push(c)
   }
 
@@ -854,54 +1251,524 @@ async function fetchThreeRoutes(o, d) {
     if (out.length >= 3) break
     if (!out.some(x => isSameRoute(x, c))) pushUnique(c, `Route ${out.length+1}`, 'alt')
   }
-  return { routes: out.slice(0, 3), poolWarning }
+  return out.slice(0, 3)
+}
+
+async function fetchThreeRoutes(points) {
+  const pools = await fetchRoutePools(points)
+  return { routes: pickDesignated(pools), poolWarning: pools.poolWarning, pools }
+}
+
+// Round-trip candidates from `start`, one per seed in LOOP_SEEDS
+async function fetchLoopCandidates(start, targetM) {
+  const results = await Promise.allSettled(LOOP_SEEDS.map((seed, i) => fetchORSWithAlts([start], loopRequest(targetM, seed, i))))
+  const cands = results.flatMap(r => r.status === 'fulfilled' ? r.value : [])
+  if (!cands.length) {
+    const firstErr = results.find(r => r.status === 'rejected')?.reason
+    throw new Error(firstErr?.message || 'No loop found from this start point')
+  }
+  const failCount = results.filter(r => r.status === 'rejected').length
+  const poolWarning = failCount ? `${failCount} of ${LOOP_SEEDS.length} loop candidates unavailable — options may be limited.` : null
+  return { loopCandidates: cands, targetM, poolWarning }
+}
+
+// Rank loops safest-first, nudged by scenery and by how close each lands to the target distance
+function pickLoops({ loopCandidates, targetM }) {
+  const scored = byDistinctness(loopCandidates).map(f => {
+    const risk = riskScore(f, 'safest')
+    const scenic = scenicScore(f) ?? 0
+    const miss = Math.abs(distanceOf(f) - targetM) / targetM
+    return { f, risk, scenic, score: risk - 0.15 * scenic + 2 * miss }
+  }).sort((a,b) => a.score - b.score)
+
+  const best = []
+  for (const x of scored) {
+    if (best.some(y => routeOverlap(x.f, y.f) > 0.8)) continue
+    best.push(x)
+    if (best.length >= 3) break
+  }
+  return best.map((x, i) => {
+    const c = cloneAndLabel(x.f, `Loop ${i + 1} — ${(distanceOf(x.f) / 1000).toFixed(1)} km`, 'loop')
+    c.properties._rider = profileRef.current.id
+    c.properties._conditions = profileRef.current.condition || 'dry'
+    c.properties._scores = { risk: x.risk, scenic: x.scenic }
+    c.properties._loop = i + 1
+    return c
+  })
+}
+
+// Snap an imported track onto the cycling network by routing through evenly
+// spaced samples of it (ORS caps waypoints at 50), so the result carries the
+// same extras as a designated route.
+async function matchTrack(coords) {
+  const pts = sampleTrack(coords, 50).map(([lng, lat]) => ({ lng, lat }))
+  let feats
+  try {
+    feats = await fetchORSWithAlts(pts, { profile:'cycling-regular', preference:'recommended', altCount:1, avoidPolygons:null })
+  } catch (e) {
+    throw new Error(`Could not match this track to the cycling network (${e?.message || 'routing failed'})`)
+  }
+  if (!feats[0]) throw new Error('Could not match this track to the cycling network')
+  return feats[0]
 }
 
 
 
 
 
-  // routing (uses designated routes)
+  // routing (uses designated routes); resolves to whether a route was found.
+  // `overrides.vias` routes through those via rows instead of the current ones
   const route = async (overrides = {}) => {
-    if(!map) return
+    if(!map) return false
     setErr(null); setPoolWarning(null); setInsights(null); setRiskMix(null); setRiskBands([]); setDirections([]); setRouting(true)
-    setActivePicker(null)
+    setActivePicker(null); setSharedView(false)
     try{
       const o = overrides.origin || originCoord || (originText ? await geocode(originText) : null)
       const d = overrides.dest   || destCoord   || (destText   ? await geocode(destText)   : null)
       if(!o || !d) throw new Error('Enter origin and destination')
-      if (haversineMeters(o, d) < 8) throw new Error('Start and destination are the same point')
+
+      // blank via rows are ignored; typed ones are geocoded once and pinned
+      const viaPts = []
+      for (const v of overrides.vias || viasRef.current) {
+        if (v.coord) { viaPts.push(v.coord); continue }
+        if (!String(v.text || '').trim()) continue
+        const c = await geocode(v.text)
+        setVia(v.id, { coord: c })
+        viaPts.push(c)
+      }
+      const points = [o, ...viaPts, d]
+      for (let k = 1; k < points.length; k++) {
+        if (haversineMeters(points[k-1], points[k]) < 8)
+          throw new Error(viaPts.length ? 'Two consecutive stops are the same point' : 'Start and destination are the same point')
+      }
 
       setOriginCoord(o); setDestCoord(d)
       addOrMoveMarker('origin', o); addOrMoveMarker('dest', d)
 
-      const { routes: features, poolWarning: pw } = await fetchThreeRoutes(o, d)
+      const { routes: features, poolWarning: pw, pools } = await fetchThreeRoutes(points)
+      lastPoolsRef.current = pools
       if (!Array.isArray(features) || !features.length) throw new Error('No route found')
       if (pw) setPoolWarning(pw)
 
+      // select "Shortest" by default, or the route a deep link asked for
+      const selIdx = Math.max(0, features.findIndex(f => overrides.tag && f.properties?._tag === overrides.tag))
+
       riskFCCache.current.clear()
       setRoutes(features)           // three designated
-      setRouteInsightsCache(features.map(f => getInsights(f)))
-      setActiveRouteIdx(0)          // select "Shortest" by default
+      setRouteInsightsCache(features.map(f => insightsFor(f)))
+      setActiveRouteIdx(selIdx)
 
-      lastRouteRef.current = features[0]
-      routeCoordsRef.current = features[0].geometry?.coordinates || []
+      lastRouteRef.current = features[selIdx]
+      routeCoordsRef.current = features[selIdx].geometry?.coordinates || []
 
       const url = new URL('https://www.google.com/maps/dir/')
       url.searchParams.set('api','1')
       url.searchParams.set('origin', `${o.lat},${o.lng}`)
       url.searchParams.set('destination', `${d.lat},${d.lng}`)
+      if (viaPts.length) url.searchParams.set('waypoints', viaPts.map(p => `${p.lat},${p.lng}`).join('|'))
       url.searchParams.set('travelmode','bicycling')
-      const s = url.toString()
-      setShareUrl(s)
-      if(qrRef.current) await QRCode.toCanvas(qrRef.current, s, { width: 192 })
+      setGoogleUrl(url.toString())
 
       setAcResetKey(k => k + 1)
+      return true
     }catch(e){
+      keepViewRef.current = false
       setErr(e?.message || 'Routing failed')
+      return false
+    }finally{ setRouting(false) }
+  }
+
+  useEffect(() => {
+    if (shareUrl && qrRef.current) QRCode.toCanvas(qrRef.current, shareUrl, { width: 192 }).catch(() => {})
+  }, [shareUrl])
+
+  // import a GPX/GeoJSON/KML track, match it to the network and grade it like a designated route
+  const importTrack = async (file) => {
+    if (!file || !map) return
+    setErr(null); setPoolWarning(null); setInsights(null); setRiskMix(null); setRiskBands([]); setDirections([]); setRouting(true)
+    setActivePicker(null); setSharedView(false)
+    try{
+      const { name, coords } = parseTrack(await file.text(), file.name)
+      const matched = await matchTrack(coords)
+      const f = cloneAndLabel(matched, `Imported: ${name || file.name}`, 'imported')
+      f.properties._imported = true
+      f.properties._rider = profileRef.current.id
+      f.properties._conditions = profileRef.current.condition || 'dry'
+      lastPoolsRef.current = null
+
+      riskFCCache.current.clear()
+      f.properties._scores = { risk: riskScore(f, 'safest'), scenic: scenicScore(f) }
+      const overlap = routeOverlap({ geometry:{ coordinates: coords } }, f)
+      if (overlap < 0.8)
+        setPoolWarning(`The matched route follows ${Math.round(overlap * 100)}% of your file — parts of the track are off the cycling network.`)
+
+      setRoutes([f])
+      setRouteInsightsCache([insightsFor(f)])
+      setActiveRouteIdx(0)
+      setGoogleUrl('')
+      lastRouteRef.current = f
+      routeCoordsRef.current = f.geometry?.coordinates || []
+    }catch(e){
+      setErr(e?.message || 'Import failed')
     }finally{ setRouting(false) }
   }
 
+  // loop mode: several round trips from Start, ranked like designated routes
+  const generateLoops = async (overrides = {}) => {
+    if(!map) return
+    setErr(null); setPoolWarning(null); setInsights(null); setRiskMix(null); setRiskBands([]); setDirections([]); setRouting(true)
+    setActivePicker(null); setSharedView(false)
+    try{
+      const o = overrides.origin || originCoord || (originText ? await geocode(originText) : null)
+      if (!o) throw new Error('Enter a start point')
+      const unit = overrides.unit || loopUnit
+      const value = Number(overrides.value ?? loopValue)
+      if (!(value > 0)) throw new Error('Enter a target distance or ride time')
+      const targetM = unit === 'min' ? (value / 60) * cruiseSpeedKph({ power: powerRef.current, calibration: calibrationRef.current }) * 1000 : value * 1000
+      if (targetM < 1000 || targetM > 200000) throw new Error('Loops can be between 1 and 200 km')
+
+      setOriginCoord(o)
+      addOrMoveMarker('origin', o)
+
+      const pools = await fetchLoopCandidates(o, targetM)
+      if (pools.poolWarning) setPoolWarning(pools.poolWarning)
+      lastPoolsRef.current = pools
+      const loops = pickLoops(pools)
+      // the first (safest) loop, or the one a deep link asked for
+      const selIdx = Math.max(0, Math.min(loops.length, overrides.loop || 1) - 1)
+
+      riskFCCache.current.clear()
+      setRoutes(loops)
+      setRouteInsightsCache(loops.map(f => insightsFor(f)))
+      setActiveRouteIdx(selIdx)
+      lastRouteRef.current = loops[selIdx]
+      routeCoordsRef.current = loops[selIdx].geometry?.coordinates || []
+      setGoogleUrl('')
+      setAcResetKey(k => k + 1)
+    }catch(e){
+      keepViewRef.current = false
+      setErr(e?.message || 'Loop generation failed')
+    }finally{ setRouting(false) }
+  }
+  // safe reach: ORS isochrones from Start, plus the part of them reachable on
+  // low-risk separated / buffered infrastructure, traced by routing out along
+  // REACH_RAYS bearings towards the outer isochrone, a few rays at a time
+  const computeReach = async () => {
+    if (!map) return
+    setErr(null); setPoolWarning(null); setReachBusy(true)
+    try{
+      const o = originCoord || (originText ? await geocode(originText) : null)
+      if (!o) throw new Error('Enter a start point')
+      setOriginCoord(o)
+      addOrMoveMarker('origin', o)
+
+      const body = isochroneBody(o)
+      const ranges = body.range
+      const iso = await orsPost(body, 'cycling-regular', 'isochrones')
+      const polys = (iso?.features || []).filter(f => f.geometry?.type === 'Polygon')
+      if (!polys.length) throw new Error('No reachable area found')
+      const outer = polys.reduce((a, b) => ((b.properties?.value ?? 0) > (a.properties?.value ?? 0) ? b : a))
+
+      const targets = boundaryByBearing(outer.geometry.coordinates[0], o, REACH_RAYS)
+      const rays = await settleAll(targets, t => fetchORSWithAlts([o, t], REACH_RAY_REQUEST), REACH_RAY_CONCURRENCY)
+      const timelines = rays.map(r => {
+        const f = r.status === 'fulfilled' ? r.value[0] : null
+        return f ? safeTimeline(f, toRiskFC(f)) : null
+      })
+
+      const features = polys.map(f => ({
+        type:'Feature', properties:{ kind:'all', minutes:Math.round((f.properties?.value ?? 0) / 60) }, geometry:f.geometry,
+      }))
+      for (const sec of ranges) {
+        const geometry = reachPolygon(o, timelines.map(tl => pointAtTime(tl, sec)))
+        if (geometry) features.push({ type:'Feature', properties:{ kind:'safe', minutes:sec / 60 }, geometry })
+      }
+      if (!features.some(f => f.properties.kind === 'safe'))
+        setPoolWarning(timelines.some(Boolean)
+          ? 'No low-risk paths or protected lanes lead out from this start.'
+          : 'Could not trace the safe-reach area — routing failed for every direction.')
+      setReachFC({ type:'FeatureCollection', features })
+    }catch(e){
+      setErr(e?.message || 'Could not compute reach')
+    }finally{ setReachBusy(false) }
+  }
+
+  // --- live navigation: follow the rider along the active route
+  const stopNavigation = () => {
+    if (navWatchRef.current != null) navigator.geolocation?.clearWatch(navWatchRef.current)
+    navWatchRef.current = null
+    navStateRef.current = null
+    wakeLockRef.current?.release?.().catch(() => {})
+    wakeLockRef.current = null
+    if (speechSupported()) window.speechSynthesis.cancel()
+    setNav(null)
+  }
+  const startNavigation = () => {
+    if (!navigator.geolocation) { setErr('Geolocation not supported'); return }
+    if (!lastRouteRef.current || !map) return
+    navStateRef.current = { alongKm: 0, index: 0, offCount: 0, rerouting: false }
+    saidRef.current = { route: null, keys: new Set() }
+    setNav({ stepIdx: 0, nextM: null, offM: 0, status: 'waiting' })
+    navigator.wakeLock?.request('screen').then(l => { wakeLockRef.current = l }).catch(() => {})
+    navWatchRef.current = navigator.geolocation.watchPosition(
+      (p) => navFixRef.current?.(p),
+      (e) => setNav(n => n && { ...n, status: 'no-fix', message: e?.message }),
+      { enableHighAccuracy: true, maximumAge: 2000, timeout: 15000 }
+    )
+  }
+  useEffect(() => () => { if (navWatchRef.current != null) navigator.geolocation?.clearWatch(navWatchRef.current) }, [])
+
+  // off route: designated A → B routes are recomputed from here with the same
+  // tag; loops, imports and shared routes are routed back onto what's left
+  const rerouteFromHere = async (fix) => {
+    const s = navStateRef.current, cur = lastRouteRef.current
+    if (!s || !cur) return
+    s.rerouting = true
+    setNav(n => n && { ...n, status: 'rerouting' })
+    const tag = cur.properties?._tag
+    try{
+      keepViewRef.current = true
+      if (['shortest', 'safest', 'long'].includes(tag) && destCoord) {
+        // skip the via points already ridden past, and drop them once the
+        // new route is in; a failed reroute keeps following the old one
+        const wp = cur.properties?.way_points || []
+        const pinned = viasRef.current.filter(v => v.coord)
+        let ahead = viasRef.current
+        if (wp.length === pinned.length + 2) {
+          const passed = new Set(pinned.filter((v, k) => wp[k + 1] <= s.index).map(v => v.id))
+          if (passed.size) ahead = viasRef.current.filter(v => !passed.has(v.id))
+        }
+        if (!await route({ origin: fix, dest: destCoord, tag, vias: ahead })) return
+        if (ahead !== viasRef.current) commitVias(ahead)
+        setOriginText(`${fix.lat.toFixed(5)},${fix.lng.toFixed(5)}`)
+      } else {
+        const rest = (cur.geometry?.coordinates || []).slice(s.index + 1)
+        const f = cloneAndLabel(await matchTrack([[fix.lng, fix.lat], ...rest]), cur.properties?._label, tag)
+        for (const k of ['_imported', '_rider', '_conditions']) if (cur.properties?.[k] != null) f.properties[k] = cur.properties[k]
+        if (cur.properties?._scores) f.properties._scores = { risk: riskScore(f, 'safest'), scenic: scenicScore(f) }
+        lastRouteRef.current = f
+        routeCoordsRef.current = f.geometry?.coordinates || []
+        setRoutes(rs => rs.map(r => r === cur ? f : r))
+      }
+      Object.assign(s, { alongKm: 0, index: 0 })
+    }catch(e){
+      keepViewRef.current = false
+      setErr(e?.message || 'Rerouting failed')
+    }finally{
+      s.offCount = 0
+      s.rerouting = false
+    }
+  }
+
+  navFixRef.current = (p) => {
+    const s = navStateRef.current
+    const coords = routeCoordsRef.current, cumKm = distKmRef.current
+    if (!s || !map || coords.length < 2 || cumKm.length !== coords.length) return
+    const fix = { lng: p.coords.longitude, lat: p.coords.latitude }
+    const limitM = Math.max(OFF_ROUTE_M, p.coords.accuracy || 0)
+    const snap = snapToRoute(coords, cumKm, fix, { fromKm: s.alongKm, maxOffM: limitM })
+    const off = snap.offM > limitM
+    s.offCount = off ? s.offCount + 1 : 0
+    if (!off) { s.alongKm = snap.alongKm; s.index = snap.index }
+
+    const at = off ? fix : snap.point
+    ensureRouteCursor(); updateRouteCursor(at.lng, at.lat)
+    map.easeTo({ center:[at.lng, at.lat], zoom:Math.max(map.getZoom(), 16), duration:500 })
+
+    const steps = flatSteps(lastRouteRef.current)
+    const stepIdx = currentStepIndex(steps, cumKm, s.alongKm)
+    const nextM = metersToStep(steps[stepIdx + 1], cumKm, s.alongKm)
+    const leftM = (cumKm[cumKm.length - 1] - s.alongKm) * 1000
+    const status = s.rerouting ? 'rerouting' : off ? 'off' : leftM < ARRIVE_M ? 'arrived' : 'on'
+    setNav({ stepIdx, nextM, offM: snap.offM, status })
+
+    const said = saidRef.current
+    if (said.route !== lastRouteRef.current) { said.route = lastRouteRef.current; said.keys = new Set() }
+    for (const c of guidanceCues({ steps, stepIdx, nextM, bands: riskBands, alongKm: s.alongKm, status })) {
+      if (said.keys.has(c.key)) continue
+      said.keys.add(c.key)
+      speak(c.text, voice)
+    }
+
+    if (off && s.offCount >= OFF_ROUTE_FIXES && !s.rerouting) rerouteFromHere(fix)
+  }
+
+  // voices load asynchronously in most browsers
+  useEffect(() => {
+    if (!speechSupported()) return
+    const bump = () => setVoiceList(n => n + 1)
+    window.speechSynthesis.addEventListener('voiceschanged', bump)
+    return () => window.speechSynthesis.removeEventListener('voiceschanged', bump)
+  }, [])
+  useEffect(() => { saveVoiceSettings(voice) }, [voice])
+  useEffect(() => { saveHistory(history) }, [history])
+  useEffect(() => { savePlaces(places) }, [places])
+  useEffect(() => { saveRecentPlaces(recentPlaces) }, [recentPlaces])
+
+  // a search result picked in any box joins the recents; saved places are already one tap away
+  const rememberPlace = ({ center, label, kind }) => {
+    if (kind !== 'saved') setRecentPlaces(list => pushRecent(list, { label, lng: center[0], lat: center[1] }))
+  }
+  const applyPlace = (p, as) => {
+    const c = { lng: p.lng, lat: p.lat }
+    if (as === 'origin') { setOriginCoord(c); setOriginText(p.label); addOrMoveMarker('origin', c) }
+    else if (as === 'dest') { setDestCoord(c); setDestText(p.label); addOrMoveMarker('dest', c) }
+    else setVia(addVia(c), { text: p.label })
+  }
+  const updateVoice = (patch) => setVoice(v => ({ ...v, ...patch }))
+
+  const switchMode = (next) => {
+    if (next === mode) return
+    setMode(next); setActivePicker(null)
+    // a loop has no destination or vias; hide their pins until we're back in A → B
+    if (next === 'loop') {
+      destMarkerRef.current?.remove(); destMarkerRef.current = null
+      syncViaMarkers([])
+    } else {
+      if (destCoord) addOrMoveMarker('dest', destCoord)
+      syncViaMarkers(viasRef.current)
+    }
+  }
+
+  // switch rider profile and re-rank what's on screen without new routing requests
+  const changeRider = (id) => {
+    const profile = riderProfile(id)
+    profileRef.current = withConditions(profile, conditions)
+    setRiderId(profile.id)
+    saveItem(RIDER_KEY, profile.id)
+    rerankRoutes()
+  }
+
+  // wet or frozen ground changes surface risk: re-rank the same candidates
+  const changeConditions = (id) => {
+    profileRef.current = withConditions(riderProfile(riderId), id)
+    setConditions(id)
+    rerankRoutes()
+  }
+  // wind and rider power only change speeds and ETAs, not the ranking
+  const refreshInsights = () => {
+    if (!routes.length) return
+    setRouteInsightsCache(routes.map(insightsFor))
+    if (routes[activeRouteIdx]) setInsights(insightsFor(routes[activeRouteIdx]))
+  }
+  const changeWind = (next) => {
+    windRef.current = next
+    setWind(next)
+    refreshInsights()
+  }
+  const changePower = (patch) => {
+    const next = { ...powerRef.current, ...patch }
+    powerRef.current = next
+    setPower(next)
+    savePowerSettings(next)
+    refreshInsights()
+  }
+  const changeCalibration = (list) => {
+    const model = fitCalibration(list)
+    calibrationRef.current = model
+    setCalibRides(list)
+    setCalibration(model)
+    saveCalibrationRides(list)
+    refreshInsights()
+  }
+
+  // fit personal speeds from recorded rides; matching a ride to the network
+  // adds surface data, and without it the ride still calibrates grades
+  const importRides = async (files) => {
+    if (!files.length) return
+    setCalibBusy(true); setCalibMsg(null)
+    const added = [], failed = []
+    for (const file of files) {
+      try {
+        const ride = parseTrack(await file.text(), file.name)
+        let surfaceAt = null
+        try { surfaceAt = surfaceAlong(await matchTrack(ride.coords)) } catch { /* grade-only */ }
+        added.push(analyzeRide({ ...ride, name: ride.name || file.name }, surfaceAt))
+      } catch (e) {
+        failed.push(`${file.name}: ${e?.message || 'could not read'}`)
+      }
+    }
+    if (added.length) changeCalibration(mergeRides(calibRides, added))
+    setCalibMsg([added.length && `Added ${added.length} ride${added.length === 1 ? '' : 's'}`, ...failed].filter(Boolean).join(' · '))
+    setCalibBusy(false)
+  }
+  const fetchWind = async () => {
+    const at = originCoord || (map && { lng: map.getCenter().lng, lat: map.getCenter().lat })
+    if (!at) return
+    setWeatherBusy(true)
+    try {
+      const obs = await weather.current(at)
+      changeWind(obs.windKph > 0 ? { kph: Math.round(obs.windKph), fromDeg: Math.round(obs.windFromDeg) } : null)
+    } catch (e) {
+      setErr(e?.message || 'Could not load the weather')
+    } finally { setWeatherBusy(false) }
+  }
+  const applyCurrentWeather = async () => {
+    const at = originCoord || (map && { lng: map.getCenter().lng, lat: map.getCenter().lat })
+    if (!at) return
+    setWeatherBusy(true)
+    try {
+      const obs = await weather.current(at)
+      setWeatherObs(obs)
+      changeConditions(conditionFromWeather(obs))
+    } catch (e) {
+      setErr(e?.message || 'Could not load the weather')
+    } finally { setWeatherBusy(false) }
+  }
+
+  // hazard reports change grading: store them and re-rank in place
+  const updateHazards = (list) => {
+    hazardsRef.current = list
+    setHazards(list)
+    saveHazards(list)
+    rerankRoutes({ keepView: true })
+  }
+  const focusHazard = (h) => map?.easeTo({ center:[h.lng, h.lat], zoom: Math.max(map.getZoom(), 16) })
+
+  // avoid areas need new routing requests, so re-plan when what's avoided changes
+  const updateAvoidZones = (list) => {
+    const changed = JSON.stringify(avoidGeometry(list)) !== JSON.stringify(avoidGeometry(avoidZonesRef.current))
+    avoidZonesRef.current = list
+    setAvoidZones(list)
+    saveAvoidZones(list)
+    if (!changed || routing || sharedView || !routes.length || routes[0].properties?._imported) return
+    if (mode === 'loop') generateLoops()
+    else rerouteFromMarkers()
+  }
+  const finishAvoidZone = (name) => {
+    const zone = makeZone({ name, ring: avoidDraft })
+    setAvoidDraft(null)
+    setActivePicker(null)
+    if (zone) updateAvoidZones([...avoidZonesRef.current, zone])
+  }
+  const focusZone = (z) => {
+    if (!map) return
+    const b = new maplibregl.LngLatBounds()
+    z.ring.forEach(p => b.extend(p))
+    map.fitBounds(b, { padding: pad(), maxZoom: 17 })
+  }
+
+  // re-pick the designated routes from the current pools after a grading change
+  const rerankRoutes = ({ keepView = false } = {}) => {
+    if (sharedView || !routes.length) return
+    const profile = profileRef.current
+
+    if (routes[0].properties?._imported) {
+      const f = { ...routes[0], properties: { ...routes[0].properties, _rider: profile.id, _conditions: profile.condition || 'dry' } }
+      f.properties._scores = { risk: riskScore(f, 'safest'), scenic: scenicScore(f) }
+      keepViewRef.current = keepView
+      setRoutes([f])
+      return
+    }
+    if (!lastPoolsRef.current) return
+    const tag = routes[activeRouteIdx]?.properties?._tag
+    const next = lastPoolsRef.current.loopCandidates ? pickLoops(lastPoolsRef.current) : pickDesignated(lastPoolsRef.current)
+    keepViewRef.current = keepView
+    setRoutes(next)
+    setRouteInsightsCache(next.map(f => insightsFor(f)))
+    setActiveRouteIdx(Math.max(0, next.findIndex(f => f.properties?._tag === tag)))
+  }
+
   // camera + cursor + steps
   const pad = () => ({ top:40, right:40, bottom:40, left:(panelRef.current?.offsetWidth ?? 0) + 24 })
   const boundsFor = (feature) => {
@@ -952,6 +1819,17 @@ async function fetchThreeRoutes(o, d) {
     updateRouteCursor(lng, lat)
     map.easeTo({ center:[lng,lat], zoom:Math.max(map.getZoom(),14), duration: panOnly?150:300 })
   }
+  // fit the map to the route between two distances, e.g. a stretch zoomed on the profile
+  const frameKmRange = (fromKm, toKm) => {
+    const coords = routeCoordsRef.current, distKm = distKmRef.current
+    if (!map || !coords?.length || !distKm?.length) return
+    const b = new maplibregl.LngLatBounds()
+    for (let i = 0; i < coords.length && i < distKm.length; i++) {
+      if (distKm[i] >= fromKm && distKm[i] <= toKm) b.extend([coords[i][0], coords[i][1]])
+    }
+    if (b.isEmpty()) return focusAtKm((fromKm + toKm) / 2)
+    map.fitBounds(b, { padding: pad(), maxZoom: 17, duration: 400 })
+  }
   const flatSteps = (feature) => {
     const segs = feature?.properties?.segments || []; const out=[]
     segs.forEach((seg, si) => (seg.steps||[]).forEach((s, idx) => out.push({ ...s, segIndex:si, stepIndex:idx })))
@@ -987,13 +1865,32 @@ async function fetchThreeRoutes(o, d) {
     setActiveRouteIdx(idx)
     lastRouteRef.current = feature
     routeCoordsRef.current = feature.geometry?.coordinates || []
-    const ins = getInsights(feature)
+    const ins = insightsFor(feature)
     setInsights(ins)
     fitRoute(feature, { tightness: 1.6 })
   }
 
+  // export the active route exactly as drawn (geometry + cue points)
+  const exportActiveRoute = (format) => {
+    if (!activeRoute) return
+    const tag = activeRoute.properties?._tag || 'route'
+    const name = `BikeSafe ${activeRoute.properties?._label || tag}`
+    const text = format === 'tcx'
+      ? toTCX(activeRoute, directions, { name, speedKph: insights?.avgSpeedKph || 18 })
+      : toGPX(activeRoute, directions, { name })
+    downloadText(`bikesafe-${tag}.${format}`, text, format === 'tcx' ? 'application/vnd.garmin.tcx+xml' : 'application/gpx+xml')
+  }
+
   // ui
   const dragPinStyle = { display:'inline-flex', alignItems:'center', justifyContent:'center', width:36, height:36, marginLeft:8, borderRadius:8, cursor:'grab', border:'1px solid #2a3b5f', background:'#0e172a', fontSize:18, userSelect:'none' }
+  const viaBtnStyle = { padding:'0 8px', borderRadius:8, border:'1px solid #2a3b5f', background:'#0e172a', color:'#cfe1ff', cursor:'pointer' }
+  const pickerLabel = activePicker === 'origin' ? 'Start'
+    : activePicker === 'hazard' ? 'the hazard'
+    : activePicker === 'avoid' ? 'avoid-area corners'
+    : String(activePicker).startsWith('via:') ? `Via ${vias.findIndex(v => `via:${v.id}` === activePicker) + 1}`
+    : 'Destination'
+  // imported tracks are routed through many sample points; those aren't legs worth labelling
+  const legCount = activeRoute?.properties?._imported ? 1 : new Set(directions.map(st => st.segIndex)).size
 
   return (
     <div className="map-wrap">
@@ -1001,63 +1898,300 @@ async function fetchThreeRoutes(o, d) {
         {err && <div role="alert" aria-live="assertive" style={{background:'#3b1f1f',color:'#ffd9d9',padding:8,borderRadius:8,marginBottom:8}}>{err}</div>}
         {poolWarning && <div role="status" style={{background:'#2d2510',color:'#fde68a',padding:8,borderRadius:8,marginBottom:8,fontSize:13}}>{poolWarning}</div>}
 
-        <label>
-          Start
-          <div className="row">
-            <GeoAutocomplete
-              key={`origin-${acResetKey}`}
-              value={originText}
-              onChange={setOriginText}
-              onSelect={({center,label})=>{
-                const c={lng:center[0],lat:center[1]}
-                setOriginCoord(c); setOriginText(label); addOrMoveMarker('origin', c)
-                try{ document.activeElement?.blur?.() }catch{}
-              }}
-              placeholder="Enter origin"
-              onFocus={()=>{ setActivePicker('origin'); setInsights(null) }}
-              biasProximity={biasProximity}
-              biasBBox={biasBBox}
-            />
-            <div draggable onDragStart={(e)=>onDragStartPin(e,'origin')} title="Drag this pin onto the map to set Start" aria-grabbed="false" style={{...dragPinStyle, color:'#22c55e'}}>📍</div>
-            <button type="button" onClick={()=>useMyLocation('origin')}>Use my location</button>
+        {sharedView ? (
+          <div role="status" style={{background:'#0e172a', border:'1px solid #2a3b5f', color:'#cfe1ff', padding:10, borderRadius:8, marginBottom:8, fontSize:13}}>
+            <div style={{fontWeight:600, marginBottom:4}}>Shared route — read-only</div>
+            <div style={{color:'#9fb1c7', marginBottom:8}}>This is the exact route that was shared with you, with its risk grading.</div>
+            <button type="button" className="secondary" onClick={planFromShared} disabled={routing}>
+              {routing ? 'Routing…' : 'Plan my own from these endpoints'}
+            </button>
           </div>
-        </label>
-
-        <label>
-          Destination
-          <div className="row">
-            <GeoAutocomplete
-              key={`dest-${acResetKey}`}
-              value={destText}
-              onChange={setDestText}
-              onSelect={({center,label})=>{
-                const c={lng:center[0],lat:center[1]}
-                setDestCoord(c); setDestText(label); addOrMoveMarker('dest', c)
-                try{ document.activeElement?.blur?.() }catch{}
-              }}
-              placeholder="Enter destination"
-              onFocus={()=>{ setActivePicker('destination'); setInsights(null) }}
-              biasProximity={biasProximity}
-              biasBBox={biasBBox}
-            />
-            <div draggable onDragStart={(e)=>onDragStartPin(e,'dest')} title="Drag this pin onto the map to set Destination" aria-grabbed="false" style={{...dragPinStyle, color:'#ef4444'}}>📍</div>
-            <button type="button" onClick={()=>useMyLocation('destination')}>Use my location</button>
+        ) : (<>
+          <div role="radiogroup" aria-label="Planning mode" style={{ display:'flex', gap:6, marginBottom:10 }}>
+            {[['ab', 'A → B'], ['loop', 'Round-trip loop']].map(([id, text]) => (
+              <button
+                key={id}
+                type="button"
+                role="radio"
+                aria-checked={mode === id}
+                onClick={() => switchMode(id)}
+                style={{ flex:1, padding:'6px 10px', borderRadius:8, cursor:'pointer', border:`1px solid ${mode === id ? '#60a5fa' : '#2a3b5f'}`, background: mode === id ? '#1e293b' : '#0e172a', color:'#cfe1ff' }}
+              >
+                {text}
+              </button>
+            ))}
           </div>
-        </label>
 
-        {activePicker && (
-          <div style={{margin:'8px 0', fontSize:12, color:'#9fb1c7'}}>
-            Click on the map to set <b>{activePicker === 'origin' ? 'Start' : 'Destination'}</b> • Press <kbd>Esc</kbd> to cancel
+          <label>
+            Start
+            <div className="row">
+              <GeoAutocomplete
+                key={`origin-${acResetKey}`}
+                value={originText}
+                onChange={setOriginText}
+                onSelect={(sel)=>{
+                  const { center, label } = sel
+                  const c={lng:center[0],lat:center[1]}
+                  setOriginCoord(c); setOriginText(label); addOrMoveMarker('origin', c); rememberPlace(sel)
+                  try{ document.activeElement?.blur?.() }catch{}
+                }}
+                placeholder="Enter origin"
+                onFocus={()=>{ setActivePicker('origin'); setInsights(null) }}
+                biasProximity={biasProximity}
+                biasBBox={biasBBox}
+                places={places}
+                recents={recentPlaces}
+                geocoder={geocoder}
+              />
+              <div draggable onDragStart={(e)=>onDragStartPin(e,'origin')} title="Drag this pin onto the map to set Start" aria-grabbed="false" style={{...dragPinStyle, color:'#22c55e'}}>📍</div>
+              <button type="button" onClick={()=>useMyLocation('origin')}>Use my location</button>
+            </div>
+          </label>
+
+          {mode === 'ab' ? (<>
+            {vias.map((v, n) => (
+              <label key={v.id}>
+                Via {n + 1}
+                <div className="row">
+                  <GeoAutocomplete
+                    key={`via-${v.id}-${acResetKey}`}
+                    value={v.text}
+                    onChange={(t)=>setVia(v.id, { text:t, coord:null })}
+                    onSelect={(sel)=>{
+                      const { center, label } = sel
+                      setVia(v.id, { coord:{ lng:center[0], lat:center[1] }, text:label }); rememberPlace(sel)
+                      document.activeElement?.blur?.()
+                    }}
+                    placeholder="Enter via point"
+                    onFocus={()=>{ setActivePicker(`via:${v.id}`); setInsights(null) }}
+                    biasProximity={biasProximity}
+                    biasBBox={biasBBox}
+                    places={places}
+                    recents={recentPlaces}
+                    geocoder={geocoder}
+                  />
+                  <button type="button" style={viaBtnStyle} onClick={()=>moveVia(v.id, -1)} disabled={n === 0} title="Move up" aria-label={`Move via ${n + 1} up`}>↑</button>
+                  <button type="button" style={viaBtnStyle} onClick={()=>moveVia(v.id, +1)} disabled={n === vias.length - 1} title="Move down" aria-label={`Move via ${n + 1} down`}>↓</button>
+                  <button type="button" style={viaBtnStyle} onClick={()=>removeVia(v.id)} title="Remove via point" aria-label={`Remove via ${n + 1}`}>✕</button>
+                </div>
+              </label>
+            ))}
+
+            <div className="row" style={{ alignItems:'center', marginBottom:10 }}>
+              <button type="button" className="secondary" onClick={()=>{ const id = addVia(); setActivePicker(`via:${id}`) }}>+ Add via point</button>
+              <div draggable onDragStart={(e)=>onDragStartPin(e,'via')} title="Drag this pin onto the map to add a via point" aria-grabbed="false" style={{...dragPinStyle, color:VIA_COLOR}}>📍</div>
+            </div>
+
+            <label>
+              Destination
+              <div className="row">
+                <GeoAutocomplete
+                  key={`dest-${acResetKey}`}
+                  value={destText}
+                  onChange={setDestText}
+                  onSelect={(sel)=>{
+                    const { center, label } = sel
+                    const c={lng:center[0],lat:center[1]}
+                    setDestCoord(c); setDestText(label); addOrMoveMarker('dest', c); rememberPlace(sel)
+                    try{ document.activeElement?.blur?.() }catch{}
+                  }}
+                  placeholder="Enter destination"
+                  onFocus={()=>{ setActivePicker('destination'); setInsights(null) }}
+                  biasProximity={biasProximity}
+                  biasBBox={biasBBox}
+                  places={places}
+                  recents={recentPlaces}
+                  geocoder={geocoder}
+                />
+                <div draggable onDragStart={(e)=>onDragStartPin(e,'dest')} title="Drag this pin onto the map to set Destination" aria-grabbed="false" style={{...dragPinStyle, color:'#ef4444'}}>📍</div>
+                <button type="button" onClick={()=>useMyLocation('destination')}>Use my location</button>
+              </div>
+            </label>
+          </>) : (
+            <label>
+              Loop length
+              <div className="row">
+                <input
+                  type="number"
+                  min="1"
+                  step={loopUnit === 'km' ? 1 : 5}
+                  value={loopValue}
+                  onChange={e => setLoopValue(e.target.value)}
+                  aria-label={loopUnit === 'km' ? 'Target distance in kilometres' : 'Target ride time in minutes'}
+                />
+                <select
+                  value={loopUnit}
+                  onChange={e => setLoopUnit(e.target.value)}
+                  aria-label="Loop target unit"
+                  style={{ padding:'10px 12px', borderRadius:10, border:'1px solid #2a3246', background:'#0d121b', color:'#eef3f8' }}
+                >
+                  <option value="km">km</option>
+                  <option value="min">minutes</option>
+                </select>
+              </div>
+              {loopUnit === 'min' && <span style={{ display:'block', marginTop:4, fontSize:12, color:'#9fb1c7' }}>≈ {((Number(loopValue) || 0) / 60 * cruiseSpeedKph({ power, calibration })).toFixed(1)} km at {cruiseSpeedKph({ power, calibration }).toFixed(0)} km/h</span>}
+            </label>
+          )}
+
+          {activePicker && (
+            <div style={{margin:'8px 0', fontSize:12, color:'#9fb1c7'}}>
+              Click on the map to set <b>{pickerLabel}</b> • Press <kbd>Esc</kbd> to cancel
+            </div>
+          )}
+
+          <label>
+            Rider profile
+            <select
+              value={riderId}
+              onChange={e => changeRider(e.target.value)}
+              aria-describedby="rider-profile-desc"
+              style={{ display:'block', width:'100%', marginTop:6, padding:'10px 12px', borderRadius:10, border:'1px solid #2a3246', background:'#0d121b', color:'#eef3f8' }}
+            >
+              {Object.values(RIDER_PROFILES).map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+            </select>
+            <span id="rider-profile-desc" style={{ display:'block', marginTop:4, fontSize:12, color:'#9fb1c7' }}>{riderProfile(riderId).description}</span>
+          </label>
+
+          <div>
+            <span id="conditions-label">Conditions</span>
+            <div style={{ display:'flex', gap:8, marginTop:6 }}>
+              <select
+                aria-labelledby="conditions-label"
+                value={conditions}
+                onChange={e => { setWeatherObs(null); changeConditions(e.target.value) }}
+                style={{ flex:1, padding:'10px 12px', borderRadius:10, border:'1px solid #2a3246', background:'#0d121b', color:'#eef3f8' }}
+              >
+                {Object.values(CONDITIONS).map(c => <option key={c.id} value={c.id}>{c.label}</option>)}
+              </select>
+              <button type="button" className="secondary" onClick={applyCurrentWeather} disabled={weatherBusy} title={`Set from current weather (${weather.label})`}>
+                {weatherBusy ? 'Checking…' : 'Use current weather'}
+              </button>
+            </div>
+            {weatherObs && (
+              <span role="status" style={{ display:'block', marginTop:4, fontSize:12, color:'#9fb1c7' }}>
+                {weatherObs.summary || 'Current weather'}{weatherObs.tempC != null && `, ${Math.round(weatherObs.tempC)}°C`} → {CONDITIONS[conditionFromWeather(weatherObs)].label.toLowerCase()}
+              </span>
+            )}
+          </div>
+
+          <div role="group" aria-labelledby="wind-label">
+            <span id="wind-label">Wind</span>
+            <div style={{ display:'flex', gap:8, marginTop:6, alignItems:'center' }}>
+              <input
+                type="number" min="0" max="120" step="1" inputMode="numeric" placeholder="Calm"
+                value={wind?.kph ?? ''}
+                onChange={e => { const kph = Number(e.target.value); changeWind(kph > 0 ? { kph, fromDeg: wind?.fromDeg ?? 270 } : null) }}
+                aria-label="Wind speed in km/h"
+                style={{ width:80, padding:'10px 12px', borderRadius:10, border:'1px solid #2a3246', background:'#0d121b', color:'#eef3f8' }}
+              />
+              <span style={{ fontSize:13, color:'#9fb1c7' }}>km/h from</span>
+              <select
+                value={wind ? (Math.round(wind.fromDeg / 22.5) % 16) * 22.5 : 270}
+                onChange={e => changeWind({ kph: wind?.kph || 15, fromDeg: Number(e.target.value) })}
+                aria-label="Wind direction (blowing from)"
+                style={{ padding:'10px 8px', borderRadius:10, border:'1px solid #2a3246', background:'#0d121b', color:'#eef3f8' }}
+              >
+                {Array.from({ length:16 }, (_, k) => k * 22.5).map(d => <option key={d} value={d}>{compassPoint(d)}</option>)}
+              </select>
+              <button type="button" className="secondary" onClick={fetchWind} disabled={weatherBusy} title={`Current wind (${weather.label})`}>
+                {weatherBusy ? '…' : 'Current'}
+              </button>
+            </div>
           </div>
-        )}
 
-        <button className="primary" type="button" onClick={route} disabled={routing} aria-busy={routing} aria-live="polite">
-          {routing ? 'Routing…' : 'Find Bike-Safe Route'}
-        </button>
+          <details style={{ fontSize:13 }}>
+            <summary style={{ cursor:'pointer', color:'#9fb1c7' }}>
+              {calibration
+                ? `Speeds calibrated from ${calibration.rides} ride${calibration.rides === 1 ? '' : 's'}`
+                : `Effort & bike: ${power.effort === 'custom' ? `${power.watts} W` : EFFORTS[power.effort]?.label.toLowerCase()}`}, ≈{cruiseSpeedKph({ power, calibration }).toFixed(0)} km/h on the flat
+            </summary>
+            <div style={{ display:'grid', gridTemplateColumns:'auto 1fr', gap:'6px 8px', alignItems:'center', marginTop:6 }}>
+              <span>Effort</span>
+              <div style={{ display:'flex', gap:6 }}>
+                <select value={power.effort} onChange={e => changePower({ effort: e.target.value })} aria-label="Effort"
+                  style={{ flex:1, padding:'6px 8px', borderRadius:8, border:'1px solid #2a3246', background:'#0d121b', color:'#eef3f8' }}>
+                  {Object.entries(EFFORTS).map(([id, x]) => <option key={id} value={id}>{x.label} (~{x.watts} W)</option>)}
+                  <option value="custom">Target power…</option>
+                </select>
+                {power.effort === 'custom' && (
+                  <input type="number" min="30" max="600" step="5" value={power.watts} aria-label="Target power in watts"
+                    onChange={e => changePower({ watts: Number(e.target.value) })}
+                    style={{ width:72, padding:'6px 8px', borderRadius:8, border:'1px solid #2a3246', background:'#0d121b', color:'#eef3f8' }} />
+                )}
+              </div>
+              <span>Position</span>
+              <select value={power.position} onChange={e => changePower({ position: e.target.value })} aria-label="Riding position"
+                style={{ padding:'6px 8px', borderRadius:8, border:'1px solid #2a3246', background:'#0d121b', color:'#eef3f8' }}>
+                {Object.entries(POSITIONS).map(([id, x]) => <option key={id} value={id}>{x.label}</option>)}
+              </select>
+              <span>Rider + bike</span>
+              <label style={{ display:'flex', gap:6, alignItems:'center' }}>
+                <input type="number" min="30" max="250" step="1" value={power.massKg} aria-label="Rider plus bike mass in kg"
+                  onChange={e => changePower({ massKg: Number(e.target.value) })}
+                  style={{ width:72, padding:'6px 8px', borderRadius:8, border:'1px solid #2a3246', background:'#0d121b', color:'#eef3f8' }} />
+                kg
+              </label>
+            </div>
+            <div style={{ marginTop:8, paddingTop:8, borderTop:'1px solid #1f2a40', color:'#9fb1c7' }}>
+              {calibration ? (
+                <>
+                  <b style={{ color:'#cfe1ff' }}>Calibrated from {calibration.rides} ride{calibration.rides === 1 ? '' : 's'}</b> ({calibration.km.toFixed(0)} km).
+                  Your rides set the speeds; effort and position fill in grades you haven't ridden and the energy estimate.
+                </>
+              ) : (
+                <>
+                  Speeds come from the power model. Import recorded rides (GPX with timestamps) to fit them to how you actually ride.
+                  {calibRides.length > 0 && ` ${calibRides.length} imported so far — not enough moving time on any grade yet.`}
+                </>
+              )}
+              <div style={{ display:'flex', gap:8, alignItems:'center', marginTop:6 }}>
+                <label className="secondary" style={{ cursor: calibBusy ? 'wait' : 'pointer', textDecoration:'underline' }}>
+                  {calibBusy ? 'Reading rides…' : calibration ? 'Add rides' : 'Calibrate from my rides'}
+                  <input type="file" accept=".gpx" multiple style={{ display:'none' }} disabled={calibBusy}
+                    onChange={(e) => { const files = Array.from(e.target.files || []); e.target.value = ''; importRides(files) }} />
+                </label>
+                {calibRides.length > 0 && (
+                  <button type="button" className="secondary" disabled={calibBusy}
+                    onClick={() => { changeCalibration([]); setCalibMsg('Calibration reset') }}>
+                    Reset
+                  </button>
+                )}
+              </div>
+              {calibMsg && <div role="status" style={{ marginTop:4 }}>{calibMsg}</div>}
+            </div>
+          </details>
+
+          {mode === 'ab' ? (
+            <button className="primary" type="button" onClick={route} disabled={routing} aria-busy={routing} aria-live="polite">
+              {routing ? 'Routing…' : 'Find Bike-Safe Route'}
+            </button>
+          ) : (
+            <button className="primary" type="button" onClick={() => generateLoops()} disabled={routing} aria-busy={routing} aria-live="polite">
+              {routing ? 'Finding loops…' : 'Generate Safe Loops'}
+            </button>
+          )}
+
+          <label style={{ marginTop:8, fontSize:13, color:'#9fb1c7', cursor:'pointer' }} title="Load a GPX, GeoJSON or KML track and grade its risk">
+            <span style={{ textDecoration:'underline' }}>Import a track to grade (GPX, GeoJSON, KML)</span>
+            <input
+              type="file"
+              accept=".gpx,.geojson,.json,.kml"
+              style={{ display:'none' }}
+              disabled={routing}
+              onChange={(e) => { const file = e.target.files?.[0]; e.target.value = ''; importTrack(file) }}
+            />
+          </label>
+        </>)}
         
         {!!routes.length && (
           <div style={{marginTop:12}}>
             <h3 style={{margin:'8px 0', color:'#cfe1ff', fontSize:14}}>Designated Routes</h3>
+            {routes[0]?.properties?._rider && (
+              <div style={{margin:'-4px 0 8px', fontSize:12, color:'#9fb1c7'}}>
+                Ranked for <b>{riderProfile(routes[0].properties._rider).label}</b>
+                {routes[0].properties._conditions && routes[0].properties._conditions !== 'dry' && <> in <b>{CONDITIONS[routes[0].properties._conditions]?.label.toLowerCase()}</b> conditions</>}
+              </div>
+            )}
             <div role="listbox" aria-label="Route options" style={{display:'flex', flexDirection:'column', gap:8}}>
               {routes.map((r, i) => {
                 const label = r.properties?._label || r.properties?._preference || `Route ${i+1}`
@@ -1083,12 +2217,27 @@ async function fetchThreeRoutes(o, d) {
                     {stats && (
                       <div style={{fontSize:12, opacity:0.8}}>
                         { (stats.totalDistM/1000).toFixed(1) } km • ↑{Math.round(stats.ascentM)}m • ETA {Math.round(stats.etaMin)} min
+                        {stats.wind && Math.round(stats.wind.etaDeltaMin) !== 0 && ` (${stats.wind.etaDeltaMin > 0 ? '+' : '−'}${Math.abs(Math.round(stats.wind.etaDeltaMin))} min wind)`}
+                      </div>
+                    )}
+                    {r.properties?._scores && (
+                      <div style={{fontSize:12, opacity:0.8}}>
+                        Risk {r.properties._scores.risk.toFixed(2)}/km{r.properties._scores.scenic != null && ` • Scenic ${r.properties._scores.scenic.toFixed(1)}`}
                       </div>
                     )}
+                    {r.properties?._avoidIgnored && (
+                      <div style={{fontSize:12, color:'#fde68a'}}>⚠ Routed without your avoid areas — the routing service couldn't use them</div>
+                    )}
                   </button>
                 )
               })}
             </div>
+            <RouteComparison
+              count={routes.length}
+              columns={compareColumns}
+              activeIdx={activeRouteIdx}
+              onSelect={(i) => { setActiveRouteIdx(i); selectRoute(i, routes[i]) }}
+            />
           </div>
         )}
 
@@ -1105,11 +2254,78 @@ async function fetchThreeRoutes(o, d) {
           </label>
         </div>
 
+        <div style={{ display:'flex', gap:8, marginTop:8, alignItems:'center', flexWrap:'wrap' }}>
+          <button type="button" className="secondary" onClick={computeReach} disabled={reachBusy || !mapReady} title="Area you can ride to from Start in 10, 20 and 30 minutes">
+            {reachBusy ? 'Computing reach…' : 'Show reach from Start'}
+          </button>
+          {reachFC && <button type="button" className="secondary" onClick={() => setReachFC(null)}>Clear reach</button>}
+        </div>
+        {reachFC && (
+          <div style={{ display:'flex', gap:12, marginTop:6, alignItems:'center', flexWrap:'wrap', fontSize:14 }} role="group" aria-label="Reach layers">
+            {REACH_MINUTES.map(m => (
+              <label key={m} style={{ display:'inline-flex', gap:6, alignItems:'center' }}>
+                <input type="checkbox" checked={reachMinutes.includes(m)}
+                  onChange={e => setReachMinutes(cur => e.target.checked ? [...cur, m] : cur.filter(x => x !== m))} />
+                {m} min
+              </label>
+            ))}
+            <label style={{ display:'inline-flex', gap:6, alignItems:'center' }}>
+              <input type="checkbox" checked={showReachAll} onChange={e => setShowReachAll(e.target.checked)} />
+              <i style={{display:'inline-block',width:10,height:10,background:'#60a5fa',borderRadius:3}} aria-hidden="true"/>Any road
+            </label>
+            <label style={{ display:'inline-flex', gap:6, alignItems:'center' }}>
+              <input type="checkbox" checked={showReachSafe} onChange={e => setShowReachSafe(e.target.checked)} />
+              <i style={{display:'inline-block',width:10,height:10,background:'#10b981',borderRadius:3}} aria-hidden="true"/>Low-risk paths &amp; lanes
+            </label>
+          </div>
+        )}
+
+        <HazardReports
+          hazards={hazards}
+          onChange={updateHazards}
+          draft={hazardDraft}
+          picking={activePicker === 'hazard'}
+          onPick={() => setActivePicker(activePicker === 'hazard' ? null : 'hazard')}
+          onCancelDraft={() => setHazardDraft(null)}
+          onFocus={focusHazard}
+        />
+
+        <AvoidZones
+          zones={avoidZones}
+          onChange={updateAvoidZones}
+          draft={activePicker === 'avoid' ? (avoidDraft || []) : null}
+          onDraw={() => { setAvoidDraft([]); setActivePicker('avoid') }}
+          onUndo={() => setAvoidDraft(d => (d || []).slice(0, -1))}
+          onFinish={finishAvoidZone}
+          onCancel={() => { setAvoidDraft(null); setActivePicker(null) }}
+          onFocus={focusZone}
+        />
+
+        <SavedPlaces
+          places={places}
+          onChange={setPlaces}
+          recents={recentPlaces}
+          onClearRecents={() => setRecentPlaces([])}
+          candidates={[
+            originCoord && { id:'origin', name:'Origin', coord: originCoord, text: originText },
+            mode === 'ab' && destCoord && { id:'dest', name:'Destination', coord: destCoord, text: destText },
+          ].filter(Boolean)}
+          onUse={applyPlace}
+          loopMode={mode === 'loop'}
+        />
+
+        <PlanHistory
+          entries={history}
+          onChange={setHistory}
+          onOpen={(e) => restorePlan({ ...e.plan, tag: e.tag, view: null })}
+        />
+
         <RouteInsights
           i={insights}
           bands={riskBands}
           onScrub={(km)=>focusAtKm(km, { panOnly:true })}
           onSelect={(km)=>focusAtKm(km)}
+          onFrame={frameKmRange}
         />
 
         <div style={{marginTop:8, fontSize:12, color:'#9fb1c7'}} role="legend" aria-label="Risk level legend">
@@ -1123,10 +2339,65 @@ async function fetchThreeRoutes(o, d) {
 
         {!!directions.length && (
           <div className="directions-card" style={{marginTop:12, padding:12, borderRadius:8, background:'#0b1220', color:'#e6efff', border:'1px solid #1f2a40'}}>
-            <h3 style={{margin:'0 0 6px'}}>Directions</h3>
+            <div style={{display:'flex', alignItems:'center', justifyContent:'space-between', gap:8, marginBottom:6}}>
+              <h3 style={{margin:0}}>Directions</h3>
+              {nav
+                ? <button type="button" className="secondary" onClick={stopNavigation}>Stop navigation</button>
+                : <button type="button" className="secondary" onClick={startNavigation} title="Follow your position along this route">Start navigation</button>}
+            </div>
+            {nav && (
+              <div role="status" aria-live="polite" style={{margin:'0 0 8px', padding:'8px 10px', borderRadius:8, background: nav.status === 'off' || nav.status === 'rerouting' ? '#3b1d1d' : '#13233f', fontSize:15}}>
+                {nav.status === 'waiting' && 'Waiting for GPS…'}
+                {nav.status === 'no-fix' && `No GPS fix${nav.message ? ` — ${nav.message}` : ''}`}
+                {nav.status === 'off' && `Off route by ${fmtDist(nav.offM)}`}
+                {nav.status === 'rerouting' && 'Off route — finding a new route from here…'}
+                {nav.status === 'arrived' && 'You have arrived'}
+                {nav.status === 'on' && (directions[nav.stepIdx + 1]
+                  ? <><b>In {fmtDist(nav.nextM)}:</b> {directions[nav.stepIdx + 1].instruction}</>
+                  : <><b>{fmtDist(nav.nextM)}</b> to destination</>)}
+              </div>
+            )}
+            {speechSupported() && (
+              <details style={{margin:'0 0 8px', fontSize:13}}>
+                <summary style={{cursor:'pointer', color:'#9fb1c7'}}>
+                  Voice guidance: {voice.muted ? 'muted' : 'on'}
+                </summary>
+                <div style={{display:'flex', gap:8, flexWrap:'wrap', alignItems:'center', marginTop:6}}>
+                  <button type="button" className="secondary" onClick={() => updateVoice({ muted: !voice.muted })} aria-pressed={voice.muted}>
+                    {voice.muted ? 'Unmute' : 'Mute'}
+                  </button>
+                  <label style={{display:'inline-flex', gap:6, alignItems:'center'}}>
+                    Language
+                    <select value={voice.lang} onChange={e => updateVoice({ lang: e.target.value, voiceURI: '' })}>
+                      {[...new Set([voice.lang, ...voiceLanguages()])].map(l => <option key={l} value={l}>{l}</option>)}
+                    </select>
+                  </label>
+                  <label style={{display:'inline-flex', gap:6, alignItems:'center'}}>
+                    Voice
+                    <select value={voice.voiceURI} onChange={e => updateVoice({ voiceURI: e.target.value })}>
+                      <option value="">Default</option>
+                      {voicesFor(voice.lang).map(v => <option key={v.voiceURI} value={v.voiceURI}>{v.name}</option>)}
+                    </select>
+                  </label>
+                  <label style={{display:'inline-flex', gap:6, alignItems:'center'}}>
+                    Rate
+                    <input type="range" min="0.6" max="1.6" step="0.1" value={voice.rate}
+                      onChange={e => updateVoice({ rate: Number(e.target.value) })} aria-valuetext={`${voice.rate}×`} />
+                    {voice.rate.toFixed(1)}×
+                  </label>
+                  <button type="button" className="secondary" onClick={() => speak('In 200 metres, turn left.', { ...voice, muted: false }, { interrupt: true })}>Test</button>
+                </div>
+              </details>
+            )}
             <ol style={{margin:0, paddingLeft:18, maxHeight:220, overflow:'auto', fontSize:14}}>
-              {directions.map((st) => (
-                <li key={`${st.segIndex}-${st.stepIndex}`} style={{margin:'4px 0', lineHeight:1.35}}>
+              {directions.map((st, i) => (
+                <li key={`${st.segIndex}-${st.stepIndex}`} style={{margin:'4px 0', lineHeight:1.35, ...(nav?.stepIdx === i ? { background:'#13233f', borderRadius:6 } : {})}}
+                  aria-current={nav?.stepIdx === i ? 'step' : undefined}>
+                  {legCount > 1 && st.stepIndex === 0 && (
+                    <div style={{fontSize:12, color:'#9fb1c7', margin:'6px 0 2px'}}>
+                      Leg {st.segIndex + 1} — to {st.segIndex + 1 < legCount ? `Via ${st.segIndex + 1}` : 'Destination'}
+                    </div>
+                  )}
                   <button
                     type="button"
                     onClick={()=>focusStep(st)}
@@ -1144,14 +2415,26 @@ async function fetchThreeRoutes(o, d) {
           </div>
         )}
 
+        {activeRoute && (
+          <div style={{marginTop:12}}>
+            <h3 style={{margin:'0 0 6px', color:'#cfe1ff', fontSize:14}}>Export for your bike computer</h3>
+            <div style={{ display:'flex', gap:8, flexWrap:'wrap' }}>
+              <button type="button" className="secondary" onClick={() => exportActiveRoute('gpx')} title="GPX track with turn cues (Garmin, Wahoo, most apps)">Download GPX</button>
+              <button type="button" className="secondary" onClick={() => exportActiveRoute('tcx')} title="TCX course with course points (Garmin)">Download TCX</button>
+            </div>
+          </div>
+        )}
+
         {shareUrl && (
           <div className="share" style={{marginTop:12}}>
             <h3>Share to your phone</h3>
-            <ShareButtons url={shareUrl} />
-            <canvas ref={qrRef} aria-label="QR code for opening this route on your phone" />
-            <p><a href={shareUrl} target="_blank" rel="noreferrer">Open route in Google Maps</a></p>
+            <ShareButtons url={shareUrl} fallbackUrl={googleUrl} />
+            <canvas ref={qrRef} aria-label="QR code for opening this route in BikeSafe on your phone" />
+            {googleUrl && <p><a href={googleUrl} target="_blank" rel="noreferrer">Open route in Google Maps</a></p>}
           </div>
         )}
+
+        <CacheSettings />
       </div>
 
       <div style={{position:'relative'}}>
@@ -0,0 +1,70 @@
+import React, { useEffect, useState } from 'react'
+import { listCache, deleteCacheEntry, clearCache, CACHE_MAX_BYTES, CACHE_KIND_LABEL } from '../utils/cache.js'
+
+const fmtBytes = (n) => (n < 1024 ? `${n} B` : n < 1024 * 1024 ? `${(n / 1024).toFixed(0)} KB` : `${(n / 1024 / 1024).toFixed(1)} MB`)
+
+const fmtAge = (t) => {
+  const min = Math.round((Date.now() - t) / 60000)
+  if (min < 1) return 'just now'
+  if (min < 60) return `${min} min ago`
+  if (min < 48 * 60) return `${Math.round(min / 60)} h ago`
+  return `${Math.round(min / 1440)} d ago`
+}
+
+// Offline cache inspector: what's stored, how big, and ways to clear it
+export default function CacheSettings(){
+  const [open, setOpen] = useState(false)
+  const [entries, setEntries] = useState([])
+  const [busy, setBusy] = useState(false)
+
+  const refresh = async () => {
+    try { setEntries(await listCache()) } catch { setEntries([]) }
+  }
+  useEffect(() => { if (open) refresh() }, [open])
+
+  const run = async (fn) => {
+    setBusy(true)
+    try { await fn() } catch (e) { console.warn('[cache]', e) }
+    await refresh()
+    setBusy(false)
+  }
+
+  const total = entries.reduce((s, e) => s + (e.size || 0), 0)
+  const now = Date.now()
+
+  return (
+    <details style={{ marginTop:12, fontSize:13, color:'#cfe1ff' }} onToggle={e => setOpen(e.currentTarget.open)}>
+      <summary style={{ cursor:'pointer' }}>Offline cache</summary>
+      <p style={{ margin:'6px 0', color:'#9fb1c7' }}>
+        Routes and place searches are kept on this device so repeat plans load instantly and work without a connection.
+      </p>
+      <div style={{ margin:'6px 0' }}>
+        {entries.length} saved responses • {fmtBytes(total)} of {fmtBytes(CACHE_MAX_BYTES)}
+        {Object.entries(CACHE_KIND_LABEL).map(([kind, label]) => {
+          const n = entries.filter(e => e.kind === kind).length
+          return n ? <span key={kind} style={{ color:'#9fb1c7' }}> • {label}: {n}</span> : null
+        })}
+      </div>
+      <div style={{ display:'flex', gap:8, flexWrap:'wrap', marginBottom:8 }}>
+        <button type="button" className="secondary" disabled={busy} onClick={() => run(() => clearCache('ors'))}>Clear routes</button>
+        <button type="button" className="secondary" disabled={busy} onClick={() => run(() => clearCache('geocode'))}>Clear searches</button>
+        <button type="button" className="secondary" disabled={busy || !entries.length} onClick={() => run(() => clearCache())}>Clear all</button>
+      </div>
+      {entries.length > 0 && (
+        <ul style={{ listStyle:'none', margin:0, padding:0, maxHeight:200, overflowY:'auto' }}>
+          {entries.map(e => (
+            <li key={e.key} style={{ display:'flex', gap:8, alignItems:'center', padding:'4px 0', borderTop:'1px solid #1f2a40' }}>
+              <span style={{ flex:1, minWidth:0, overflow:'hidden', textOverflow:'ellipsis', whiteSpace:'nowrap' }} title={e.label}>
+                <b>{CACHE_KIND_LABEL[e.kind] || e.kind}</b> {e.label}
+              </span>
+              <span style={{ color:'#9fb1c7', whiteSpace:'nowrap' }}>
+                {fmtBytes(e.size || 0)} • {fmtAge(e.created)}{e.expires <= now && ' • stale'}
+              </span>
+              <button type="button" className="secondary" disabled={busy} onClick={() => run(() => deleteCacheEntry(e.key))} aria-label={`Remove cached ${e.label}`}>×</button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </details>
+  )
+}
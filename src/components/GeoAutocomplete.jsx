@@ -1,56 +1,111 @@
-import React, { useEffect, useRef, useState } from 'react'
-const API_KEY = import.meta.env.VITE_MAPTILER_KEY
+import React, { useEffect, useId, useRef, useState } from 'react'
+import { matchPlaces } from '../utils/places.js'
 
-export default function GeoAutocomplete({ value, onChange, onSelect, placeholder, onFocus, biasProximity, biasBBox }){
-  const [items, setItems] = useState([])
-  const [open, setOpen]   = useState(false)
-  const t = useRef()
+const DEBOUNCE_MS = 250
+const srOnly = { position:'absolute', width:1, height:1, overflow:'hidden', clip:'rect(0 0 0 0)', whiteSpace:'nowrap' }
 
+// Place search box (ARIA combobox). Saved places and recents (see places.js)
+// come first and need no network; `geocoder` (see geocoder.js) fills in the
+// rest, and typing again aborts the search in flight so a slow, stale
+// response can never replace a newer one. A geocoder without
+// `searchAsYouType` is only asked when Enter is pressed.
+export default function GeoAutocomplete({ value, onChange, onSelect, placeholder, onFocus, biasProximity, biasBBox, places, recents, geocoder }){
+  const [items, setItems]   = useState([])
+  const [open, setOpen]     = useState(false)
+  const [active, setActive] = useState(-1)
+  const [submitted, setSubmitted] = useState(null)   // query sent with Enter
+  const pickedRef = useRef(null)   // label just picked: don't search for it again
+  const listId = useId()
+  const live = geocoder?.searchAsYouType !== false
+  const query = String(value || '').trim()
+  const needsSubmit = !live && !!query && query !== submitted && query !== pickedRef.current
 
   useEffect(() => {
-    if(!value){ setItems([]); return }
-    clearTimeout(t.current)
-    t.current = setTimeout(async () => {
-      if(!API_KEY) return
+    const q = String(value || '').trim()
+    if (!q || q === pickedRef.current || !geocoder || (!live && q !== submitted)) { setItems([]); return }
+    const ctl = new AbortController()
+    const timer = setTimeout(async () => {
       try{
-        const params = new URLSearchParams({ key: API_KEY, limit: '5' })
-        if (biasProximity?.length === 2) params.set('proximity', `${biasProximity[0]},${biasProximity[1]}`)
-        if (biasBBox?.length === 4) params.set('bbox', biasBBox.join(','))
-        const url = `https://api.maptiler.com/geocoding/${encodeURIComponent(value)}.json?${params}`
-        const r = await fetch(url)
-        const j = await r.json()
-        setItems(j.features || [])
-        setOpen(true)
-      }catch{ setItems([]) }
-    }, 250)
-    return () => clearTimeout(t.current)
-  }, [value, biasProximity, biasBBox])
+        const list = await geocoder.search(q, { limit: 5, proximity: biasProximity, bbox: biasBBox, signal: ctl.signal })
+        if (!ctl.signal.aborted) setItems(list)
+      }catch{ if (!ctl.signal.aborted) setItems([]) }
+    }, live ? DEBOUNCE_MS : 0)
+    return () => { clearTimeout(timer); ctl.abort() }
+  }, [value, biasProximity, biasBBox, geocoder, live, submitted])
 
-  function pick(f){
-    const label = f.place_name || f.properties?.label || f.text || value
-    onChange(label)
-    onSelect({ center: f.center, label })
-    setOpen(false)
+  const local = matchPlaces(places, recents, value)
+  const localLabels = new Set(local.map(p => p.label.toLowerCase()))
+  const options = [
+    ...local,
+    ...items.filter(r => !localLabels.has(r.label.toLowerCase()))
+      .map((r, i) => ({ key: `remote-${r.id ?? i}`, kind: 'remote', label: r.label, center: r.center })),
+  ]
+  const shown = open && options.length > 0
+  const hint = open && needsSubmit
+  const optionId = (i) => `${listId}-opt-${i}`
+
+  function pick(o){
+    pickedRef.current = o.label
+    onChange(o.label)
+    onSelect({ center: o.center, label: o.label, kind: o.kind })
+    setOpen(false); setActive(-1)
+  }
+
+  function onKeyDown(e){
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      if (!options.length) return
+      e.preventDefault()
+      const step = e.key === 'ArrowDown' ? 1 : -1
+      if (!shown) { setOpen(true); setActive(step > 0 ? 0 : options.length - 1); return }
+      setActive(a => (a < 0 ? (step > 0 ? 0 : options.length - 1) : (a + step + options.length) % options.length))
+    } else if (e.key === 'Enter') {
+      if (shown && options[active]) { e.preventDefault(); pick(options[active]) }
+      else if (needsSubmit) { e.preventDefault(); setSubmitted(query); setOpen(true) }
+    } else if (e.key === 'Escape') {
+      if (shown) { e.preventDefault(); e.stopPropagation(); setOpen(false); setActive(-1) }
+    } else if (e.key === 'Tab') {
+      setOpen(false)
+    }
   }
 
   return (
     <div className="ac-wrap">
       <input
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={shown}
+        aria-controls={listId}
+        aria-activedescendant={shown && active >= 0 ? optionId(active) : undefined}
+        aria-label={placeholder}
+        enterKeyHint="search"
         value={value}
-        onChange={e=>onChange(e.target.value)}
+        onChange={e=>{ pickedRef.current = null; onChange(e.target.value); setOpen(true); setActive(-1) }}
+        onKeyDown={onKeyDown}
         placeholder={placeholder}
-        onFocus={() => { onFocus?.(); if(value && items.length) setOpen(true) }}
-        onBlur={() => setTimeout(()=>setOpen(false), 120)}
+        onFocus={() => { onFocus?.(); setOpen(true) }}
+        onBlur={() => { setOpen(false); setActive(-1) }}
       />
-      {open && items.length>0 && (
-        <ul className="ac-list">
-          {items.map((f,i)=> (
-            <li key={i} onMouseDown={()=>pick(f)}>
-              {f.place_name || f.properties?.label || f.text}
-            </li>
-          ))}
-        </ul>
-      )}
+      <ul className="ac-list" id={listId} role="listbox" aria-label={`${placeholder} suggestions`} hidden={!shown && !hint}>
+        {options.map((o, i) => (
+          <li
+            key={o.key}
+            id={optionId(i)}
+            role="option"
+            aria-selected={i === active}
+            className={[o.kind !== 'remote' && `ac-local ac-${o.kind}`, i === active && 'ac-active'].filter(Boolean).join(' ') || undefined}
+            onMouseDown={e => { e.preventDefault(); pick(o) }}
+            onMouseEnter={() => setActive(i)}
+          >
+            {o.icon && <span aria-hidden="true">{o.icon} </span>}{o.label}
+            {o.detail && <small>{o.detail}</small>}
+          </li>
+        ))}
+        {hint && <li role="presentation" className="ac-hint">Press Enter to search {geocoder.label}</li>}
+      </ul>
+      <div role="status" aria-live="polite" style={srOnly}>
+        {shown ? `${options.length} suggestion${options.length === 1 ? '' : 's'}, use arrow keys to choose` : ''}
+        {hint ? `${shown ? '. ' : ''}Press Enter to search ${geocoder.label}` : ''}
+      </div>
     </div>
   )
 }
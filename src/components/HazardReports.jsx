@@ -0,0 +1,122 @@
+import React, { useState } from 'react'
+import {
+  HAZARD_CATEGORIES, HAZARD_SEVERITY, HAZARD_EXPIRY, makeHazard, isActiveHazard,
+  hazardsToGeoJSON, hazardsFromGeoJSON, mergeHazards, hazardLabel,
+} from '../utils/hazards.js'
+import { downloadText } from '../utils/trackFiles.js'
+
+const fieldStyle = { padding:'6px 8px', borderRadius:8, border:'1px solid #2a3246', background:'#0d121b', color:'#eef3f8' }
+
+const fmtExpiry = (h, now) => {
+  if (h.expiresAt == null) return 'no expiry'
+  if (h.expiresAt <= now) return 'expired'
+  const hours = Math.round((h.expiresAt - now) / 36e5)
+  return hours < 48 ? `expires in ${Math.max(1, hours)} h` : `expires in ${Math.round(hours / 24)} d`
+}
+
+// Rider-reported hazards: report one on the map, list, remove, import/export GeoJSON
+export default function HazardReports({ hazards, onChange, draft, picking, onPick, onCancelDraft, onFocus }){
+  const [category, setCategory] = useState('pothole')
+  const [severity, setSeverity] = useState(2)
+  const [expiry, setExpiry] = useState('week')
+  const [note, setNote] = useState('')
+  const [msg, setMsg] = useState(null)
+  const [open, setOpen] = useState(false)
+
+  const now = Date.now()
+  const expired = hazards.filter(h => !isActiveHazard(h, now)).length
+
+  const save = () => {
+    const ms = HAZARD_EXPIRY.find(x => x.id === expiry)?.ms
+    const h = makeHazard({ ...draft, category, severity, note, expiresAt: ms ? now + ms : null })
+    if (h) onChange([...hazards, h])
+    setNote('')
+    onCancelDraft()
+  }
+
+  const importFile = async (file) => {
+    if (!file) return
+    try {
+      const list = hazardsFromGeoJSON(await file.text())
+      onChange(mergeHazards(hazards, list))
+      setMsg(`Imported ${list.length} hazard${list.length === 1 ? '' : 's'}`)
+    } catch (e) {
+      setMsg(e?.message || 'Import failed')
+    }
+  }
+
+  return (
+    <details style={{ marginTop:12, fontSize:13, color:'#cfe1ff' }} open={open || !!draft || picking}
+      onToggle={e => setOpen(e.currentTarget.open)}>
+      <summary style={{ cursor:'pointer' }}>Hazard reports{hazards.length ? ` (${hazards.length - expired} active)` : ''}</summary>
+      <p style={{ margin:'6px 0', color:'#9fb1c7' }}>
+        Mark potholes, construction and other hazards the map doesn't know about. Routes passing them are graded riskier, so Safest steers around them.
+      </p>
+
+      {draft ? (
+        <div role="group" aria-label="New hazard report" style={{ display:'grid', gap:6, padding:8, borderRadius:8, border:'1px solid #2a3b5f', marginBottom:8 }}>
+          <div style={{ color:'#9fb1c7' }}>At {draft.lat.toFixed(5)}, {draft.lng.toFixed(5)}</div>
+          <label style={{ display:'flex', gap:6, alignItems:'center' }}>
+            Type
+            <select value={category} onChange={e => setCategory(e.target.value)} style={fieldStyle}>
+              {Object.entries(HAZARD_CATEGORIES).map(([id, c]) => <option key={id} value={id}>{c.icon} {c.label}</option>)}
+            </select>
+          </label>
+          <label style={{ display:'flex', gap:6, alignItems:'center' }}>
+            Severity
+            <select value={severity} onChange={e => setSeverity(Number(e.target.value))} style={fieldStyle}>
+              {Object.entries(HAZARD_SEVERITY).map(([n, label]) => <option key={n} value={n}>{label}</option>)}
+            </select>
+          </label>
+          <label style={{ display:'flex', gap:6, alignItems:'center' }}>
+            Expires
+            <select value={expiry} onChange={e => setExpiry(e.target.value)} style={fieldStyle}>
+              {HAZARD_EXPIRY.map(x => <option key={x.id} value={x.id}>{x.label}</option>)}
+            </select>
+          </label>
+          <input type="text" value={note} onChange={e => setNote(e.target.value)} placeholder="Note (optional)" maxLength={200} style={fieldStyle} aria-label="Note" />
+          <div style={{ display:'flex', gap:8 }}>
+            <button type="button" className="primary" onClick={save}>Save hazard</button>
+            <button type="button" className="secondary" onClick={onCancelDraft}>Cancel</button>
+          </div>
+        </div>
+      ) : (
+        <div style={{ display:'flex', gap:8, flexWrap:'wrap', marginBottom:8 }}>
+          <button type="button" className="secondary" onClick={onPick} aria-pressed={picking}>
+            {picking ? 'Click the map…' : 'Report a hazard'}
+          </button>
+          <button type="button" className="secondary" disabled={!hazards.length}
+            onClick={() => downloadText('bikesafe-hazards.geojson', JSON.stringify(hazardsToGeoJSON(hazards), null, 2), 'application/geo+json')}>
+            Export GeoJSON
+          </button>
+          <label className="secondary" style={{ cursor:'pointer', textDecoration:'underline', alignSelf:'center' }}>
+            Import GeoJSON
+            <input type="file" accept=".geojson,.json" style={{ display:'none' }}
+              onChange={(e) => { const file = e.target.files?.[0]; e.target.value = ''; importFile(file) }} />
+          </label>
+          {expired > 0 && (
+            <button type="button" className="secondary" onClick={() => onChange(hazards.filter(h => isActiveHazard(h, now)))}>
+              Remove {expired} expired
+            </button>
+          )}
+        </div>
+      )}
+      {msg && <div role="status" style={{ margin:'4px 0', color:'#9fb1c7' }}>{msg}</div>}
+
+      {hazards.length > 0 && (
+        <ul style={{ listStyle:'none', margin:0, padding:0, maxHeight:200, overflowY:'auto' }}>
+          {hazards.map(h => (
+            <li key={h.id} style={{ display:'flex', gap:8, alignItems:'center', padding:'4px 0', borderTop:'1px solid #1f2a40', opacity: isActiveHazard(h, now) ? 1 : 0.55 }}>
+              <button type="button" onClick={() => onFocus(h)} title="Show on map"
+                style={{ flex:1, minWidth:0, textAlign:'left', background:'none', border:0, color:'inherit', cursor:'pointer', padding:0, overflow:'hidden', textOverflow:'ellipsis', whiteSpace:'nowrap' }}>
+                {HAZARD_CATEGORIES[h.category]?.icon} <b>{hazardLabel(h)}</b> · {HAZARD_SEVERITY[h.severity]}{h.note ? ` · ${h.note}` : ''}
+              </button>
+              <span style={{ color:'#9fb1c7', whiteSpace:'nowrap' }}>{fmtExpiry(h, now)}</span>
+              <button type="button" className="secondary" onClick={() => onChange(hazards.filter(x => x.id !== h.id))} aria-label={`Remove ${hazardLabel(h)}`}>✕</button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </details>
+  )
+}
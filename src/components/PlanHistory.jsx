@@ -0,0 +1,157 @@
+import React, { useState } from 'react'
+import { historyStats } from '../utils/history.js'
+import { INFRA_LABEL, INFRA_COLORS } from '../utils/scoring.js'
+import { tagLabel } from '../utils/urlState.js'
+
+const fieldStyle = { padding:'6px 8px', borderRadius:8, border:'1px solid #2a3246', background:'#0d121b', color:'#eef3f8' }
+const RISK_COLORS = { low:'#10b981', med:'#f59e0b', high:'#ef4444' }
+
+const pct = (part, whole) => (whole > 0 ? Math.round((part / whole) * 100) : 0)
+const fmtDate = (ms) => new Date(ms).toLocaleDateString(undefined, { month:'short', day:'numeric', year:'numeric' })
+const fmtMonth = (ym) => {
+  const [y, m] = ym.split('-').map(Number)
+  return new Date(y, m - 1, 1).toLocaleDateString(undefined, { month:'short', year:'numeric' })
+}
+
+// one horizontal bar split by share, e.g. km per risk level
+function StackBar({ parts, colors, label, height = 8 }){
+  const total = Object.values(parts).reduce((a, b) => a + b, 0)
+  return (
+    <div role="img" aria-label={label} style={{ display:'flex', height, borderRadius:4, overflow:'hidden', background:'#1f2a40' }}>
+      {total > 0 && Object.entries(parts).map(([k, v]) => v > 0 && (
+        <div key={k} style={{ width:`${(v / total) * 100}%`, background: colors[k] }} />
+      ))}
+    </div>
+  )
+}
+
+const riskLabel = (r, km) => `Low ${pct(r.low, km)}%, medium ${pct(r.med, km)}%, high ${pct(r.high, km)}%`
+
+// Planner history: reopen, rename, favorite or delete past plans, and stats over all of them
+export default function PlanHistory({ entries, onChange, onOpen }){
+  const [open, setOpen] = useState(false)
+  const [view, setView] = useState('list')
+  const [favOnly, setFavOnly] = useState(false)
+  const [editing, setEditing] = useState(null)   // { id, name }
+
+  const patch = (id, p) => onChange(entries.map(e => (e.id === id ? { ...e, ...p } : e)))
+  const finishRename = () => {
+    if (editing?.name.trim()) patch(editing.id, { name: editing.name.trim().slice(0, 80) })
+    setEditing(null)
+  }
+  const shown = favOnly ? entries.filter(e => e.favorite) : entries
+  const stats = view === 'stats' ? historyStats(entries) : null
+  const riskKm = stats ? stats.risk.low + stats.risk.med + stats.risk.high : 0
+  const infraKm = stats ? Object.values(stats.infra).reduce((a, b) => a + b, 0) : 0
+
+  return (
+    <details style={{ marginTop:12, fontSize:13, color:'#cfe1ff' }} open={open} onToggle={e => setOpen(e.currentTarget.open)}>
+      <summary style={{ cursor:'pointer' }}>Ride history{entries.length ? ` (${entries.length})` : ''}</summary>
+      {!entries.length ? (
+        <p style={{ margin:'6px 0', color:'#9fb1c7' }}>Routes you plan are kept here on this device.</p>
+      ) : (
+        <>
+          <div role="group" aria-label="History view" style={{ display:'flex', gap:8, margin:'6px 0 8px' }}>
+            <button type="button" className="secondary" aria-pressed={view === 'list'} onClick={() => setView('list')}>Plans</button>
+            <button type="button" className="secondary" aria-pressed={view === 'stats'} onClick={() => setView('stats')}>Stats</button>
+            {view === 'list' && (
+              <label style={{ display:'flex', gap:4, alignItems:'center', marginLeft:'auto', color:'#9fb1c7' }}>
+                <input type="checkbox" checked={favOnly} onChange={e => setFavOnly(e.target.checked)} /> Favorites only
+              </label>
+            )}
+          </div>
+
+          {view === 'list' ? (
+            <ul style={{ listStyle:'none', margin:0, padding:0, maxHeight:260, overflowY:'auto' }}>
+              {shown.map(e => (
+                <li key={e.id} style={{ padding:'6px 0', borderTop:'1px solid #1f2a40' }}>
+                  <div style={{ display:'flex', gap:6, alignItems:'center' }}>
+                    <button type="button" onClick={() => patch(e.id, { favorite: !e.favorite })} aria-pressed={!!e.favorite}
+                      aria-label={e.favorite ? `Unfavorite ${e.name}` : `Favorite ${e.name}`}
+                      style={{ background:'none', border:0, cursor:'pointer', padding:0, fontSize:15, color: e.favorite ? '#fbbf24' : '#4b5a75' }}>
+                      {e.favorite ? '★' : '☆'}
+                    </button>
+                    {editing?.id === e.id ? (
+                      <input type="text" value={editing.name} maxLength={80} autoFocus aria-label="Plan name"
+                        onChange={ev => setEditing({ id: e.id, name: ev.target.value })}
+                        onBlur={finishRename}
+                        onKeyDown={ev => { if (ev.key === 'Enter') finishRename(); if (ev.key === 'Escape') setEditing(null) }}
+                        style={{ ...fieldStyle, flex:1, minWidth:0, padding:'2px 6px' }} />
+                    ) : (
+                      <button type="button" onClick={() => onOpen(e)} title="Plan this again"
+                        style={{ flex:1, minWidth:0, textAlign:'left', background:'none', border:0, color:'inherit', cursor:'pointer', padding:0, overflow:'hidden', textOverflow:'ellipsis', whiteSpace:'nowrap' }}>
+                        <b>{e.name}</b>
+                      </button>
+                    )}
+                    <button type="button" className="secondary" onClick={() => setEditing({ id: e.id, name: e.name })} aria-label={`Rename ${e.name}`}>✎</button>
+                    <button type="button" className="secondary" onClick={() => onChange(entries.filter(x => x.id !== e.id))} aria-label={`Delete ${e.name}`}>✕</button>
+                  </div>
+                  <div style={{ display:'flex', gap:8, alignItems:'center', marginTop:4, color:'#9fb1c7', fontSize:12 }}>
+                    <span style={{ whiteSpace:'nowrap' }}>
+                      {tagLabel(e.tag)} · {(+e.km).toFixed(1)} km · ↑{Math.round(e.ascentM || 0)} m · {fmtDate(e.createdAt)}
+                    </span>
+                    {e.risk && (
+                      <div style={{ flex:1, minWidth:40 }}>
+                        <StackBar parts={e.risk} colors={RISK_COLORS} label={riskLabel(e.risk, e.km)} height={6} />
+                      </div>
+                    )}
+                  </div>
+                </li>
+              ))}
+              {!shown.length && <li style={{ color:'#9fb1c7' }}>No favorites yet — tap ☆ on a plan.</li>}
+            </ul>
+          ) : (
+            <div style={{ display:'grid', gap:10 }}>
+              <div>
+                <b>{stats.km.toFixed(1)} km</b> planned over <b>{stats.plans}</b> plan{stats.plans === 1 ? '' : 's'}
+              </div>
+
+              <div>
+                <div style={{ color:'#9fb1c7', marginBottom:4 }}>
+                  Risk: {pct(stats.risk.low, riskKm)}% low · {pct(stats.risk.med, riskKm)}% medium · {pct(stats.risk.high, riskKm)}% high
+                </div>
+                <StackBar parts={stats.risk} colors={RISK_COLORS} label={riskLabel(stats.risk, riskKm)} />
+              </div>
+
+              <div>
+                <div style={{ color:'#9fb1c7', marginBottom:4 }}>Infrastructure</div>
+                <StackBar parts={stats.infra} colors={INFRA_COLORS} label="Share of planned km by infrastructure" />
+                <ul style={{ listStyle:'none', margin:'6px 0 0', padding:0, display:'grid', gap:2, fontSize:12 }}>
+                  {Object.entries(stats.infra).filter(([, km]) => km > 0).sort((a, b) => b[1] - a[1]).map(([t, km]) => (
+                    <li key={t} style={{ display:'flex', gap:6, alignItems:'center' }}>
+                      <i style={{ display:'inline-block', width:10, height:10, borderRadius:3, background: INFRA_COLORS[t] }} aria-hidden="true" />
+                      <span style={{ flex:1 }}>{INFRA_LABEL[t] || t}</span>
+                      <span style={{ color:'#9fb1c7' }}>{km.toFixed(1)} km · {pct(km, infraKm)}%</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+
+              <table style={{ width:'100%', borderCollapse:'collapse', fontSize:12 }}>
+                <caption style={{ textAlign:'left', color:'#9fb1c7', marginBottom:4 }}>By month</caption>
+                <thead>
+                  <tr style={{ color:'#9fb1c7', textAlign:'left' }}>
+                    <th scope="col" style={{ fontWeight:400 }}>Month</th>
+                    <th scope="col" style={{ fontWeight:400, textAlign:'right', paddingRight:8 }}>km</th>
+                    <th scope="col" style={{ fontWeight:400, width:'45%' }}>Risk</th>
+                    <th scope="col" style={{ fontWeight:400, width:'25%' }}>Infra</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {stats.months.map(m => (
+                    <tr key={m.month} style={{ borderTop:'1px solid #1f2a40' }}>
+                      <th scope="row" style={{ fontWeight:400, textAlign:'left', padding:'4px 0', whiteSpace:'nowrap' }}>{fmtMonth(m.month)}</th>
+                      <td style={{ textAlign:'right', paddingRight:8 }}>{m.km.toFixed(1)}</td>
+                      <td><StackBar parts={m.risk} colors={RISK_COLORS} label={riskLabel(m.risk, m.risk.low + m.risk.med + m.risk.high)} height={6} /></td>
+                      <td><StackBar parts={m.infra} colors={INFRA_COLORS} label="Infrastructure share" height={6} /></td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </details>
+  )
+}
@@ -0,0 +1,118 @@
+import React, { useState } from 'react'
+import { INFRA_TYPES, INFRA_LABEL } from '../utils/scoring.js'
+
+const BEST = '#34d399'
+const SUB = '#9fb1c7'
+const srOnly = { position:'absolute', width:1, height:1, overflow:'hidden', clip:'rect(0 0 0 0)', whiteSpace:'nowrap' }
+
+// which way is better per infrastructure class (null: neither)
+const INFRA_BETTER = {
+  [INFRA_TYPES.SEPARATED_PATH]: 'high',
+  [INFRA_TYPES.BUFFERED_LANE]: 'high',
+  [INFRA_TYPES.PAINTED_LANE]: null,
+  [INFRA_TYPES.SHARED_ROAD]: 'low',
+  [INFRA_TYPES.OFF_ROAD]: null,
+  [INFRA_TYPES.RESTRICTED]: 'low',
+}
+
+const km = (v) => `${v.toFixed(1)} km`
+const share = (v, total) => (total > 0 ? ` (${Math.round((v / total) * 100)}%)` : '')
+
+// rows: label, value per route, format, and which direction wins (null: not ranked)
+const buildRows = (cols) => {
+  const infraTypes = Object.values(INFRA_TYPES).filter(t => cols.some(c => (c.infraKm[t] || 0) >= 0.05))
+  return [
+    { group: 'Trip' },
+    { label: 'Distance', get: c => c.distKm, fmt: km, better: 'low' },
+    { label: 'ETA', get: c => c.etaMin, fmt: v => `${Math.round(v)} min`, better: 'low' },
+    { label: 'Ascent', get: c => c.ascentM, fmt: v => `${Math.round(v)} m`, better: 'low' },
+    { label: 'Descent', get: c => c.descentM, fmt: v => `${Math.round(v)} m`, better: null },
+    { label: 'Steepest climb', get: c => c.maxGradePct, fmt: v => `${v.toFixed(1)}%`, better: 'low' },
+    { group: 'Risk' },
+    { label: 'Risk score', get: c => c.riskPerKm, fmt: v => `${v.toFixed(2)}/km`, better: 'low' },
+    { label: 'Low risk', get: c => c.riskKm.low, fmt: (v, c) => km(v) + share(v, c.distKm), better: 'high', rank: c => c.riskKm.low / Math.max(0.001, c.distKm) },
+    { label: 'Medium risk', get: c => c.riskKm.med, fmt: (v, c) => km(v) + share(v, c.distKm), better: 'low' },
+    { label: 'High risk', get: c => c.riskKm.high, fmt: (v, c) => km(v) + share(v, c.distKm), better: 'low' },
+    { group: 'Infrastructure' },
+    ...infraTypes.map(t => ({ label: INFRA_LABEL[t] || t, get: c => c.infraKm[t] || 0, fmt: (v, c) => km(v) + share(v, c.distKm), better: INFRA_BETTER[t] })),
+    { group: 'Other' },
+    { label: 'Scenic score', get: c => c.scenic, fmt: v => v.toFixed(1), better: 'high' },
+    { label: 'Most shared', get: c => c.maxOverlap, fmt: v => `${Math.round(v * 100)}%`, better: 'low', detail: c => c.overlaps.map(o => `${o.label}: ${Math.round(o.frac * 100)}%`).join(', ') },
+  ]
+}
+
+// indices of the winning column(s); none when every column ties
+const bestOf = (row, cols) => {
+  if (!row.better) return new Set()
+  const vals = cols.map(c => {
+    const v = row.get(c)
+    return v == null || !Number.isFinite(v) ? null : (row.rank ? row.rank(c) : v)
+  })
+  const present = vals.filter(v => v != null)
+  if (present.length < 2) return new Set()
+  const target = row.better === 'low' ? Math.min(...present) : Math.max(...present)
+  if (present.every(v => Math.abs(v - target) < 1e-6)) return new Set()
+  return new Set(vals.flatMap((v, i) => (v != null && Math.abs(v - target) < 1e-6 ? [i] : [])))
+}
+
+// Designated routes side by side, one column each, best value per row highlighted.
+// `columns()` builds the per-route figures and only runs while the table is open.
+export default function RouteComparison({ count, columns, activeIdx, onSelect }){
+  const [open, setOpen] = useState(false)
+  if (count < 2) return null
+  const cols = open ? columns() : []
+  const rows = open ? buildRows(cols) : []
+
+  return (
+    <details style={{ marginTop:8, fontSize:12, color:'#cfe1ff' }} open={open} onToggle={e => setOpen(e.currentTarget.open)}>
+      <summary style={{ cursor:'pointer', fontSize:13 }}>Compare routes</summary>
+      <div style={{ overflowX:'auto', marginTop:6 }}>
+        <table style={{ width:'100%', borderCollapse:'collapse' }}>
+          <caption style={{ textAlign:'left', color:SUB, marginBottom:4 }}>
+            Best in each row is <span style={{ color:BEST, fontWeight:700 }}>highlighted</span>.
+          </caption>
+          <thead>
+            <tr>
+              <th scope="col" style={{ textAlign:'left', fontWeight:400, color:SUB }}><span style={srOnly}>Measure</span></th>
+              {cols.map((c, i) => (
+                <th key={i} scope="col" style={{ textAlign:'right', padding:'2px 4px', verticalAlign:'bottom' }}>
+                  <button type="button" onClick={() => onSelect(i)} aria-pressed={i === activeIdx}
+                    style={{ background:'none', border:0, padding:0, cursor:'pointer', font:'inherit', fontWeight:700,
+                      color: i === activeIdx ? '#60a5fa' : '#cfe1ff', textDecoration: i === activeIdx ? 'underline' : 'none' }}>
+                    {c.label}
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row, r) => {
+              if (row.group) return (
+                <tr key={`g${r}`}>
+                  <th scope="rowgroup" colSpan={cols.length + 1} style={{ textAlign:'left', color:SUB, fontWeight:400, padding:'8px 0 2px', borderBottom:'1px solid #1f2a40' }}>{row.group}</th>
+                </tr>
+              )
+              const best = bestOf(row, cols)
+              return (
+                <tr key={row.label} style={{ borderTop:'1px solid #141c2c' }}>
+                  <th scope="row" style={{ textAlign:'left', fontWeight:400, padding:'3px 4px 3px 0' }}>{row.label}</th>
+                  {cols.map((c, i) => {
+                    const v = row.get(c)
+                    const win = best.has(i)
+                    return (
+                      <td key={i} title={row.detail?.(c)} style={{ textAlign:'right', padding:'3px 4px', whiteSpace:'nowrap',
+                        color: win ? BEST : undefined, fontWeight: win ? 700 : 400, background: win ? 'rgba(52,211,153,0.08)' : undefined }}>
+                        {v == null || !Number.isFinite(v) ? '—' : row.fmt(v, c)}
+                        {win && <span style={srOnly}> (best)</span>}
+                      </td>
+                    )
+                  })}
+                </tr>
+              )
+            })}
+          </tbody>
+        </table>
+      </div>
+    </details>
+  )
+}
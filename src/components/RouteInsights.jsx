@@ -1,20 +1,58 @@
-import React, { useState, useEffect } from "react"
+import React, { useState, useEffect, useId } from "react"
+import { compassPoint } from "../utils/weather.js"
+import { INFRA_TYPES, INFRA_COLORS, INFRA_LABEL, STEEP_MED_PCT, STEEP_HIGH_PCT } from "../utils/scoring.js"
 
 const RISK_COLORS = { low: "#10b981", med: "#f59e0b", high: "#ef4444" }
+const GRADE_COLORS = { flat: "#60a5fa", med: "#f59e0b", high: "#ef4444" }
+const WIND_COLORS = { head: "#f87171", cross: "#94a3b8", tail: "#34d399" }
+
+// riding in traffic: no bike infrastructure, or only paint
+const EXPOSED_INFRA = new Set([INFRA_TYPES.SHARED_ROAD, INFRA_TYPES.PAINTED_LANE])
+
+const gradeClass = (pct) => {
+  const g = Math.abs(pct || 0)
+  return g >= STEEP_HIGH_PCT ? "high" : g >= STEEP_MED_PCT ? "med" : "flat"
+}
+
+// distance gridline spacing: about four to six lines across the visible span
+const GRID_STEPS_KM = [0.1, 0.2, 0.5, 1, 2, 5, 10, 20, 50, 100, 200]
+const gridStep = (spanKm) => GRID_STEPS_KM.find(s => spanKm / s <= 6) ?? GRID_STEPS_KM[GRID_STEPS_KM.length - 1]
+
+// a drag shorter than this (share of the visible span) is a click, not a zoom
+const MIN_BRUSH = 0.02
+
+// longest run of back-to-back bands on exposed infrastructure: { fromKm, toKm, types }
+const longestExposed = (bands) => {
+  let best = null, run = null
+  for (const b of bands) {
+    if (!EXPOSED_INFRA.has(b.infra)) { run = null; continue }
+    if (run && Math.abs(b.fromKm - run.toKm) < 0.01) { run.toKm = b.toKm; run.types.add(b.infra) }
+    else run = { fromKm: b.fromKm, toKm: b.toKm, types: new Set([b.infra]) }
+    if (!best || run.toKm - run.fromKm > best.toKm - best.fromKm) best = { ...run, types: new Set(run.types) }
+  }
+  return best
+}
 
 /**
  * RouteInsights
  * ------------------
- * Elevation profile + risk-band overlay for the active route.
+ * Elevation profile + risk-band overlay for the active route. The line is
+ * colored by grade; drag across it to zoom in on a stretch, which `onFrame`
+ * also frames on the map.
  */
-export default function RouteInsights({ i, bands, onScrub, onSelect }) {
+export default function RouteInsights({ i, bands, onScrub, onSelect, onFrame }) {
   const [hoverIdx, setHoverIdx] = useState(null)
   const [hoverX, setHoverX] = useState(null)
+  const [zoom, setZoom] = useState(null)     // { fromKm, toKm } shown, or the whole route
+  const [brush, setBrush] = useState(null)   // { fromKm, toKm } while dragging
+  const clipId = useId()
 
-  // reset hover when route changes
+  // reset hover and zoom when route changes
   useEffect(() => {
     setHoverIdx(null)
     setHoverX(null)
+    setZoom(null)
+    setBrush(null)
   }, [i])
 
   if (!i) return null
@@ -27,6 +65,16 @@ export default function RouteInsights({ i, bands, onScrub, onSelect }) {
     descentM = 0,
     avgSpeedKph = 0,
     etaMin = 0,
+    speedKph = [],
+    gradePct = [],
+    powerW = 0,
+    energyKJ = 0,
+    kcal = 0,
+    climbMin = 0,
+    calibratedRides = 0,
+    wind = null,
+    climb = null,
+    descent = null,
   } = i
 
   if (!distKm.length || !elevM.length) return null
@@ -35,31 +83,72 @@ export default function RouteInsights({ i, bands, onScrub, onSelect }) {
   const BG = "#0b1220"
   const INK = "#e6efff"
   const SUB = "#9fb1c7"
-  const LINE = "#60a5fa"
+  const LINE = GRADE_COLORS.flat
   const GRID = "#1f2a40"
 
   const W = 320, H = 100, P = 10
+  const AXIS_H = 12   // distance labels under the chart
 
-  // --- Scale helpers
-  const minE = Math.min(...elevM)
-  const maxE = Math.max(...elevM)
-  const spanE = Math.max(1, maxE - minE)
-  const startKm = distKm[0] ?? 0
-  const endKm = distKm[distKm.length - 1] ?? 1
+  // --- Scale helpers (visible stretch: the zoom, or the whole route)
+  const clamp = (n, a, b) => Math.max(a, Math.min(b, n))
+  const routeStartKm = distKm[0] ?? 0
+  const routeEndKm = distKm[distKm.length - 1] ?? 1
+  const startKm = zoom ? zoom.fromKm : routeStartKm
+  const endKm = zoom ? zoom.toKm : routeEndKm
   const spanX = Math.max(0.000001, endKm - startKm)
 
+  // points drawn: the visible ones plus one either side so the line reaches the edges
+  let i0 = 0, i1 = distKm.length - 1
+  while (i0 < i1 && distKm[i0 + 1] <= startKm) i0++
+  while (i1 > i0 && distKm[i1 - 1] >= endKm) i1--
+  const shownElev = elevM.slice(i0, i1 + 1)
+  const minE = Math.min(...shownElev)
+  const maxE = Math.max(...shownElev)
+  const spanE = Math.max(1, maxE - minE)
+
   const x = (km) => P + ((km - startKm) / spanX) * (W - P * 2)
   const y = (m) => H - P - ((m - minE) / spanE) * (H - P * 2)
+  // x extent of [fromKm, toKm] cut to the plot, or null when it's off screen
+  const span = (fromKm, toKm) => {
+    const x1 = clamp(x(fromKm), P, W - P), x2 = clamp(x(toKm), P, W - P)
+    return x2 - x1 > 0 ? { x: x1, width: Math.max(1, x2 - x1) } : null
+  }
 
-  // --- Build polyline path
-  let pathD = ""
-  for (let j = 0; j < distKm.length; j++) {
-    const cmd = j === 0 ? "M" : "L"
-    pathD += `${cmd}${x(distKm[j]).toFixed(1)},${y(elevM[j]).toFixed(1)}`
+  // --- Profile line, one path per run of segments in the same grade class
+  const gradePaths = []
+  for (let j = i0 + 1; j <= i1; j++) {
+    const cls = gradeClass(gradePct[j])
+    const pt = `${x(distKm[j]).toFixed(1)},${y(elevM[j]).toFixed(1)}`
+    const last = gradePaths[gradePaths.length - 1]
+    if (last && last.cls === cls) last.d += `L${pt}`
+    else gradePaths.push({ cls, d: `M${x(distKm[j - 1]).toFixed(1)},${y(elevM[j - 1]).toFixed(1)}L${pt}` })
+  }
+
+  // --- Distance gridlines
+  const step = gridStep(spanX)
+  const ticks = []
+  for (let k = Math.ceil(startKm / step - 1e-9); k * step <= endKm + 1e-9; k++) ticks.push(k * step)
+  const tickLabel = (km) => (step < 1 ? km.toFixed(1) : String(Math.round(km)))
+
+  // --- Steepest climb / descent markers
+  const stretches = [
+    climb && { ...climb, key: "climb", name: "Steepest climb", mark: "▲" },
+    descent && { ...descent, key: "descent", name: "Steepest descent", mark: "▼" },
+  ].filter(Boolean)
+  const stretchText = (s) =>
+    `${s.lengthKm.toFixed(s.lengthKm < 1 ? 2 : 1)} km at ${Math.abs(s.gradePct).toFixed(1)}% avg (${s.deltaM > 0 ? "+" : "−"}${Math.round(Math.abs(s.deltaM))} m)`
+
+  function zoomTo(fromKm, toKm) {
+    const a = clamp(Math.min(fromKm, toKm), routeStartKm, routeEndKm)
+    const b = clamp(Math.max(fromKm, toKm), routeStartKm, routeEndKm)
+    if (b - a <= 0) return
+    setZoom({ fromKm: a, toKm: b })
+    setHoverIdx(null)
+    setHoverX(null)
+    onFrame && onFrame(a, b)
   }
 
   // --- Mouse interactions
-  const clamp = (n, a, b) => Math.max(a, Math.min(b, n))
   const kmFromSvgX = (svgX) => {
     const t = clamp(svgX, P, W - P)
     const ratio = (t - P) / (W - 2 * P)
@@ -75,11 +164,23 @@ export default function RouteInsights({ i, bands, onScrub, onSelect }) {
     return best
   }
 
-  function handleMove(e) {
+  const kmFromEvent = (e) => {
     const rect = e.currentTarget.getBoundingClientRect()
     const px = e.clientX - rect.left
     const svgX = (px / rect.width) * W
-    const km = kmFromSvgX(svgX)
+    return kmFromSvgX(svgX)
+  }
+
+  function handleDown(e) {
+    if (e.button !== 0) return
+    e.currentTarget.setPointerCapture?.(e.pointerId)
+    const km = kmFromEvent(e)
+    setBrush({ fromKm: km, toKm: km })
+  }
+
+  function handleMove(e) {
+    const km = kmFromEvent(e)
+    if (brush) setBrush({ ...brush, toKm: km })
     const idx = nearestIndex(km)
     setHoverIdx(idx)
     setHoverX(x(km))
@@ -91,12 +192,13 @@ export default function RouteInsights({ i, bands, onScrub, onSelect }) {
     setHoverX(null)
   }
 
-  function handleClick(e) {
-    const rect = e.currentTarget.getBoundingClientRect()
-    const px = e.clientX - rect.left
-    const svgX = (px / rect.width) * W
-    const km = kmFromSvgX(svgX)
-    onSelect && onSelect(km)
+  // a drag zooms to the brushed stretch, a click focuses the map there
+  function handleUp(e) {
+    if (!brush) return
+    const km = kmFromEvent(e)
+    setBrush(null)
+    if (Math.abs(km - brush.fromKm) >= MIN_BRUSH * spanX) zoomTo(brush.fromKm, km)
+    else onSelect && onSelect(km)
   }
 
   // --- Hover visuals
@@ -105,10 +207,25 @@ export default function RouteInsights({ i, bands, onScrub, onSelect }) {
   const hy = showHover ? y(elevM[hoverIdx]) : 0
   const hKm = showHover ? distKm[hoverIdx] : 0
   const hElev = showHover ? elevM[hoverIdx] : 0
-  const TIP_W = 130, TIP_H = 24
+  const hSpeed = showHover ? speedKph[hoverIdx] : null
+  const TIP_W = hSpeed != null ? 180 : 130, TIP_H = 24
   const tipX = Math.min(W - P - TIP_W, Math.max(P, hx + 6))
   const tipY = P + 2
 
+  // --- Infrastructure: km per class and the longest stretch in traffic
+  const infraBands = Array.isArray(bands) ? bands.filter(b => b.infra && b.toKm > b.fromKm) : []
+  const infraKm = {}
+  for (const b of infraBands) infraKm[b.infra] = (infraKm[b.infra] || 0) + (b.toKm - b.fromKm)
+  const infraTotal = Object.values(infraKm).reduce((a, v) => a + v, 0)
+  const infraRows = Object.entries(infraKm).sort((a, b) => b[1] - a[1])
+  const exposed = longestExposed(infraBands)
+  const STRIP_H = 8
+
+  function handleStripClick(e) {
+    const rect = e.currentTarget.getBoundingClientRect()
+    onSelect && onSelect(kmFromSvgX(((e.clientX - rect.left) / rect.width) * W))
+  }
+
   // --- Risk band hover (for the band list below the chart)
   const hoveredBand = showHover && Array.isArray(bands)
     ? bands.find(b => hKm >= b.fromKm && hKm <= b.toKm)
@@ -126,35 +243,75 @@ export default function RouteInsights({ i, bands, onScrub, onSelect }) {
         fontSize: 13,
       }}
     >
-      <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 6 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 6 }}>
         <b>Route insights</b>
-        <span style={{ color: SUB, fontSize: 12 }}>Distance / Elevation</span>
+        {zoom ? (
+          <button
+            type="button"
+            className="secondary"
+            onClick={() => { setZoom(null); onFrame && onFrame(routeStartKm, routeEndKm) }}
+            style={{ fontSize: 11, padding: "2px 8px" }}
+          >
+            Show whole route
+          </button>
+        ) : (
+          <span style={{ color: SUB, fontSize: 12 }}>Drag to zoom</span>
+        )}
       </div>
 
       <svg
         role="img"
-        aria-label="Elevation profile chart with risk overlay"
+        aria-label={`Elevation profile, km ${startKm.toFixed(1)} to ${endKm.toFixed(1)}, colored by grade, with risk overlay`}
         width="100%"
-        height={H}
-        viewBox={`0 0 ${W} ${H}`}
-        style={{ display: "block", width: "100%", cursor: "crosshair", background: "#0b1220", borderRadius: 6 }}
-        onMouseMove={handleMove}
-        onMouseLeave={handleLeave}
-        onClick={handleClick}
+        height={H + AXIS_H}
+        viewBox={`0 0 ${W} ${H + AXIS_H}`}
+        style={{ display: "block", width: "100%", cursor: "crosshair", background: "#0b1220", borderRadius: 6, touchAction: "none" }}
+        onPointerDown={handleDown}
+        onPointerMove={handleMove}
+        onPointerUp={handleUp}
+        onPointerCancel={() => setBrush(null)}
+        onPointerLeave={handleLeave}
       >
-        <rect x="0" y="0" width={W} height={H} fill="#0b1220" rx="6" />
+        <defs>
+          <clipPath id={clipId}>
+            <rect x={P} y={0} width={W - P * 2} height={H} />
+          </clipPath>
+        </defs>
+        <rect x="0" y="0" width={W} height={H + AXIS_H} fill="#0b1220" rx="6" />
+
+        {/* Distance gridlines */}
+        {ticks.map(km => (
+          <g key={km}>
+            <line x1={x(km)} x2={x(km)} y1={P} y2={H - P} stroke={GRID} strokeWidth="1" />
+            <text x={x(km)} y={H + AXIS_H - 3} fontSize="8" fill={SUB} textAnchor="middle">{tickLabel(km)}</text>
+          </g>
+        ))}
+        <text x={W - 2} y={H + AXIS_H - 3} fontSize="8" fill={SUB} textAnchor="end">km</text>
+
+        {/* Steepest climb / descent — shaded stretch with its grade on top */}
+        {stretches.map(s => {
+          const r = span(s.fromKm, s.toKm)
+          if (!r) return null
+          return (
+            <g key={s.key}>
+              <rect x={r.x} y={P} width={r.width} height={H - P * 2} fill={INK} opacity="0.06" />
+              <text x={r.x + r.width / 2} y={P - 1} fontSize="8" fill={INK} textAnchor="middle">
+                {s.mark} {Math.abs(s.gradePct).toFixed(1)}%
+              </text>
+            </g>
+          )
+        })}
 
         {/* Risk bands — colored bars along the bottom of the chart */}
         {Array.isArray(bands) && bands.map((b, idx) => {
-          const x1 = x(b.fromKm)
-          const x2 = x(b.toKm)
-          const bw = Math.max(1, x2 - x1)
+          const r = span(b.fromKm, b.toKm)
+          if (!r) return null
           return (
             <rect
               key={idx}
-              x={x1}
+              x={r.x}
               y={H - P}
-              width={bw}
+              width={r.width}
               height={P - 1}
               fill={RISK_COLORS[b.risk] || RISK_COLORS.low}
               opacity={0.55}
@@ -172,7 +329,11 @@ export default function RouteInsights({ i, bands, onScrub, onSelect }) {
           strokeOpacity="0.35"
           strokeWidth="1"
         />
-        <path d={pathD} fill="none" stroke={LINE} strokeWidth="2" />
+        <g clipPath={`url(#${clipId})`}>
+          {gradePaths.map((g, idx) => (
+            <path key={idx} d={g.d} fill="none" stroke={GRADE_COLORS[g.cls]} strokeWidth="2" strokeLinejoin="round" />
+          ))}
+        </g>
         <text x={P} y={y(maxE) - 4} fontSize="10" fill={SUB}>
           {Math.round(maxE)} m
         </text>
@@ -180,10 +341,15 @@ export default function RouteInsights({ i, bands, onScrub, onSelect }) {
           {Math.round(minE)} m
         </text>
 
-        {showHover && (
+        {brush && (() => {
+          const r = span(Math.min(brush.fromKm, brush.toKm), Math.max(brush.fromKm, brush.toKm))
+          return r && <rect x={r.x} y={P} width={r.width} height={H - P * 2} fill={LINE} opacity="0.18" stroke={LINE} strokeOpacity="0.6" />
+        })()}
+
+        {showHover && !brush && (
           <>
             <line x1={hx} x2={hx} y1={P} y2={H - P} stroke={SUB} strokeOpacity="0.35" strokeWidth="1" />
-            <circle cx={x(distKm[hoverIdx])} cy={hy} r="3" fill={LINE} />
+            <circle cx={clamp(x(distKm[hoverIdx]), P, W - P)} cy={hy} r="3" fill={LINE} />
             <rect x={tipX} y={tipY} width={TIP_W} height={TIP_H} rx="4" fill="#111827" stroke="#223048" />
             <text x={tipX + 8} y={tipY + 11} fontSize="10" fill={SUB}>
               {hKm.toFixed(2)} km
@@ -191,10 +357,63 @@ export default function RouteInsights({ i, bands, onScrub, onSelect }) {
             <text x={tipX + 70} y={tipY + 11} fontSize="10" fill={SUB}>
               {Math.round(hElev)} m
             </text>
+            {hSpeed != null && (
+              <text x={tipX + 120} y={tipY + 11} fontSize="10" fill={SUB}>
+                {Math.round(hSpeed)} km/h
+              </text>
+            )}
           </>
         )}
       </svg>
 
+      {/* Infrastructure strip — same distance scale as the chart; click to focus */}
+      {infraBands.length > 0 && (
+        <svg
+          role="img"
+          aria-label="Bike infrastructure along the route"
+          width="100%"
+          height={STRIP_H}
+          viewBox={`0 0 ${W} ${STRIP_H}`}
+          preserveAspectRatio="none"
+          style={{ display: "block", width: "100%", marginTop: 3, cursor: "pointer" }}
+          onClick={handleStripClick}
+        >
+          {infraBands.map((b, idx) => {
+            const r = span(b.fromKm, b.toKm)
+            return r && <rect key={idx} x={r.x} y={0} width={r.width} height={STRIP_H} fill={INFRA_COLORS[b.infra] || GRID} />
+          })}
+          {exposed && span(exposed.fromKm, exposed.toKm) && (
+            <rect {...span(exposed.fromKm, exposed.toKm)} y={0.5} height={STRIP_H - 1} fill="none" stroke={INK} strokeWidth="1" />
+          )}
+        </svg>
+      )}
+
+      {/* Grade legend and the steepest stretches — click one to zoom to it */}
+      <div style={{ display: "flex", gap: 10, marginTop: 4, fontSize: 11, color: SUB }}>
+        {[["flat", `under ${STEEP_MED_PCT}%`], ["med", `${STEEP_MED_PCT}–${STEEP_HIGH_PCT}%`], ["high", `${STEEP_HIGH_PCT}%+`]].map(([k, label]) => (
+          <span key={k}>
+            <i style={{ display: "inline-block", width: 10, height: 3, borderRadius: 1, marginRight: 4, verticalAlign: "middle", background: GRADE_COLORS[k] }} aria-hidden="true" />
+            {label}
+          </span>
+        ))}
+      </div>
+      {stretches.map(s => (
+        <button
+          key={s.key}
+          type="button"
+          onClick={() => zoomTo(s.fromKm, s.toKm)}
+          title="Zoom to this stretch"
+          style={{
+            display: "block", width: "100%", textAlign: "left", marginTop: 4, padding: "3px 8px", borderRadius: 6,
+            background: "#111827", border: "1px solid #223048", color: INK, fontSize: 11, cursor: "pointer",
+          }}
+        >
+          <span aria-hidden="true" style={{ color: GRADE_COLORS[gradeClass(s.gradePct)] }}>{s.mark} </span>
+          {s.name}: <b>{stretchText(s)}</b>
+          <span style={{ color: SUB }}> at km {s.fromKm.toFixed(1)}–{s.toKm.toFixed(1)}</span>
+        </button>
+      ))}
+
       {/* Hovered risk band detail */}
       {hoveredBand && (
         <div style={{
@@ -221,15 +440,99 @@ export default function RouteInsights({ i, bands, onScrub, onSelect }) {
           <b>{Math.round(ascentM)} m</b> / <b>{Math.round(descentM)} m</b>
         </div>
         <div>
-          <span style={{ color: SUB }}>Suggested speed</span><br />
-          <b>{avgSpeedKph.toFixed(1)} km/h</b>
+          <span style={{ color: SUB }} title={calibratedRides ? `Calibrated from ${calibratedRides} of your rides` : undefined}>
+            Average speed{calibratedRides > 0 && " (your pace)"}
+          </span><br />
+          <b>{avgSpeedKph.toFixed(1)} km/h</b>{powerW > 0 && <span style={{ color: SUB }}> at {calibratedRides > 0 && "~"}{Math.round(powerW)} W</span>}
         </div>
         <div>
           <span style={{ color: SUB }}>ETA</span><br />
-          <b>{Math.round(etaMin)} min</b>
+          <b>{Math.round(etaMin)} min</b>{climbMin >= 1 && <span style={{ color: SUB }}> ({Math.round(climbMin)} climbing)</span>}
         </div>
+        {energyKJ > 0 && (
+          <div style={{ gridColumn: "1 / -1" }}>
+            <span style={{ color: SUB }}>Energy</span>{" "}
+            <b>{Math.round(energyKJ)} kJ</b> <span style={{ color: SUB }}>≈</span> <b>{Math.round(kcal)} kcal</b>
+          </div>
+        )}
       </div>
 
+      {/* Infrastructure breakdown — km per class */}
+      {infraTotal > 0 && (
+        <div style={{ marginTop: 8 }}>
+          <div style={{ color: SUB, fontSize: 12 }}>Infrastructure</div>
+          <div
+            role="img"
+            aria-label={infraRows.map(([t, km]) => `${INFRA_LABEL[t] || t} ${km.toFixed(1)} km`).join(", ")}
+            style={{ display: "flex", height: 8, borderRadius: 4, overflow: "hidden", marginTop: 4, background: GRID }}
+          >
+            {infraRows.map(([t, km]) => (
+              <div key={t} style={{ width: `${(km / infraTotal) * 100}%`, background: INFRA_COLORS[t] || GRID }} />
+            ))}
+          </div>
+          <table style={{ width: "100%", borderCollapse: "collapse", marginTop: 4, fontSize: 11 }}>
+            <tbody>
+              {infraRows.map(([t, km]) => (
+                <tr key={t}>
+                  <td style={{ padding: "1px 0" }}>
+                    <i style={{ display: "inline-block", width: 8, height: 8, borderRadius: 2, marginRight: 4, background: INFRA_COLORS[t] || GRID }} aria-hidden="true" />
+                    {INFRA_LABEL[t] || t}
+                  </td>
+                  <td style={{ textAlign: "right", color: SUB }}>{km.toFixed(1)} km</td>
+                  <td style={{ textAlign: "right", color: SUB, width: 36 }}>{Math.round((km / infraTotal) * 100)}%</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {exposed && exposed.toKm - exposed.fromKm >= 0.1 && (
+            <button
+              type="button"
+              onClick={() => onSelect && onSelect((exposed.fromKm + exposed.toKm) / 2)}
+              title="Show this stretch on the map"
+              style={{
+                display: "block", width: "100%", textAlign: "left", marginTop: 6, padding: "4px 8px", borderRadius: 6,
+                background: "#111827", border: "1px solid #223048", color: INK, fontSize: 11, cursor: "pointer",
+              }}
+            >
+              Longest stretch in traffic: <b>{(exposed.toKm - exposed.fromKm).toFixed(1)} km</b>
+              <span style={{ color: SUB }}> at km {exposed.fromKm.toFixed(1)}–{exposed.toKm.toFixed(1)}</span>
+              <br />
+              <span style={{ color: SUB }}>{[...exposed.types].map(t => INFRA_LABEL[t] || t).join(" · ")}</span>
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* Wind impact — how much of the route faces into the wind */}
+      {wind && (
+        <div style={{ marginTop: 8 }}>
+          <div style={{ display: "flex", justifyContent: "space-between", fontSize: 12 }}>
+            <span style={{ color: SUB }}>Wind {Math.round(wind.kph)} km/h from {compassPoint(wind.fromDeg)}</span>
+            <span>
+              {Math.round(wind.etaDeltaMin) === 0 ? "no change to ETA"
+                : `${wind.etaDeltaMin > 0 ? "+" : "−"}${Math.abs(Math.round(wind.etaDeltaMin))} min vs calm`}
+            </span>
+          </div>
+          <div
+            role="img"
+            aria-label={`Headwind ${wind.headKm.toFixed(1)} km, crosswind ${wind.crossKm.toFixed(1)} km, tailwind ${wind.tailKm.toFixed(1)} km`}
+            style={{ display: "flex", height: 8, borderRadius: 4, overflow: "hidden", marginTop: 4, background: GRID }}
+          >
+            {["head", "cross", "tail"].map(k => (
+              <div key={k} style={{ width: `${(wind[`${k}Km`] / Math.max(0.001, totalDistM / 1000)) * 100}%`, background: WIND_COLORS[k] }} />
+            ))}
+          </div>
+          <div style={{ display: "flex", gap: 10, marginTop: 4, fontSize: 11, color: SUB }}>
+            {["head", "cross", "tail"].map(k => (
+              <span key={k}>
+                <i style={{ display: "inline-block", width: 8, height: 8, borderRadius: 2, marginRight: 4, background: WIND_COLORS[k] }} aria-hidden="true" />
+                {k}wind {wind[`${k}Km`].toFixed(1)} km
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Risk band summary — scrollable list of all segments */}
       {Array.isArray(bands) && bands.length > 0 && (
         <details style={{ marginTop: 8 }}>
@@ -0,0 +1,75 @@
+import React, { useState } from 'react'
+import { PLACE_ICONS, makePlace } from '../utils/places.js'
+
+const fieldStyle = { padding:'6px 8px', borderRadius:8, border:'1px solid #2a3246', background:'#0d121b', color:'#eef3f8' }
+
+// Saved places: name the current origin or destination, then use it as a stop in one click
+export default function SavedPlaces({ places, onChange, recents, onClearRecents, candidates, onUse, loopMode }){
+  const [open, setOpen] = useState(false)
+  const [label, setLabel] = useState('')
+  const [icon, setIcon] = useState('home')
+  const [from, setFrom] = useState('origin')
+
+  const source = candidates.find(c => c.id === from) || candidates[0]
+  const save = () => {
+    if (!source) return
+    const p = makePlace({ label: label.trim() || PLACE_ICONS[icon].label, icon, address: source.text, lng: source.coord.lng, lat: source.coord.lat })
+    if (p) onChange([...places, p])
+    setLabel('')
+  }
+  const patch = (id, p) => onChange(places.map(x => (x.id === id ? { ...x, ...p } : x)))
+
+  return (
+    <details style={{ marginTop:12, fontSize:13, color:'#cfe1ff' }} open={open} onToggle={e => setOpen(e.currentTarget.open)}>
+      <summary style={{ cursor:'pointer' }}>Saved places{places.length ? ` (${places.length})` : ''}</summary>
+      <p style={{ margin:'6px 0', color:'#9fb1c7' }}>
+        Saved places and your recent searches show first in every search box.
+      </p>
+
+      {candidates.length ? (
+        <div role="group" aria-label="Save a place" style={{ display:'flex', gap:6, flexWrap:'wrap', alignItems:'center', marginBottom:8 }}>
+          <select value={icon} onChange={e => setIcon(e.target.value)} style={fieldStyle} aria-label="Icon">
+            {Object.entries(PLACE_ICONS).map(([id, x]) => <option key={id} value={id}>{x.icon} {x.label}</option>)}
+          </select>
+          <input type="text" value={label} onChange={e => setLabel(e.target.value)} placeholder={PLACE_ICONS[icon].label} maxLength={40}
+            style={{ ...fieldStyle, flex:1, minWidth:80 }} aria-label="Place name" onKeyDown={e => { if (e.key === 'Enter') save() }} />
+          {candidates.length > 1 && (
+            <select value={source.id} onChange={e => setFrom(e.target.value)} style={fieldStyle} aria-label="Point to save">
+              {candidates.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+            </select>
+          )}
+          <button type="button" className="secondary" onClick={save}>{candidates.length > 1 ? 'Save' : `Save ${source.name.toLowerCase()}`}</button>
+        </div>
+      ) : (
+        <p style={{ margin:'0 0 8px', color:'#9fb1c7' }}>Set an origin or destination to save it as a place.</p>
+      )}
+
+      {places.length > 0 && (
+        <ul style={{ listStyle:'none', margin:0, padding:0, maxHeight:200, overflowY:'auto' }}>
+          {places.map(p => (
+            <li key={p.id} style={{ display:'flex', gap:6, alignItems:'center', padding:'4px 0', borderTop:'1px solid #1f2a40' }}>
+              <select value={p.icon} onChange={e => patch(p.id, { icon: e.target.value })} aria-label={`Icon for ${p.label}`}
+                style={{ ...fieldStyle, padding:'2px 4px' }}>
+                {Object.entries(PLACE_ICONS).map(([id, x]) => <option key={id} value={id}>{x.icon}</option>)}
+              </select>
+              <input type="text" value={p.label} maxLength={40} onChange={e => patch(p.id, { label: e.target.value })}
+                onBlur={e => { if (!e.target.value.trim()) patch(p.id, { label: PLACE_ICONS[p.icon].label }) }}
+                title={p.address} style={{ ...fieldStyle, flex:1, minWidth:0, padding:'2px 6px' }} aria-label="Place name" />
+              <button type="button" className="secondary" onClick={() => onUse(p, 'origin')} title={`Start from ${p.label}`}>From</button>
+              {!loopMode && <button type="button" className="secondary" onClick={() => onUse(p, 'via')} title={`Ride via ${p.label}`}>Via</button>}
+              {!loopMode && <button type="button" className="secondary" onClick={() => onUse(p, 'dest')} title={`Ride to ${p.label}`}>To</button>}
+              <button type="button" className="secondary" onClick={() => onChange(places.filter(x => x.id !== p.id))} aria-label={`Delete ${p.label}`}>✕</button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {recents.length > 0 && (
+        <div style={{ display:'flex', justifyContent:'space-between', alignItems:'center', marginTop:8, color:'#9fb1c7' }}>
+          <span>{recents.length} recent search{recents.length === 1 ? '' : 'es'} remembered</span>
+          <button type="button" className="secondary" onClick={onClearRecents}>Clear recents</button>
+        </div>
+      )}
+    </details>
+  )
+}
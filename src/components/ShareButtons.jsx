@@ -1,12 +1,13 @@
 import React, { useState } from 'react'
 
-export default function ShareButtons({ url }){
+export default function ShareButtons({ url, fallbackUrl }){
   const [copied, setCopied] = useState(false)
 
   // SMS intent (works on mobile; desktop behavior depends on OS defaults)
   const smsHref = `sms:?&body=${encodeURIComponent(url)}`
-  // Email fallback
-  const mailHref = `mailto:?subject=Bike%20route&body=${encodeURIComponent(url)}`
+  // Email fallback — the Google Maps link rides along as a secondary option
+  const mailBody = fallbackUrl ? `${url}\n\nOr open in Google Maps (it may pick a different route):\n${fallbackUrl}` : url
+  const mailHref = `mailto:?subject=Bike%20route&body=${encodeURIComponent(mailBody)}`
 
   const handleCopy = async () => {
     try {
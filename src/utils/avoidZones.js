@@ -0,0 +1,46 @@
+/**
+ * avoidZones.js — Named areas the router must keep out of (a closed trail,
+ * a bad intersection), drawn on the map and kept in localStorage.
+ *
+ * Enabled zones go to the routing backend as ORS `avoid_polygons`.
+ */
+
+import { loadJSON, saveJSON, newId } from './storage.js'
+
+export const AVOID_KEY = 'bikesafe:avoid-zones'
+
+const isLngLat = (p) => Array.isArray(p) && Number.isFinite(+p[0]) && Number.isFinite(+p[1]) && Math.abs(+p[1]) <= 90 && Math.abs(+p[0]) <= 180
+
+/** A well-formed zone with a closed ring, or null when it has fewer than 3 corners. */
+export const makeZone = ({ id, name, ring, enabled = true } = {}) => {
+  const pts = (ring || []).filter(isLngLat).map(p => [+p[0], +p[1]])
+  const [first, last] = [pts[0], pts[pts.length - 1]]
+  if (pts.length > 1 && first[0] === last[0] && first[1] === last[1]) pts.pop()
+  if (pts.length < 3) return null
+  return { id: id ? String(id) : newId('az'), name: String(name || 'Avoid area').slice(0, 60), ring: [...pts, pts[0]], enabled: enabled !== false }
+}
+
+export const loadAvoidZones = () => {
+  const list = loadJSON(AVOID_KEY, [])
+  return Array.isArray(list) ? list.map(makeZone).filter(Boolean) : []
+}
+export const saveAvoidZones = (list) => saveJSON(AVOID_KEY, list)
+
+/** GeoJSON geometry for ORS `options.avoid_polygons`, or null when no zone is enabled. */
+export const avoidGeometry = (zones) => {
+  const rings = (zones || []).filter(z => z.enabled).map(z => z.ring)
+  if (!rings.length) return null
+  return rings.length === 1
+    ? { type: 'Polygon', coordinates: [rings[0]] }
+    : { type: 'MultiPolygon', coordinates: rings.map(r => [r]) }
+}
+
+/** Zones as Polygon features for the map layer. */
+export const zonesToGeoJSON = (zones) => ({
+  type: 'FeatureCollection',
+  features: (zones || []).map(z => ({
+    type: 'Feature',
+    properties: { kind: 'zone', id: z.id, name: z.name, enabled: z.enabled },
+    geometry: { type: 'Polygon', coordinates: [z.ring] },
+  })),
+})
@@ -0,0 +1,164 @@
+/**
+ * cache.js — Persistent IndexedDB cache for routing and geocoding responses.
+ *
+ * Entries are keyed on the request with every fractional number rounded to
+ * COORD_DECIMALS (~11 m for coordinates), so marker nudges and repeated
+ * searches reuse earlier answers. Fresh entries skip the network; expired
+ * ones are still served when the network fails, which is what lets a
+ * previously planned route reopen offline. Values and their metadata live in
+ * separate stores so listing and eviction never load the payloads.
+ *
+ * Without IndexedDB (some private modes) every call simply goes to the network.
+ */
+
+const DB_NAME = 'bikesafe-cache'
+const VALUES = 'values'
+const META = 'meta'
+const COORD_DECIMALS = 4
+const HOUR = 3600 * 1000
+
+export const CACHE_TTL = { ors: 7 * 24 * HOUR, geocode: 30 * 24 * HOUR }
+export const CACHE_MAX_BYTES = 25 * 1024 * 1024
+export const CACHE_KIND_LABEL = { ors: 'Routing', geocode: 'Place search' }
+
+let dbPromise = null
+const openDB = () => {
+  if (dbPromise) return dbPromise
+  dbPromise = new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') { resolve(null); return }
+    const req = indexedDB.open(DB_NAME, 1)
+    req.onupgradeneeded = () => {
+      const db = req.result
+      db.createObjectStore(VALUES)
+      db.createObjectStore(META, { keyPath: 'key' }).createIndex('lastUsed', 'lastUsed')
+    }
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => resolve(null)
+    req.onblocked = () => resolve(null)
+  })
+  return dbPromise
+}
+
+const done = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result)
+  req.onerror = () => reject(req.error)
+})
+
+const committed = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve()
+  tx.onerror = tx.onabort = () => reject(tx.error)
+})
+
+const round = (v) => {
+  if (typeof v === 'number') return Number.isInteger(v) ? v : +v.toFixed(COORD_DECIMALS)
+  if (Array.isArray(v)) return v.map(round)
+  if (v && typeof v === 'object') return Object.fromEntries(Object.keys(v).sort().filter(k => v[k] !== undefined).map(k => [k, round(v[k])]))
+  return v
+}
+
+/** Stable cache key for a request payload (no secrets — leave API keys out). */
+export const cacheKey = (kind, request) => `${kind}:${JSON.stringify(round(request))}`
+
+/**
+ * Request payload for a place search. The bias point / box are coarsened to
+ * ~1 km so panning the map doesn't turn every repeat search into a miss.
+ */
+export const geocodeRequest = (q, { limit, proximity, bbox } = {}) => {
+  const coarse = (a) => (Array.isArray(a) && a.length ? a.map(v => +(+v).toFixed(2)) : null)
+  return { q: String(q).trim().toLowerCase(), limit, proximity: coarse(proximity), bbox: coarse(bbox) }
+}
+
+const readEntry = async (key) => {
+  const db = await openDB()
+  if (!db) return null
+  const tx = db.transaction([META, VALUES], 'readonly')
+  const [meta, value] = await Promise.all([done(tx.objectStore(META).get(key)), done(tx.objectStore(VALUES).get(key))])
+  return meta && value !== undefined ? { meta, value } : null
+}
+
+const touch = async (meta) => {
+  const db = await openDB()
+  if (!db) return
+  const tx = db.transaction(META, 'readwrite')
+  tx.objectStore(META).put({ ...meta, lastUsed: Date.now() })
+  await committed(tx)
+}
+
+// drop least-recently-used entries until the cache is back under the cap
+const evict = async (db) => {
+  const metas = await done(db.transaction(META, 'readonly').objectStore(META).index('lastUsed').getAll())
+  let total = metas.reduce((s, m) => s + (m.size || 0), 0)
+  if (total <= CACHE_MAX_BYTES) return
+  const tx = db.transaction([META, VALUES], 'readwrite')
+  for (const m of metas) {
+    if (total <= CACHE_MAX_BYTES * 0.9) break
+    tx.objectStore(META).delete(m.key)
+    tx.objectStore(VALUES).delete(m.key)
+    total -= m.size || 0
+  }
+  await committed(tx)
+}
+
+const writeEntry = async (meta, value) => {
+  const db = await openDB()
+  if (!db) return
+  const tx = db.transaction([META, VALUES], 'readwrite')
+  tx.objectStore(META).put(meta)
+  tx.objectStore(VALUES).put(value, meta.key)
+  await committed(tx)
+  await evict(db)
+}
+
+/**
+ * Return the cached response for `request`, or run `load()` and store what
+ * it resolves to. When `load()` fails an expired entry is returned instead
+ * of the error. Cache failures never break the request itself.
+ */
+export const cached = async (kind, request, load, { ttl = CACHE_TTL[kind] ?? 24 * HOUR, label = '' } = {}) => {
+  const key = cacheKey(kind, request)
+  let hit = null
+  try { hit = await readEntry(key) } catch { hit = null }
+  if (hit && hit.meta.expires > Date.now()) {
+    touch(hit.meta).catch(() => {})
+    return hit.value
+  }
+  try {
+    const value = await load()
+    const now = Date.now()
+    const size = JSON.stringify(value ?? null).length
+    writeEntry({ key, kind, label, size, created: now, expires: now + ttl, lastUsed: now }, value).catch(() => {})
+    return value
+  } catch (e) {
+    if (hit) return hit.value
+    throw e
+  }
+}
+
+/** Metadata of every entry, most recently used first. */
+export const listCache = async () => {
+  const db = await openDB()
+  if (!db) return []
+  const metas = await done(db.transaction(META, 'readonly').objectStore(META).getAll())
+  return metas.sort((a, b) => b.lastUsed - a.lastUsed)
+}
+
+/** Remove one entry. */
+export const deleteCacheEntry = async (key) => {
+  const db = await openDB()
+  if (!db) return
+  const tx = db.transaction([META, VALUES], 'readwrite')
+  tx.objectStore(META).delete(key)
+  tx.objectStore(VALUES).delete(key)
+  await committed(tx)
+}
+
+/** Remove every entry, or only those of one `kind`. */
+export const clearCache = async (kind) => {
+  const db = await openDB()
+  if (!db) return
+  const keys = kind ? (await listCache()).filter(m => m.kind === kind).map(m => m.key) : null
+  const tx = db.transaction([META, VALUES], 'readwrite')
+  if (!keys) { tx.objectStore(META).clear(); tx.objectStore(VALUES).clear() }
+  else for (const k of keys) { tx.objectStore(META).delete(k); tx.objectStore(VALUES).delete(k) }
+  await committed(tx)
+}
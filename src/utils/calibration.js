@@ -0,0 +1,180 @@
+/**
+ * calibration.js — Personal speed model fitted from the rider's own
+ * recorded rides (GPX with timestamps).
+ *
+ * Each ride is cut into ~50 m chunks of moving time. Chunks are binned by
+ * grade and by ORS surface (when the ride could be matched to the network),
+ * and only those per-bin totals are kept in localStorage — never the tracks.
+ *
+ * fitCalibration() turns the rides into a model getInsights uses in place of
+ * the power model's speeds:
+ *
+ *   speed(grade)    piecewise-linear through the rider's binned speeds; past
+ *                   the recorded grades it follows the power model's shape
+ *   × surface       the rider's speed on a surface relative to their grade
+ *                   curve, or the power model's ratio for unseen surfaces
+ */
+
+import { haversineMeters, valueAt } from './scoring.js'
+import { loadJSON, saveJSON } from './storage.js'
+
+export const CALIBRATION_KEY = 'bikesafe:calibration'
+
+const CHUNK_M = 50          // grade and speed over at least this much track
+const MAX_GAP_S = 30        // a longer gap between fixes is a pause: start a new chunk
+const MIN_KPH = 3           // slower chunks are stops, walking or GPS drift
+const MAX_KPH = 70          // faster chunks are GPS jumps
+const MIN_BIN_M = 300       // road a grade bin needs before it counts
+const MIN_SURFACE_M = 500   // road a surface needs before it gets its own factor
+const MIN_RIDE_KM = 1       // rides shorter than this (moving) are rejected
+const MIN_TIMED = 0.8       // share of points that must carry a timestamp
+
+// upper edges of the grade bins (rise/run); the last bin is open-ended
+const GRADE_EDGES = [-0.06, -0.04, -0.02, -0.005, 0.005, 0.02, 0.04, 0.06, 0.09]
+const gradeBin = (g) => {
+  const k = GRADE_EDGES.findIndex(e => g < e)
+  return k < 0 ? GRADE_EDGES.length : k
+}
+
+const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v))
+
+export const loadCalibrationRides = () => {
+  const list = loadJSON(CALIBRATION_KEY, [])
+  return Array.isArray(list) ? list.filter(r => r && r.id && r.cells) : []
+}
+export const saveCalibrationRides = (list) => saveJSON(CALIBRATION_KEY, list)
+
+/**
+ * ORS surface code at any point of a recorded ride, read from the route it
+ * was matched to: nearest vertex, searched forward from the last hit since
+ * rides are walked in order.
+ */
+export const surfaceAlong = (matched) => {
+  const coords = matched?.geometry?.coordinates || []
+  const vals = matched?.properties?.extras?.surface?.values || []
+  if (!coords.length || !vals.length) return null
+  let cursor = 0
+  return ([lng, lat]) => {
+    let best = cursor, bestD = Infinity
+    for (let j = cursor; j < Math.min(coords.length, cursor + 200); j++) {
+      const d = haversineMeters({ lng, lat }, { lng: coords[j][0], lat: coords[j][1] })
+      if (d < bestD) { bestD = d; best = j }
+    }
+    cursor = best
+    return bestD < 60 ? valueAt(Math.min(best, coords.length - 2), vals, 0) : 0
+  }
+}
+
+/**
+ * Per-bin moving totals for one recorded ride. `surfaceAt` is an optional
+ * point → ORS surface code lookup (see surfaceAlong).
+ * Returns { id, name, startedAt, km, movingMin, cells } where cells maps
+ * "surface|gradeBin" to [meters, seconds, grade·meters]; throws when the
+ * file has no usable timestamps.
+ */
+export const analyzeRide = ({ name, coords, times }, surfaceAt = null) => {
+  const timed = (times || []).filter(t => t != null).length
+  if (!coords?.length || timed < Math.max(2, coords.length * MIN_TIMED))
+    throw new Error('This file has no timestamps — export the recorded ride (GPX with <time>) from your device or app')
+
+  const cells = {}
+  let movingM = 0, movingS = 0
+  const add = (a, b, d) => {
+    const dt = (times[b] - times[a]) / 1000
+    const kph = (d / dt) * 3.6
+    const za = coords[a][2], zb = coords[b][2]
+    if (!(dt > 0) || kph < MIN_KPH || kph > MAX_KPH || !Number.isFinite(za) || !Number.isFinite(zb)) return
+    const g = clamp((zb - za) / d, -0.25, 0.25)
+    const key = `${surfaceAt ? surfaceAt(coords[a]) : 0}|${gradeBin(g)}`
+    const c = cells[key] || (cells[key] = [0, 0, 0])
+    c[0] += d; c[1] += dt; c[2] += g * d
+    movingM += d; movingS += dt
+  }
+
+  let a = -1, d = 0
+  for (let i = 0; i < coords.length; i++) {
+    if (times[i] == null) continue
+    if (a < 0) { a = i; d = 0; continue }
+    const prev = times[i - 1] ?? times[a]
+    if ((times[i] - prev) / 1000 > MAX_GAP_S) { a = i; d = 0; continue }
+    const [x1, y1] = coords[i - 1], [x2, y2] = coords[i]
+    d += haversineMeters({ lng: x1, lat: y1 }, { lng: x2, lat: y2 })
+    if (d >= CHUNK_M) { add(a, i, d); a = i; d = 0 }
+  }
+
+  if (movingM / 1000 < MIN_RIDE_KM) throw new Error('Not enough moving time with elevation in this ride to calibrate from')
+  const t0 = times.find(t => t != null)
+  const round = (n) => Math.round(n * 10) / 10
+  for (const c of Object.values(cells)) { c[0] = round(c[0]); c[1] = round(c[1]); c[2] = round(c[2]) }
+  return {
+    id: `${t0}-${Math.round(movingM)}`,
+    name: name || 'Ride',
+    startedAt: new Date(t0).toISOString(),
+    km: movingM / 1000,
+    movingMin: movingS / 60,
+    cells,
+  }
+}
+
+/** Add rides to the list, replacing any already imported (same id). */
+export const mergeRides = (list, added) => {
+  const ids = new Set(added.map(r => r.id))
+  return [...list.filter(r => !ids.has(r.id)), ...added]
+}
+
+/**
+ * Fit the personal model from analyzed rides, or null when there is too
+ * little data. The model is { rides, km, curve, surface, speedKph } where
+ * speedKph(grade, surf, base) is the rider's speed and `base(grade, surf)`
+ * the power model's calm speed, used to extend the curve and for surfaces
+ * the rider has no data on.
+ */
+export const fitCalibration = (rides) => {
+  if (!rides?.length) return null
+  const bins = {}, bySurface = {}
+  for (const r of rides) {
+    for (const [key, [m, s, gm]] of Object.entries(r.cells)) {
+      const [surf, bin] = key.split('|').map(Number)
+      const b = bins[bin] || (bins[bin] = [0, 0, 0])
+      b[0] += m; b[1] += s; b[2] += gm
+      if (surf > 0) (bySurface[surf] ||= []).push([bin, m, s])
+    }
+  }
+
+  // [mean grade, km/h] through every bin with enough road
+  const curve = Object.values(bins)
+    .filter(([m]) => m >= MIN_BIN_M)
+    .map(([m, s, gm]) => [gm / m, (m / s) * 3.6])
+    .sort((p, q) => p[0] - q[0])
+  if (!curve.length) return null
+
+  const curveKph = (g) => {
+    let k = 1
+    while (k < curve.length && curve[k][0] < g) k++
+    if (k >= curve.length) return curve[curve.length - 1][1]
+    const [g0, v0] = curve[k - 1], [g1, v1] = curve[k]
+    return g <= g0 ? v0 : v0 + ((v1 - v0) * (g - g0)) / (g1 - g0)
+  }
+
+  // surface factor: time the grade curve predicts over the rider's time on it
+  const surface = {}
+  for (const [surf, parts] of Object.entries(bySurface)) {
+    let m = 0, s = 0, expS = 0
+    for (const [bin, bm, bs] of parts) {
+      const b = bins[bin]
+      m += bm; s += bs
+      expS += bm / (curveKph(b[2] / b[0]) / 3.6)
+    }
+    if (m >= MIN_SURFACE_M && s > 0) surface[surf] = clamp(expS / s, 0.4, 1.3)
+  }
+
+  const lo = curve[0], hi = curve[curve.length - 1]
+  const speedKph = (grade, surf, base) => {
+    const v = grade < lo[0] ? lo[1] * base(grade, 1) / base(lo[0], 1)
+      : grade > hi[0] ? hi[1] * base(grade, 1) / base(hi[0], 1)
+      : curveKph(grade)
+    return v * (surface[surf] ?? base(grade, surf) / base(grade, 1))
+  }
+
+  return { rides: rides.length, km: rides.reduce((n, r) => n + r.km, 0), curve, surface, speedKph }
+}
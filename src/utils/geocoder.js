@@ -0,0 +1,216 @@
+/**
+ * geocoder.js — Place search and reverse lookups behind a small provider
+ * adapter.
+ *
+ * A geocoder is
+ *   { id, label, searchAsYouType,
+ *     search(q, { limit, proximity, bbox, signal })  → [{ id, label, center }]
+ *     reverse({ lng, lat }, { signal })              → label | null }
+ * with `center` as [lng, lat]. Results come back de-duplicated, and a
+ * caller's `signal` aborts the request. Labels are for display only: callers
+ * keep routing from the exact coordinate. Without `searchAsYouType` a
+ * provider may only be queried on an explicit submit, never per keystroke.
+ *
+ * Picked at build time with VITE_GEOCODER:
+ *   maptiler (default)  needs VITE_MAPTILER_KEY
+ *   nominatim           nominatim.openstreetmap.org, or VITE_GEOCODER_URL;
+ *                       searches on Enter only (OSMF policy: no autocomplete)
+ *   photon              photon.komoot.io, or VITE_GEOCODER_URL
+ *   local               public/fixtures/gazetteer.json — offline dev and demos
+ */
+
+import { http } from './http.js'
+import { cached, geocodeRequest } from './cache.js'
+import { haversineMeters } from './scoring.js'
+
+export const GEOCODERS = ['maptiler', 'nominatim', 'photon', 'local']
+
+const REVERSE_PRECISION = 4   // ~11 m: nearby picks share a cache entry
+const SAME_PLACE_M = 50       // results this close with the same name are one place
+
+const getJSON = async (url, signal, what = 'Place search') => {
+  const res = await http(url, { headers: { accept: 'application/json' }, signal }, 12000)
+  if (!res.ok) throw new Error(`${what} failed (${res.status})`)
+  return res.json()
+}
+const reversePoint = ({ lng, lat }) => [+lng.toFixed(REVERSE_PRECISION), +lat.toFixed(REVERSE_PRECISION)]
+
+/**
+ * Drop repeats: the same label twice, or the same place name at (nearly)
+ * the same spot — providers often return a street and an address on it.
+ */
+export const dedupeResults = (list) => {
+  const out = []
+  for (const r of list) {
+    const label = r.label.trim().toLowerCase()
+    const head = label.split(',')[0]
+    const [lng, lat] = r.center
+    const dup = out.some(o => o.label.trim().toLowerCase() === label ||
+      (o.label.trim().toLowerCase().split(',')[0] === head && haversineMeters({ lng: o.center[0], lat: o.center[1] }, { lng, lat }) < SAME_PLACE_M))
+    if (!dup) out.push(r)
+  }
+  return out
+}
+
+const finish = (list) => dedupeResults(list.filter(r => r.label && Number.isFinite(r.center?.[0]) && Number.isFinite(r.center?.[1])))
+
+// ---------------------------------------------------------------------------
+// MapTiler
+// ---------------------------------------------------------------------------
+
+// MapTiler place types, most specific first
+const MAPTILER_TYPES = ['address', 'poi', 'street', 'neighbourhood', 'place', 'municipality']
+
+export const createMapTilerGeocoder = ({ key, baseUrl = 'https://api.maptiler.com' } = {}) => ({
+  id: 'maptiler',
+  label: 'MapTiler',
+  searchAsYouType: true,
+  search: async (q, { limit = 5, proximity, bbox, signal } = {}) => {
+    if (!key) throw new Error('To search by address, set VITE_MAPTILER_KEY (or pick another VITE_GEOCODER)')
+    const params = new URLSearchParams({ key, limit: String(limit) })
+    if (proximity?.length === 2) params.set('proximity', `${proximity[0]},${proximity[1]}`)
+    if (bbox?.length === 4) params.set('bbox', bbox.join(','))
+    const data = await cached('geocode', geocodeRequest(q, { limit, proximity, bbox }),
+      () => getJSON(`${baseUrl}/geocoding/${encodeURIComponent(String(q))}.json?${params}`, signal), { label: String(q) })
+    return finish((data?.features || []).map(f => ({ id: f.id, label: f.place_name || f.text, center: f.center })))
+  },
+  reverse: async (c, { signal } = {}) => {
+    if (!key) return null
+    const at = reversePoint(c)
+    const params = new URLSearchParams({ key, types: MAPTILER_TYPES.join(','), limit: '5' })
+    const data = await cached('geocode', { reverse: at },
+      () => getJSON(`${baseUrl}/geocoding/${at[0]},${at[1]}.json?${params}`, signal, 'Place lookup'), { label: `${at[1]},${at[0]}` })
+    const rank = (f) => {
+      const k = MAPTILER_TYPES.findIndex(t => (f.place_type || []).includes(t))
+      return k < 0 ? MAPTILER_TYPES.length : k
+    }
+    const best = [...(data?.features || [])].sort((a, b) => rank(a) - rank(b))[0]
+    return best?.place_name || best?.text || null
+  },
+})
+
+// ---------------------------------------------------------------------------
+// Nominatim (OpenStreetMap)
+// ---------------------------------------------------------------------------
+
+// The public server's usage policy forbids client-side autocomplete, so the
+// search box only sends a query when the rider presses Enter.
+
+export const createNominatimGeocoder = ({ baseUrl = 'https://nominatim.openstreetmap.org' } = {}) => ({
+  id: 'nominatim',
+  label: 'Nominatim',
+  searchAsYouType: false,
+  search: async (q, { limit = 5, proximity, bbox, signal } = {}) => {
+    const params = new URLSearchParams({ q: String(q), format: 'jsonv2', limit: String(limit) })
+    if (bbox?.length === 4) params.set('viewbox', bbox.join(','))   // a preference, not a filter, without bounded=1
+    const data = await cached('geocode', { ...geocodeRequest(q, { limit, proximity, bbox }), provider: 'nominatim' },
+      () => getJSON(`${baseUrl}/search?${params}`, signal), { label: String(q) })
+    return finish((Array.isArray(data) ? data : []).map(p => ({ id: `osm-${p.osm_type}-${p.osm_id}`, label: p.display_name, center: [+p.lon, +p.lat] })))
+  },
+  reverse: async (c, { signal } = {}) => {
+    const at = reversePoint(c)
+    const params = new URLSearchParams({ lon: String(at[0]), lat: String(at[1]), format: 'jsonv2', zoom: '18' })
+    const data = await cached('geocode', { reverse: at, provider: 'nominatim' },
+      () => getJSON(`${baseUrl}/reverse?${params}`, signal, 'Place lookup'), { label: `${at[1]},${at[0]}` })
+    return data?.display_name || null
+  },
+})
+
+// ---------------------------------------------------------------------------
+// Photon (OpenStreetMap, search-as-you-type)
+// ---------------------------------------------------------------------------
+
+const photonLabel = (p = {}) => {
+  const street = [p.housenumber, p.street].filter(Boolean).join(' ')
+  return [p.name, street !== p.name && street, p.city || p.district, p.state, p.country].filter(Boolean).join(', ')
+}
+const fromPhoton = (data) => (data?.features || []).map(f => ({
+  id: `osm-${f.properties?.osm_type}-${f.properties?.osm_id}`,
+  label: photonLabel(f.properties),
+  center: f.geometry?.coordinates,
+}))
+
+export const createPhotonGeocoder = ({ baseUrl = 'https://photon.komoot.io' } = {}) => ({
+  id: 'photon',
+  label: 'Photon',
+  searchAsYouType: true,
+  search: async (q, { limit = 5, proximity, bbox, signal } = {}) => {
+    const params = new URLSearchParams({ q: String(q), limit: String(limit) })
+    if (proximity?.length === 2) { params.set('lon', String(proximity[0])); params.set('lat', String(proximity[1])) }
+    if (bbox?.length === 4) params.set('bbox', bbox.join(','))
+    const data = await cached('geocode', { ...geocodeRequest(q, { limit, proximity, bbox }), provider: 'photon' },
+      () => getJSON(`${baseUrl}/api/?${params}`, signal), { label: String(q) })
+    return finish(fromPhoton(data))
+  },
+  reverse: async (c, { signal } = {}) => {
+    const at = reversePoint(c)
+    const params = new URLSearchParams({ lon: String(at[0]), lat: String(at[1]), limit: '1' })
+    const data = await cached('geocode', { reverse: at, provider: 'photon' },
+      () => getJSON(`${baseUrl}/reverse?${params}`, signal, 'Place lookup'), { label: `${at[1]},${at[0]}` })
+    return fromPhoton(data)[0]?.label || null
+  },
+})
+
+// ---------------------------------------------------------------------------
+// Local gazetteer: [{ name, lng, lat, address?, aliases? }]
+// ---------------------------------------------------------------------------
+
+const LOCAL_REVERSE_M = 300   // nearest entry within this is the point's label
+
+export const createLocalGeocoder = ({ url } = {}) => {
+  let entries = null
+  const load = async (signal) => {
+    if (entries) return entries
+    const list = await getJSON(url, signal, 'Gazetteer')
+    entries = (Array.isArray(list) ? list : []).filter(e => e?.name && Number.isFinite(+e.lng) && Number.isFinite(+e.lat))
+    return entries
+  }
+  const labelOf = (e) => (e.address ? `${e.name}, ${e.address}` : e.name)
+  return {
+    id: 'local',
+    label: 'Local gazetteer',
+    searchAsYouType: true,
+    search: async (q, { limit = 5, proximity, signal } = {}) => {
+      const needle = String(q).trim().toLowerCase()
+      if (!needle) return []
+      const scored = []
+      for (const e of await load(signal)) {
+        const names = [e.name, ...(e.aliases || [])].map(n => String(n).toLowerCase())
+        const score = names.some(n => n === needle) ? 0
+          : names.some(n => n.startsWith(needle)) ? 1
+          : names.some(n => n.includes(needle)) || String(e.address || '').toLowerCase().includes(needle) ? 2
+          : -1
+        if (score < 0) continue
+        const d = proximity?.length === 2 ? haversineMeters({ lng: proximity[0], lat: proximity[1] }, { lng: +e.lng, lat: +e.lat }) : 0
+        scored.push({ score, d, e })
+      }
+      scored.sort((a, b) => a.score - b.score || a.d - b.d)
+      return finish(scored.slice(0, limit).map(({ e }) => ({ id: `local-${e.name}`, label: labelOf(e), center: [+e.lng, +e.lat] })))
+    },
+    reverse: async ({ lng, lat }, { signal } = {}) => {
+      let best = null, bestD = LOCAL_REVERSE_M
+      for (const e of await load(signal)) {
+        const d = haversineMeters({ lng, lat }, { lng: +e.lng, lat: +e.lat })
+        if (d < bestD) { bestD = d; best = e }
+      }
+      return best ? labelOf(best) : null
+    },
+  }
+}
+
+export const createGeocoder = (env = import.meta.env) => {
+  const kind = String(env.VITE_GEOCODER || 'maptiler').toLowerCase()
+  const baseUrl = env.VITE_GEOCODER_URL || undefined
+  if (kind === 'nominatim') return createNominatimGeocoder({ baseUrl })
+  if (kind === 'photon') return createPhotonGeocoder({ baseUrl })
+  if (kind === 'local') return createLocalGeocoder({ url: `${env.BASE_URL || '/'}fixtures/gazetteer.json` })
+  if (kind !== 'maptiler') console.warn(`[geocoder] unknown provider "${kind}", using MapTiler`)
+  return createMapTilerGeocoder({ key: env.VITE_MAPTILER_KEY })
+}
+
+/** First result for a query as { lng, lat }; throws when nothing matches. */
+export const geocodeFirst = async (geocoder, q, opts = {}) => {
+  const [hit] = await geocoder.search(q, { ...opts, limit: 1 })
+  if (!hit) throw new Error('Place not found')
+  return { lng: hit.center[0], lat: hit.center[1] }
+}
@@ -0,0 +1,109 @@
+/**
+ * hazards.js — Rider-reported hazards (potholes, construction, driveways…)
+ * that OSM doesn't know about.
+ *
+ * Reports are kept in localStorage and travel as GeoJSON Point features.
+ * Scoring reads them through withHazards() in scoring.js.
+ */
+
+import { loadJSON, saveJSON, newId } from './storage.js'
+
+export const HAZARD_KEY = 'bikesafe:hazards'
+
+export const HAZARD_CATEGORIES = {
+  pothole:      { label: 'Pothole',            icon: '🕳️' },
+  construction: { label: 'Construction',       icon: '🚧' },
+  driveway:     { label: 'Dangerous driveway', icon: '🚗' },
+  debris:       { label: 'Debris / glass',     icon: '⚠️' },
+  flooding:     { label: 'Flooding',           icon: '🌊' },
+  dooring:      { label: 'Dooring zone',       icon: '🚪' },
+  other:        { label: 'Other hazard',       icon: '❗' },
+}
+
+export const HAZARD_SEVERITY = { 1: 'minor', 2: 'moderate', 3: 'severe' }
+
+// expiry presets offered when reporting; null = until removed
+export const HAZARD_EXPIRY = [
+  { id: 'none',  label: 'No expiry', ms: null },
+  { id: 'day',   label: '1 day',     ms: 864e5 },
+  { id: 'week',  label: '1 week',    ms: 7 * 864e5 },
+  { id: 'month', label: '1 month',   ms: 30 * 864e5 },
+]
+
+export const hazardLabel = (h) => HAZARD_CATEGORIES[h?.category]?.label || HAZARD_CATEGORIES.other.label
+
+const toSeverity = (v) => {
+  if (typeof v === 'string') {
+    const named = { low: 1, minor: 1, med: 2, medium: 2, moderate: 2, high: 3, severe: 3 }[v.toLowerCase()]
+    if (named) return named
+  }
+  const n = Math.round(Number(v))
+  return Number.isFinite(n) ? Math.min(3, Math.max(1, n)) : 2
+}
+
+const toTime = (v) => {
+  const t = v == null || v === '' ? NaN : new Date(v).getTime()
+  return Number.isFinite(t) ? t : null
+}
+
+/** A well-formed hazard, or null. Unknown categories become "other". */
+export const makeHazard = ({ id, lng, lat, category, severity, note, createdAt, expiresAt } = {}) => {
+  if (!Number.isFinite(+lng) || !Number.isFinite(+lat) || Math.abs(+lat) > 90 || Math.abs(+lng) > 180) return null
+  return {
+    id: id ? String(id) : newId('hz'),
+    lng: +lng, lat: +lat,
+    category: HAZARD_CATEGORIES[category] ? category : 'other',
+    severity: toSeverity(severity),
+    note: note ? String(note).slice(0, 200) : '',
+    createdAt: toTime(createdAt) ?? Date.now(),
+    expiresAt: toTime(expiresAt),
+  }
+}
+
+export const isActiveHazard = (h, now = Date.now()) => h.expiresAt == null || h.expiresAt > now
+export const activeHazards = (list, now = Date.now()) => (list || []).filter(h => isActiveHazard(h, now))
+
+export const loadHazards = () => {
+  const list = loadJSON(HAZARD_KEY, [])
+  return Array.isArray(list) ? list.map(makeHazard).filter(Boolean) : []
+}
+export const saveHazards = (list) => saveJSON(HAZARD_KEY, list)
+
+/** Hazards as a GeoJSON FeatureCollection of Points (for export and the map layer). */
+export const hazardsToGeoJSON = (list, now = Date.now()) => ({
+  type: 'FeatureCollection',
+  features: (list || []).map(h => ({
+    type: 'Feature',
+    id: h.id,
+    properties: {
+      id: h.id, category: h.category, severity: h.severity, note: h.note,
+      createdAt: new Date(h.createdAt).toISOString(),
+      expiresAt: h.expiresAt == null ? null : new Date(h.expiresAt).toISOString(),
+      active: isActiveHazard(h, now),
+    },
+    geometry: { type: 'Point', coordinates: [h.lng, h.lat] },
+  })),
+})
+
+/** Hazards from GeoJSON text: Point features (or a bare array of them); everything else is skipped. */
+export const hazardsFromGeoJSON = (text) => {
+  let json
+  try { json = JSON.parse(text) } catch { throw new Error('That file is not valid GeoJSON') }
+  const feats = Array.isArray(json) ? json : json?.type === 'FeatureCollection' ? json.features : json?.type === 'Feature' ? [json] : []
+  const list = (feats || [])
+    .filter(f => f?.geometry?.type === 'Point')
+    .map(f => {
+      const [lng, lat] = f.geometry.coordinates || []
+      return makeHazard({ ...(f.properties || {}), id: f.properties?.id ?? f.id, lng, lat })
+    })
+    .filter(Boolean)
+  if (!list.length) throw new Error('No hazard points found in that file')
+  return list
+}
+
+/** Merge imported hazards into the list; an import replaces reports with the same id. */
+export const mergeHazards = (list, incoming) => {
+  const byId = new Map((list || []).map(h => [h.id, h]))
+  for (const h of incoming) byId.set(h.id, h)
+  return [...byId.values()]
+}
@@ -0,0 +1,94 @@
+/**
+ * history.js — Planner history kept in localStorage: one entry per plan
+ * with the chosen route's distance, ascent, risk mix and infrastructure mix,
+ * plus the stats rolled up from them.
+ *
+ * An entry is
+ *   { id, name, originLabel, destLabel, plan, tag, km, ascentM, etaMin,
+ *     risk: { low, med, high }, infra: { [INFRA_TYPES value]: km },
+ *     favorite, createdAt, updatedAt }
+ * where `plan` is what restorePlan reopens: { origin, dest, vias, loop }.
+ */
+
+import { INFRA_TYPES } from './scoring.js'
+import { loadJSON, saveJSON, newId } from './storage.js'
+
+export const HISTORY_KEY = 'bikesafe:history'
+const MAX_ENTRIES = 200   // oldest non-favorites go first past this
+
+const fmtLatLng = (p) => `${(+p.lat).toFixed(5)},${(+p.lng).toFixed(5)}`
+
+/** Short label for a stop: the first part of a place name, or the coordinates. */
+export const shortPlaceLabel = (text, coord) => {
+  const t = String(text || '').trim()
+  if (t && !/^-?\d+(\.\d+)?\s*,\s*-?\d/.test(t)) return t.split(',')[0].trim()
+  return coord ? `${(+coord.lat).toFixed(4)}, ${(+coord.lng).toFixed(4)}` : t || 'Unknown'
+}
+
+/** Identity of a plan: same stops (and loop length) → same key. */
+export const planKey = ({ origin, dest, vias = [], loop } = {}) => [
+  origin ? fmtLatLng(origin) : '',
+  ...vias.map(fmtLatLng),
+  dest ? fmtLatLng(dest) : '',
+  loop ? `${loop.value}${loop.unit}` : '',
+].join('|')
+
+export const loadHistory = () => {
+  const list = loadJSON(HISTORY_KEY, [])
+  return Array.isArray(list) ? list.filter(e => e && e.id && e.plan?.origin) : []
+}
+export const saveHistory = (list) => saveJSON(HISTORY_KEY, list)
+
+/**
+ * Record a plan, newest first. Re-recording a plan that is already listed
+ * (picking another route of it, re-ranking, reopening it from the history)
+ * updates that entry and moves it to the front instead of adding one.
+ */
+export const recordPlan = (list, rec, now = Date.now()) => {
+  const key = planKey(rec.plan)
+  const prev = list.find(e => planKey(e.plan) === key)
+  if (prev) {
+    const entry = { ...prev, ...rec, id: prev.id, name: prev.name, favorite: prev.favorite, createdAt: prev.createdAt, updatedAt: now }
+    return [entry, ...list.filter(e => e !== prev)]
+  }
+  const entry = {
+    id: newId('ph'),
+    name: rec.destLabel ? `${rec.originLabel} → ${rec.destLabel}` : `Loop from ${rec.originLabel}`,
+    favorite: false,
+    createdAt: now,
+    updatedAt: now,
+    ...rec,
+  }
+  const next = [entry, ...list]
+  if (next.length <= MAX_ENTRIES) return next
+  const drop = next.length - MAX_ENTRIES
+  let dropped = 0
+  return next.reverse().filter(e => e.favorite || dropped++ >= drop).reverse()
+}
+
+const addInto = (into, from) => {
+  for (const [k, v] of Object.entries(from || {})) into[k] = (into[k] || 0) + (+v || 0)
+  return into
+}
+const emptyInfra = () => Object.fromEntries(Object.values(INFRA_TYPES).map(t => [t, 0]))
+
+/**
+ * Totals over the history: { plans, km, risk, infra, months } with risk and
+ * infra in km, and `months` the same per calendar month, oldest first.
+ */
+export const historyStats = (list) => {
+  const total = { plans: 0, km: 0, risk: { low: 0, med: 0, high: 0 }, infra: emptyInfra() }
+  const byMonth = new Map()
+  for (const e of list) {
+    const d = new Date(e.createdAt)
+    const month = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`
+    if (!byMonth.has(month)) byMonth.set(month, { month, plans: 0, km: 0, risk: { low: 0, med: 0, high: 0 }, infra: emptyInfra() })
+    for (const t of [total, byMonth.get(month)]) {
+      t.plans++
+      t.km += +e.km || 0
+      addInto(t.risk, e.risk)
+      addInto(t.infra, e.infra)
+    }
+  }
+  return { ...total, months: [...byMonth.values()].sort((a, b) => a.month.localeCompare(b.month)) }
+}
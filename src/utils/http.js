@@ -0,0 +1,14 @@
+/**
+ * http.js — fetch with a timeout. A caller's `opts.signal` still aborts it.
+ */
+
+export const http = async (url, opts = {}, timeout = 20000) => {
+  const ctl = new AbortController()
+  const id = setTimeout(()=>ctl.abort(), timeout)
+  const outer = opts.signal
+  const relay = () => ctl.abort()
+  if (outer?.aborted) ctl.abort()
+  else outer?.addEventListener('abort', relay)
+  try { return await fetch(url, { ...opts, signal: ctl.signal }) }
+  finally { clearTimeout(id); outer?.removeEventListener('abort', relay) }
+}
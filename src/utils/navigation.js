@@ -0,0 +1,57 @@
+/**
+ * navigation.js — Live-ride helpers: snap a GPS fix onto the route and work
+ * out which turn instruction the rider is on.
+ *
+ * Distances along the route come from getInsights' cumulative `distKm`
+ * (one entry per route coordinate).
+ */
+
+export const OFF_ROUTE_M = 40      // farther than this (or the fix's accuracy, if worse) counts as off route
+export const OFF_ROUTE_FIXES = 3   // consecutive off-route fixes before rerouting
+export const ARRIVE_M = 25
+
+const BACKTRACK_KM = 0.03          // GPS jitter may slip the match back this far
+const LOOKAHEAD_KM = 1             // search window ahead of the last match
+
+/**
+ * Closest point on the route to `pos` ({lng, lat}). Matches within
+ * `maxOffM` just behind or ahead of `fromKm` are preferred, so where a route
+ * passes the same street twice (loops, out-and-backs) the rider stays on
+ * the pass they're riding. Returns { index, point, offM, alongKm } where
+ * `index` is the first coordinate of the matched edge.
+ */
+export const snapToRoute = (coords, cumKm, pos, { fromKm = 0, maxOffM = OFF_ROUTE_M } = {}) => {
+  if (!coords?.length || coords.length < 2) return null
+  // local equirectangular projection in meters around the fix
+  const k = Math.cos((pos.lat * Math.PI) / 180)
+  const X = (lng) => (lng - pos.lng) * 111320 * k
+  const Y = (lat) => (lat - pos.lat) * 110540
+
+  let best = null, near = null
+  for (let i = 0; i < coords.length - 1; i++) {
+    const ax = X(coords[i][0]), ay = Y(coords[i][1])
+    const dx = X(coords[i + 1][0]) - ax, dy = Y(coords[i + 1][1]) - ay
+    const len2 = dx * dx + dy * dy
+    const t = len2 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / len2)) : 0
+    const offM = Math.hypot(ax + t * dx, ay + t * dy)
+    const alongKm = (cumKm[i] ?? 0) + t * ((cumKm[i + 1] ?? 0) - (cumKm[i] ?? 0))
+    const m = { index: i, t, offM, alongKm }
+    if (!best || offM < best.offM) best = m
+    const inWindow = alongKm >= fromKm - BACKTRACK_KM && alongKm <= fromKm + LOOKAHEAD_KM
+    if (inWindow && offM <= maxOffM && (!near || offM < near.offM)) near = m
+  }
+  const m = near || best
+  const [x1, y1] = coords[m.index], [x2, y2] = coords[m.index + 1]
+  return { index: m.index, offM: m.offM, alongKm: m.alongKm, point: { lng: x1 + (x2 - x1) * m.t, lat: y1 + (y2 - y1) * m.t } }
+}
+
+/** Index of the step being ridden: the last one whose first way point is at or behind `alongKm`. */
+export const currentStepIndex = (steps, cumKm, alongKm) => {
+  let cur = 0
+  steps.forEach((st, i) => { if ((cumKm[st.way_points?.[0] ?? 0] ?? 0) <= alongKm + 0.005) cur = i })
+  return cur
+}
+
+/** Meters from `alongKm` to where `step` starts (its maneuver). */
+export const metersToStep = (step, cumKm, alongKm) =>
+  Math.max(0, ((cumKm[step?.way_points?.[0] ?? cumKm.length - 1] ?? 0) - alongKm) * 1000)
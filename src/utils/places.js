@@ -0,0 +1,79 @@
+/**
+ * places.js — The rider's saved places ("Home", "Office") and most recently
+ * used search results, kept in localStorage and offered by GeoAutocomplete
+ * ahead of any remote search.
+ *
+ * A saved place is { id, label, icon, address, lng, lat }; a recent one is
+ * { label, lng, lat, usedAt }.
+ */
+
+import { haversineMeters } from './scoring.js'
+import { loadJSON, saveJSON, newId } from './storage.js'
+
+export const PLACES_KEY = 'bikesafe:places'
+export const RECENT_KEY = 'bikesafe:recent-places'
+const MAX_RECENT = 8
+const SAME_PLACE_M = 15   // recents closer than this are the same place
+
+export const PLACE_ICONS = {
+  home: { icon: '🏠', label: 'Home' },
+  work: { icon: '💼', label: 'Work' },
+  school: { icon: '🎓', label: 'School' },
+  shop: { icon: '🛒', label: 'Shop' },
+  park: { icon: '🌳', label: 'Park' },
+  friend: { icon: '👥', label: 'Friend' },
+  star: { icon: '⭐', label: 'Favorite' },
+  pin: { icon: '📍', label: 'Place' },
+}
+
+const isCoord = (lng, lat) => Number.isFinite(+lng) && Number.isFinite(+lat) && Math.abs(+lat) <= 90 && Math.abs(+lng) <= 180
+
+/** A well-formed saved place, or null without a label or a valid coordinate. */
+export const makePlace = ({ id, label, icon = 'pin', address = '', lng, lat } = {}) => {
+  const name = String(label || '').trim().slice(0, 40)
+  if (!name || !isCoord(lng, lat)) return null
+  return {
+    id: id ? String(id) : newId('pl'),
+    label: name,
+    icon: PLACE_ICONS[icon] ? icon : 'pin',
+    address: String(address || '').slice(0, 200),
+    lng: +lng,
+    lat: +lat,
+  }
+}
+
+const loadList = (key) => {
+  const list = loadJSON(key, [])
+  return Array.isArray(list) ? list : []
+}
+
+export const loadPlaces = () => loadList(PLACES_KEY).map(makePlace).filter(Boolean)
+export const savePlaces = (list) => saveJSON(PLACES_KEY, list)
+export const loadRecentPlaces = () => loadList(RECENT_KEY).filter(r => r && r.label && isCoord(r.lng, r.lat))
+export const saveRecentPlaces = (list) => saveJSON(RECENT_KEY, list)
+
+/** Put a picked result at the front of the recents, dropping older copies of it. */
+export const pushRecent = (list, { label, lng, lat }, now = Date.now()) => {
+  if (!label || !isCoord(lng, lat)) return list
+  const rest = list.filter(r => r.label !== label && haversineMeters(r, { lng, lat }) > SAME_PLACE_M)
+  return [{ label, lng: +lng, lat: +lat, usedAt: now }, ...rest].slice(0, MAX_RECENT)
+}
+
+/**
+ * Local suggestions for a query, saved places first: every saved place and
+ * recent when the query is empty, otherwise those whose label or address
+ * contains it. Items are { key, kind, icon, label, detail, center }.
+ */
+export const matchPlaces = (places = [], recents = [], query = '') => {
+  const q = String(query || '').trim().toLowerCase()
+  const hit = (...texts) => !q || texts.some(t => String(t || '').toLowerCase().includes(q))
+  const saved = places.filter(p => hit(p.label, p.address)).map(p => ({
+    key: `saved-${p.id}`, kind: 'saved', icon: PLACE_ICONS[p.icon]?.icon || PLACE_ICONS.pin.icon,
+    label: p.label, detail: p.address, center: [p.lng, p.lat],
+  }))
+  const near = (r) => places.some(p => haversineMeters(p, r) <= SAME_PLACE_M)
+  const recent = recents.filter(r => hit(r.label) && !near(r)).map(r => ({
+    key: `recent-${r.usedAt}-${r.label}`, kind: 'recent', icon: '🕘', label: r.label, detail: '', center: [r.lng, r.lat],
+  }))
+  return [...saved, ...recent]
+}
@@ -0,0 +1,95 @@
+/**
+ * polyline.js — Encoded polylines and line simplification.
+ *
+ * Uses the Google encoded-polyline algorithm. With `elevation`, a third
+ * value is interleaved at 1/100 m like ORS's `geometry_format=encodedpolyline`.
+ */
+
+const encodeValue = (v) => {
+  let n = v < 0 ? ~(v << 1) : (v << 1)
+  let out = ''
+  while (n >= 0x20) {
+    out += String.fromCharCode((0x20 | (n & 0x1f)) + 63)
+    n >>= 5
+  }
+  return out + String.fromCharCode(n + 63)
+}
+
+/** Encode [[lng, lat, ele?], …] as a polyline string. */
+export const encodePolyline = (coords, { precision = 5, elevation = false } = {}) => {
+  const f = 10 ** precision
+  let pLat = 0, pLng = 0, pEle = 0, out = ''
+  for (const [lng, lat, ele = 0] of coords) {
+    const iLat = Math.round(lat * f), iLng = Math.round(lng * f)
+    out += encodeValue(iLat - pLat) + encodeValue(iLng - pLng)
+    pLat = iLat; pLng = iLng
+    if (elevation) {
+      const iEle = Math.round(ele * 100)
+      out += encodeValue(iEle - pEle)
+      pEle = iEle
+    }
+  }
+  return out
+}
+
+/** Decode a polyline string back to [[lng, lat, ele?], …]. Throws on malformed input. */
+export const decodePolyline = (str, { precision = 5, elevation = false } = {}) => {
+  const f = 10 ** precision
+  const s = String(str || '')
+  let i = 0
+  const next = () => {
+    let shift = 0, result = 0, b
+    do {
+      if (i >= s.length) throw new Error('Malformed polyline')
+      b = s.charCodeAt(i++) - 63
+      result |= (b & 0x1f) << shift
+      shift += 5
+    } while (b >= 0x20)
+    return (result & 1) ? ~(result >> 1) : (result >> 1)
+  }
+  const out = []
+  let lat = 0, lng = 0, ele = 0
+  while (i < s.length) {
+    lat += next(); lng += next()
+    if (elevation) { ele += next(); out.push([lng / f, lat / f, ele / 100]) }
+    else out.push([lng / f, lat / f])
+  }
+  return out
+}
+
+/**
+ * Douglas–Peucker simplification. Returns the indices of the kept
+ * coordinates (always including the first and last) so callers can map
+ * per-segment data onto the simplified line.
+ */
+export const simplifyIndices = (coords, toleranceM) => {
+  const n = coords.length
+  if (n <= 2) return coords.map((_, i) => i)
+  // local equirectangular projection in meters — plenty for city-scale routes
+  const k = Math.cos((coords[0][1] * Math.PI) / 180)
+  const xy = coords.map(([lng, lat]) => [lng * 111320 * k, lat * 110540])
+  const keep = new Uint8Array(n)
+  keep[0] = keep[n - 1] = 1
+  const stack = [[0, n - 1]]
+  while (stack.length) {
+    const [a, b] = stack.pop()
+    const [ax, ay] = xy[a], [bx, by] = xy[b]
+    const dx = bx - ax, dy = by - ay
+    const len2 = dx * dx + dy * dy
+    let maxD = -1, idx = -1
+    for (let i = a + 1; i < b; i++) {
+      const [px, py] = xy[i]
+      const t = len2 ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / len2)) : 0
+      const ex = ax + t * dx - px, ey = ay + t * dy - py
+      const d = ex * ex + ey * ey
+      if (d > maxD) { maxD = d; idx = i }
+    }
+    if (idx > 0 && maxD > toleranceM * toleranceM) {
+      keep[idx] = 1
+      stack.push([a, idx], [idx, b])
+    }
+  }
+  const out = []
+  for (let i = 0; i < n; i++) if (keep[i]) out.push(i)
+  return out
+}
@@ -0,0 +1,110 @@
+/**
+ * power.js — Cycling power model: the speed a rider holds at a given power
+ * on a given grade, surface and wind.
+ *
+ *   P · η = v · (m·g·(Crr·cosθ + sinθ) + ½·ρ·CdA·(v + v_wind)²)
+ *
+ * Used by getInsights for per-segment speed, ETA, energy and climbing time.
+ */
+
+import { loadJSON, saveJSON } from './storage.js'
+
+export const POWER_KEY = 'bikesafe:power'
+
+const G = 9.81
+const RHO = 1.225              // air density at sea level, 15 °C (kg/m³)
+const DRIVETRAIN = 0.97        // share of pedal power reaching the wheel
+const MUSCLE_EFFICIENCY = 0.24 // share of food energy that becomes pedal power
+
+export const MIN_SPEED_KPH = 4     // below this, riders get off and walk
+export const MAX_SPEED_KPH = 45    // riders brake on descents past this
+
+/** Rolling-resistance coefficient per ORS surface code. */
+export const CRR_BY_SURFACE = {
+  0: 0.007,   // unknown
+  1: 0.005,   // paved / asphalt
+  2: 0.009,   // compacted
+  3: 0.012,   // unpaved
+  4: 0.006,   // concrete
+  5: 0.012,   // cobblestone
+  6: 0.011,   // sett
+  7: 0.008,   // paving stones
+  8: 0.006,   // metal
+  9: 0.010,   // fine gravel
+  10: 0.007,  // wood
+  11: 0.014,  // gravel
+  12: 0.015,  // ground / dirt
+  13: 0.020,  // grass
+  14: 0.007,  // reserved
+  15: 0.030,  // sand
+  16: 0.007,  // reserved
+  17: 0.030,  // mud
+  18: 0.006,  // ice — rolls easily; the risk model deals with the rest
+}
+
+// riding position → drag area (m²)
+export const POSITIONS = {
+  upright: { label: 'Upright (city bike)', cda: 0.60 },
+  hybrid:  { label: 'Hybrid / flat bar',   cda: 0.50 },
+  hoods:   { label: 'Road bike, hoods',    cda: 0.38 },
+  drops:   { label: 'Road bike, drops',    cda: 0.32 },
+}
+
+// perceived effort → sustained power (W) for a typical recreational rider
+export const EFFORTS = {
+  easy:   { label: 'Easy',   watts: 75 },
+  steady: { label: 'Steady', watts: 110 },
+  brisk:  { label: 'Brisk',  watts: 160 },
+  hard:   { label: 'Hard',   watts: 220 },
+}
+
+/** Default rider: mass is rider + bike + luggage. `effort: 'custom'` uses `watts`. */
+export const DEFAULT_POWER = { massKg: 85, position: 'hybrid', effort: 'steady', watts: 110 }
+
+export const loadPowerSettings = () => ({ ...DEFAULT_POWER, ...loadJSON(POWER_KEY, {}) })
+export const savePowerSettings = (p) => saveJSON(POWER_KEY, p)
+
+/** Model inputs from saved settings: { powerW, massKg, cda }. */
+export const powerInputs = (s = DEFAULT_POWER) => ({
+  powerW: s.effort === 'custom' ? Math.max(30, Number(s.watts) || DEFAULT_POWER.watts) : (EFFORTS[s.effort] || EFFORTS.steady).watts,
+  massKg: Math.max(30, Number(s.massKg) || DEFAULT_POWER.massKg),
+  cda: (POSITIONS[s.position] || POSITIONS.hybrid).cda,
+})
+
+// wheel power needed to hold v (m/s)
+const powerAt = (v, { massKg, cda, crr, grade, headMs }) => {
+  const θ = Math.atan(grade)
+  const air = v + headMs
+  return v * (massKg * G * (crr * Math.cos(θ) + Math.sin(θ)) + 0.5 * RHO * cda * air * Math.abs(air))
+}
+
+/**
+ * Speed (m/s) and pedal power (W) for one stretch. `grade` is rise/run,
+ * `headMs` the headwind in m/s (negative = tailwind). Where the rider's power
+ * would take them past MAX_SPEED_KPH they ease off, so `watts` drops, down
+ * to 0 when gravity alone is enough.
+ */
+export const solveSpeed = ({ powerW, massKg, cda, crr = CRR_BY_SURFACE[1], grade = 0, headMs = 0 }) => {
+  const env = { massKg, cda, crr, grade, headMs }
+  const wheelW = powerW * DRIVETRAIN
+  const lo = MIN_SPEED_KPH / 3.6, hi = MAX_SPEED_KPH / 3.6
+  if (powerAt(hi, env) <= wheelW) return { ms: hi, watts: Math.max(0, powerAt(hi, env) / DRIVETRAIN) }
+  if (powerAt(lo, env) >= wheelW) return { ms: lo, watts: powerW }
+  // power rises with speed over [lo, hi] for any realistic input: bisect
+  let a = lo, b = hi
+  for (let k = 0; k < 40; k++) {
+    const m = (a + b) / 2
+    if (powerAt(m, env) < wheelW) a = m; else b = m
+  }
+  return { ms: (a + b) / 2, watts: powerW }
+}
+
+/** Pedal power (W) needed to hold `ms` (m/s) on a stretch; 0 when coasting is enough. */
+export const powerToHold = (ms, { massKg, cda, crr = CRR_BY_SURFACE[1], grade = 0, headMs = 0 }) =>
+  Math.max(0, powerAt(ms, { massKg, cda, crr, grade, headMs }) / DRIVETRAIN)
+
+/** Flat, calm, smooth-asphalt speed (km/h) for the settings. */
+export const flatSpeedKph = (settings) => solveSpeed(powerInputs(settings)).ms * 3.6
+
+/** Food energy (kcal) for mechanical work in kJ. */
+export const kcalFromKJ = (kJ) => kJ / (4.184 * MUSCLE_EFFICIENCY)
@@ -0,0 +1,103 @@
+/**
+ * reach.js — "Where can I ride in N minutes" helpers.
+ *
+ * ORS isochrones give the area reachable on any road. For the safe-reach
+ * area we route out along evenly spaced bearings towards that boundary and
+ * keep each route only while it stays on low-risk separated / buffered
+ * infrastructure; the points reached in time form a smaller polygon.
+ */
+
+import { INFRA_TYPES, haversineMeters, bearingDeg } from './scoring.js'
+
+export const SAFE_INFRA = [INFRA_TYPES.SEPARATED_PATH, INFRA_TYPES.BUFFERED_LANE]
+
+// fallback speed when a route has no ORS summary duration
+const FALLBACK_MPS = 15 / 3.6
+
+const angleDiff = (a, b) => { const d = Math.abs(a - b) % 360; return d > 180 ? 360 - d : d }
+
+/**
+ * For `n` evenly spaced bearings around `center`, pick the ring vertex that
+ * lies closest to each bearing (farthest one on ties) — the routing targets
+ * for safe-reach rays.
+ */
+export const boundaryByBearing = (ring, center, n = 12) => {
+  const pts = (ring || []).map(([lng, lat]) => {
+    const p = { lng, lat }
+    return { p, b: bearingDeg(center, p), d: haversineMeters(center, p) }
+  })
+  if (!pts.length) return []
+  const out = []
+  for (let k = 0; k < n; k++) {
+    const want = (360 * k) / n
+    let best = null
+    for (const x of pts) {
+      const diff = angleDiff(x.b, want)
+      if (!best || diff < best.diff - 1e-9 || (Math.abs(diff - best.diff) < 1e-9 && x.d > best.d)) best = { ...x, diff }
+    }
+    if (best && best.d > 50) out.push(best.p)
+  }
+  return out
+}
+
+/**
+ * Timeline [{ lng, lat, t }] along `feature` while it stays on safe
+ * infrastructure (SAFE_INFRA and a `low` risk band). The first `accessM`
+ * metres may use any non-high-risk road, since nearly every ride starts
+ * with a short stretch from the door to the nearest path.
+ */
+export const safeTimeline = (feature, riskFC, { accessM = 300 } = {}) => {
+  const coords = feature?.geometry?.coordinates || []
+  if (coords.length < 2) return null
+  const cum = [0]
+  for (let i = 1; i < coords.length; i++) {
+    const [x1, y1] = coords[i - 1], [x2, y2] = coords[i]
+    cum.push(cum[i - 1] + haversineMeters({ lng: x1, lat: y1 }, { lng: x2, lat: y2 }))
+  }
+  const total = cum[cum.length - 1] || 1
+  const duration = feature.properties?.summary?.duration || total / FALLBACK_MPS
+
+  let stop = coords.length - 1
+  const segs = [...(riskFC?.features || [])].sort((a, b) => (a.properties?.sIndex ?? 0) - (b.properties?.sIndex ?? 0))
+  for (const f of segs) {
+    const { sIndex = 0, risk, infraType } = f.properties || {}
+    const safe = risk === 'low' && SAFE_INFRA.includes(infraType)
+    if (safe) continue
+    if (cum[sIndex] < accessM && risk !== 'high') continue
+    stop = sIndex
+    break
+  }
+
+  const out = []
+  for (let i = 0; i <= stop; i++) out.push({ lng: coords[i][0], lat: coords[i][1], t: (duration * cum[i]) / total })
+  return out
+}
+
+/** Position reached after `sec` seconds along a timeline (its end if it runs out first). */
+export const pointAtTime = (timeline, sec) => {
+  if (!timeline?.length) return null
+  for (let i = 1; i < timeline.length; i++) {
+    const a = timeline[i - 1], b = timeline[i]
+    if (b.t >= sec) {
+      const f = b.t > a.t ? (sec - a.t) / (b.t - a.t) : 0
+      return { lng: a.lng + (b.lng - a.lng) * f, lat: a.lat + (b.lat - a.lat) * f }
+    }
+  }
+  const last = timeline[timeline.length - 1]
+  return { lng: last.lng, lat: last.lat }
+}
+
+/**
+ * Star-shaped polygon around `center` through `points`, ordered by bearing.
+ * Returns null when nothing gets meaningfully away from the center.
+ */
+export const reachPolygon = (center, points) => {
+  const pts = points.filter(p => p && haversineMeters(center, p) > 25)
+  if (pts.length < 3) return null
+  const ring = pts
+    .map(p => ({ p, b: bearingDeg(center, p) }))
+    .sort((a, b) => a.b - b.b)
+    .map(({ p }) => [p.lng, p.lat])
+  ring.push(ring[0])
+  return { type: 'Polygon', coordinates: [ring] }
+}
@@ -0,0 +1,61 @@
+/**
+ * fixture.js — Replay recorded routing responses, for working without API
+ * keys or a network.
+ *
+ * Each response is a JSON file named after the request, served from
+ * public/fixtures/routing/. Run the dev server with VITE_ROUTING_RECORD=1
+ * against a live backend to record them; the same rounded request key as
+ * the offline cache is used, so a replayed plan matches what was recorded.
+ */
+
+import { http } from '../http.js'
+import { cacheKey } from '../cache.js'
+
+// 32-bit FNV-1a, hex — short, stable file names
+const fnv1a = (s) => {
+  let h = 0x811c9dc5
+  for (let i = 0; i < s.length; i++) { h ^= s.charCodeAt(i); h = Math.imul(h, 0x01000193) }
+  return (h >>> 0).toString(16).padStart(8, '0')
+}
+
+/** File name (without `.json`) of the fixture for a request. */
+export const fixtureName = (service, profile, body) =>
+  `${service}-${fnv1a(cacheKey('fixture', { service, profile, body }))}`
+
+export const createFixtureBackend = ({ baseUrl } = {}) => {
+  const replay = async (service, body, profile = 'cycling-regular') => {
+    const name = fixtureName(service, profile, body)
+    const res = await http(`${baseUrl}/${name}.json`, { headers: { accept: 'application/json' } }, 10000)
+    const ct = (res.headers.get('content-type') || '').toLowerCase()
+    if (!res.ok || !ct.includes('json'))
+      throw new Error(`No recorded ${service} response for this request (fixture ${name}) — record one with VITE_ROUTING_RECORD=1`)
+    return res.json()
+  }
+
+  return {
+    id: 'fixture',
+    label: 'Recorded fixtures',
+    capabilities: { alternatives: true, roundTrip: true, isochrones: true, avoidAreas: true },
+    directions: (body, profile) => replay('directions', body, profile),
+    isochrones: (body, profile) => replay('isochrones', body, profile),
+  }
+}
+
+/**
+ * Wrap a live backend so every successful response is also posted to the
+ * dev server, which writes it out as a fixture (see vite.config.js).
+ */
+export const withRecorder = (backend, { endpoint = '/__routing-fixtures' } = {}) => {
+  const record = (service, run) => run && (async (body, profile = 'cycling-regular') => {
+    const json = await run(body, profile)
+    const name = fixtureName(service, profile, body)
+    fetch(`${endpoint}/${name}.json`, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(json) })
+      .catch(e => console.warn('[routing] could not record fixture', name, e))
+    return json
+  })
+  return {
+    ...backend,
+    directions: record('directions', backend.directions),
+    isochrones: record('isochrones', backend.isochrones),
+  }
+}
@@ -0,0 +1,143 @@
+/**
+ * graphhopper.js — GraphHopper backend (self-hosted or the hosted API).
+ *
+ * GraphHopper path details cover most of ORS's extras: road_class becomes
+ * waytype, surface maps onto ORS surface codes, max_speed stands in for
+ * avgspeed (it's the traffic speed scoring cares about) and the rest feed
+ * waycategory. Suitability is estimated from the waytype, one point higher
+ * on signed bike networks.
+ */
+
+import { http } from '../http.js'
+import {
+  STEP, WAYCAT, WAYTYPE_BY_CLASS, SURFACE_BY_TAG, SUITABILITY_BY_WAYTYPE,
+  toExtra, perEdge, edgeRuns, routeFeature, featureCollection, failWith,
+} from './shape.js'
+
+// ORS profile → GraphHopper profile; a self-hosted server may name its
+// profiles differently, so callers can override the table
+export const GH_PROFILES = {
+  'cycling-regular': 'bike', 'cycling-road': 'racingbike', 'cycling-mountain': 'mtb',
+  'cycling-electric': 'bike', 'foot-walking': 'foot', 'foot-hiking': 'hike', 'driving-car': 'car',
+}
+
+// GraphHopper instruction sign → ORS step type
+const SIGN = {
+  [-98]: STEP.U_TURN, [-8]: STEP.U_TURN, [-7]: STEP.KEEP_LEFT, [-3]: STEP.SHARP_LEFT, [-2]: STEP.LEFT,
+  [-1]: STEP.SLIGHT_LEFT, 0: STEP.STRAIGHT, 1: STEP.SLIGHT_RIGHT, 2: STEP.RIGHT, 3: STEP.SHARP_RIGHT,
+  4: STEP.GOAL, 5: STEP.GOAL, 6: STEP.ENTER_ROUNDABOUT, 7: STEP.KEEP_RIGHT, 8: STEP.U_TURN,
+}
+const VIA_REACHED = 5
+
+const DETAILS = ['road_class', 'surface', 'max_speed', 'road_environment', 'bike_network']
+
+// ORS avoid_polygons (Polygon or MultiPolygon) → a custom model that blocks
+// every edge inside them; custom models need the flexible (non-CH) mode
+const avoidModel = (geom) => {
+  const polys = geom?.type === 'Polygon' ? [geom.coordinates] : geom?.type === 'MultiPolygon' ? geom.coordinates : []
+  if (!polys.length) return null
+  const ids = polys.map((_, i) => `avoid${i}`)
+  return {
+    priority: [{ if: ids.map(id => `in_${id}`).join(' || '), multiply_by: '0' }],
+    areas: { type: 'FeatureCollection', features: polys.map((coordinates, i) => ({ type: 'Feature', id: ids[i], properties: {}, geometry: { type: 'Polygon', coordinates } })) },
+  }
+}
+
+const toFeature = (path) => {
+  const coords = path.points?.coordinates || []
+  const n = coords.length
+
+  // instructions → legs split on "via reached"
+  const segments = []
+  let steps = [], dist = 0, time = 0
+  ;(path.instructions || []).forEach((ins, i) => {
+    const type = i === 0 ? STEP.DEPART : SIGN[ins.sign] ?? STEP.STRAIGHT
+    steps.push({
+      distance: ins.distance, duration: ins.time / 1000, type,
+      name: ins.street_name || '-', instruction: ins.text, way_points: ins.interval || [0, 0],
+    })
+    dist += ins.distance; time += ins.time / 1000
+    if (ins.sign === VIA_REACHED) { segments.push({ distance: dist, duration: time, steps }); steps = []; dist = 0; time = 0 }
+  })
+  if (steps.length || !segments.length) segments.push({ distance: dist, duration: time, steps })
+
+  const d = Object.fromEntries(DETAILS.map(k => [k, perEdge(path.details?.[k], n)]))
+  const way = d.road_class.map((rc, i) => (d.road_environment[i] === 'ferry' ? 9 : rc == null ? null : WAYTYPE_BY_CLASS[rc] ?? 0))
+  const surf = d.surface.map(v => (v == null ? null : SURFACE_BY_TAG[v] ?? 0))
+  const speed = d.max_speed.map(v => (Number.isFinite(v) ? v : null))
+  const cat = way.map((w, i) =>
+    (w === 1 ? WAYCAT.HIGHWAY : 0) | (w === 8 ? WAYCAT.STEPS : 0) | (w === 5 ? WAYCAT.TRACK : 0) | (w === 9 ? WAYCAT.FERRY : 0) |
+    (d.road_environment[i] === 'tunnel' ? WAYCAT.TUNNEL : 0) | (d.road_environment[i] === 'ford' ? WAYCAT.FORD : 0) |
+    (surf[i] == null ? 0 : surf[i] === 1 || surf[i] === 4 ? WAYCAT.PAVED : WAYCAT.UNPAVED))
+  const onNetwork = (v) => v != null && v !== 'missing' && v !== 'other'
+  const suit = way.map((w, i) => (w == null ? null : Math.min(10, SUITABILITY_BY_WAYTYPE[w] + (onNetwork(d.bike_network[i]) ? 1 : 0))))
+
+  const extras = {
+    waytype: toExtra(edgeRuns(way), coords),
+    surface: toExtra(edgeRuns(surf), coords),
+    avgspeed: toExtra(edgeRuns(speed), coords),
+    waycategory: toExtra(edgeRuns(cat), coords),
+    suitability: toExtra(edgeRuns(suit), coords),
+  }
+  // each leg ends on its "via reached" instruction
+  const wayPoints = [0, ...segments.slice(0, -1).map(s => s.steps[s.steps.length - 1]?.way_points?.[0] ?? 0), n - 1]
+  return routeFeature({ coords, segments, extras, wayPoints })
+}
+
+export const createGraphHopperBackend = ({ baseUrl, apiKey, profiles = GH_PROFILES } = {}) => {
+  const withKey = (path) => `${baseUrl}${path}${apiKey ? `${path.includes('?') ? '&' : '?'}key=${encodeURIComponent(apiKey)}` : ''}`
+  const ghProfile = (p) => profiles[p] || 'bike'
+
+  const directions = async (body, profile = 'cycling-regular') => {
+    const pts = body.coordinates || []
+    const alt = body.options?.alternative_routes
+    const loop = body.options?.round_trip
+    const avoid = avoidModel(body.options?.avoid_polygons)
+    const req = {
+      points: pts, profile: ghProfile(profile), points_encoded: false, locale: 'en',
+      elevation: body.elevation !== false, instructions: body.instructions !== false, details: DETAILS,
+      ...(loop ? {
+        algorithm: 'round_trip', 'ch.disable': true,
+        'round_trip.distance': loop.length, 'round_trip.seed': loop.seed ?? 0,
+      } : alt?.target_count > 1 && pts.length === 2 ? {
+        algorithm: 'alternative_route', 'ch.disable': true,
+        'alternative_route.max_paths': alt.target_count,
+        'alternative_route.max_share_factor': alt.share_factor ?? 0.6,
+        'alternative_route.max_weight_factor': alt.weight_factor ?? 1.4,
+      } : {}),
+      ...(avoid ? { 'ch.disable': true, custom_model: avoid } : {}),
+    }
+    const res = await http(withKey('/route'), {
+      method: 'POST', headers: { 'content-type': 'application/json', accept: 'application/json' }, body: JSON.stringify(req),
+    }, 20000)
+    const json = await res.json().catch(() => null)
+    if (!res.ok) {
+      // "Connection between locations not found" is an empty answer, not a failure
+      if (res.status === 400 && /not found/i.test(json?.message || '')) return featureCollection([])
+      failWith('GraphHopper', res)
+    }
+    return featureCollection((json?.paths || []).map(toFeature))
+  }
+
+  // one request per range; GraphHopper buckets only split a single limit evenly
+  const isochrones = async (body, profile = 'cycling-regular') => {
+    const [lng, lat] = body.locations?.[0] || []
+    const limitKey = body.range_type === 'distance' ? 'distance_limit' : 'time_limit'
+    const features = await Promise.all((body.range || []).map(async (value) => {
+      const params = new URLSearchParams({ point: `${lat},${lng}`, profile: ghProfile(profile), buckets: '1', [limitKey]: String(value) })
+      const res = await http(withKey(`/isochrone?${params}`), { headers: { accept: 'application/json' } }, 20000)
+      if (!res.ok) failWith('GraphHopper', res)
+      const poly = (await res.json())?.polygons?.[0]
+      return poly && { type: 'Feature', properties: { group_index: 0, value, center: [lng, lat] }, geometry: poly.geometry }
+    }))
+    return featureCollection(features.filter(Boolean))
+  }
+
+  return {
+    id: 'graphhopper',
+    label: 'GraphHopper',
+    capabilities: { alternatives: true, roundTrip: true, isochrones: true, avoidAreas: true },
+    directions,
+    isochrones,
+  }
+}
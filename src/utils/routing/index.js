@@ -0,0 +1,52 @@
+/**
+ * routing — Pluggable routing backends.
+ *
+ * BikeSafe builds OpenRouteService v2 request bodies and scores ORS-shaped
+ * answers (toRiskFCRaw reads `properties.extras`, directions read
+ * `segments[].steps`). A backend is the seam between the two:
+ *
+ *   {
+ *     id, label,
+ *     capabilities: { alternatives, roundTrip, isochrones, avoidAreas },
+ *     directions(body, profile)  → GeoJSON FeatureCollection of ORS-shaped routes
+ *     isochrones?(body, profile) → GeoJSON FeatureCollection of ORS-shaped polygons
+ *   }
+ *
+ * A request option the engine had to drop to answer at all (say
+ * `avoid_polygons`) is named in the collection's `ignored` array.
+ *
+ * Adapters translate the ORS body to their engine and the answer back,
+ * filling whichever extras the engine can supply; missing extras fall back
+ * to scoring's defaults. Errors are thrown as Errors with UI-safe messages.
+ *
+ * Picked at build time from the environment:
+ *   VITE_ROUTING_BACKEND  ors (default) | osrm | graphhopper | fixture
+ *   VITE_ROUTING_URL      base URL of a self-hosted server (ORS, OSRM or GraphHopper)
+ *   VITE_ORS_KEY          OpenRouteService API key
+ *   VITE_GRAPHHOPPER_KEY  GraphHopper API key (hosted API only)
+ *   VITE_ROUTING_RECORD   set to record live responses as fixtures (dev server only)
+ */
+
+import { createORSBackend } from './ors.js'
+import { createOSRMBackend } from './osrm.js'
+import { createGraphHopperBackend } from './graphhopper.js'
+import { createFixtureBackend, withRecorder } from './fixture.js'
+
+export const ROUTING_BACKENDS = ['ors', 'osrm', 'graphhopper', 'fixture']
+
+export const createRoutingBackend = (env = import.meta.env) => {
+  let kind = String(env.VITE_ROUTING_BACKEND || 'ors').toLowerCase()
+  if (!ROUTING_BACKENDS.includes(kind)) {
+    console.warn(`[routing] unknown backend "${kind}", using OpenRouteService`)
+    kind = 'ors'
+  }
+  const backend =
+    kind === 'osrm' ? createOSRMBackend({ baseUrl: env.VITE_ROUTING_URL || 'http://localhost:5000' })
+    : kind === 'graphhopper' ? createGraphHopperBackend({ baseUrl: env.VITE_ROUTING_URL || 'http://localhost:8989', apiKey: env.VITE_GRAPHHOPPER_KEY })
+    : kind === 'fixture' ? createFixtureBackend({ baseUrl: `${env.BASE_URL || '/'}fixtures/routing` })
+    : createORSBackend({
+      baseUrl: env.VITE_ROUTING_URL || (env.DEV ? '/ors' : 'https://api.openrouteservice.org'),
+      apiKey: env.VITE_ORS_KEY,
+    })
+  return env.VITE_ROUTING_RECORD && env.DEV && kind !== 'fixture' ? withRecorder(backend) : backend
+}
@@ -0,0 +1,88 @@
+/**
+ * ors.js — OpenRouteService v2 backend.
+ *
+ * The reference backend: requests and responses are already in the shape
+ * the rest of BikeSafe speaks. Unsupported options are stripped one at a
+ * time when ORS answers 400, so an older or self-hosted ORS still routes.
+ */
+
+import { http } from '../http.js'
+
+export const createORSBackend = ({ baseUrl, apiKey } = {}) => {
+  // --- Robust ORS request with profile + fallbacks for common 400s
+  // `service` is the ORS v2 endpoint: 'directions' (GeoJSON) or 'isochrones'
+  const request = async (body, profile = 'cycling-regular', service = 'directions') => {
+    if (!apiKey) throw new Error('Missing OpenRouteService key (VITE_ORS_KEY)')
+    const baseURL = service === 'directions'
+      ? `${baseUrl}/v2/directions/${profile}/geojson`
+      : `${baseUrl}/v2/${service}/${profile}`
+    const headers = {
+      'Authorization': apiKey,
+      'content-type':'application/json',
+      'accept':'application/geo+json, application/json;q=0.9, */*;q=0.8'
+    }
+
+    const doFetch = async (b) => {
+      const res = await http(baseURL, { method:'POST', headers, body: JSON.stringify(b) }, 20000)
+      const text = await res.text()
+      const ct = (res.headers.get('content-type') || '').toLowerCase()
+      const json = ct.includes('json') ? JSON.parse(text) : null
+      return { res, text, json }
+    }
+
+    let cur = body
+    const ignored = []   // options stripped to get an answer, reported to the caller
+    for (let attempt = 0; attempt < 7; attempt++){
+      const { res, text, json } = await doFetch(cur)
+      if (res.ok) return ignored.length ? { ...json, ignored } : json
+      const msg = (json?.error?.message || json?.message || text || '').toString()
+
+      // fallbacks — strip unsupported extras one at a time
+      if (res.status === 400 && /extra_info|waycategory/i.test(msg) && Array.isArray(cur.extra_info) && cur.extra_info.includes('waycategory')) {
+        cur = { ...cur, extra_info: cur.extra_info.filter(x => x !== 'waycategory') }
+        continue
+      }
+      if (res.status === 400 && /extra_info|avgspeed/i.test(msg) && Array.isArray(cur.extra_info) && cur.extra_info.includes('avgspeed')) {
+        cur = { ...cur, extra_info: cur.extra_info.filter(x => x !== 'avgspeed') }
+        continue
+      }
+      if (res.status === 400 && /extra_info|suitability/i.test(msg) && Array.isArray(cur.extra_info) && cur.extra_info.includes('suitability')) {
+        cur = { ...cur, extra_info: cur.extra_info.filter(x => x !== 'suitability') }
+        continue
+      }
+      // too large, too complex or self-intersecting avoid areas: route without them
+      if (res.status === 400 && /avoid_polygons|polygon/i.test(msg) && cur?.options?.avoid_polygons) {
+        const options = { ...(cur.options || {}) }; delete options.avoid_polygons
+        cur = { ...cur, options }
+        ignored.push('avoid_polygons')
+        continue
+      }
+      if (res.status === 400 && /avoid_features/i.test(msg) && cur?.options?.avoid_features) {
+        const options = { ...(cur.options || {}) }; delete options.avoid_features
+        cur = { ...cur, options }
+        continue
+      }
+      if (res.status === 400 && /profile_params|weightings|options/i.test(msg) && cur?.options?.profile_params) {
+        const options = { ...(cur.options || {}) }; delete options.profile_params
+        cur = { ...cur, options }
+        continue
+      }
+      if (res.status === 400 && /alternative_routes/i.test(msg) && cur?.options?.alternative_routes) {
+        const options = { ...(cur.options || {}) }; delete options.alternative_routes
+        cur = { ...cur, options }
+        continue
+      }
+      const safeMsg = res.status === 400 ? 'Bad routing request' : res.status === 403 ? 'API key invalid or expired' : res.status === 429 ? 'Rate limit exceeded — try again shortly' : `Routing service error (${res.status})`
+      throw new Error(safeMsg)
+    }
+    throw new Error('ORS failed after retries')
+  }
+
+  return {
+    id: 'ors',
+    label: 'OpenRouteService',
+    capabilities: { alternatives: true, roundTrip: true, isochrones: true, avoidAreas: true },
+    directions: (body, profile) => request(body, profile, 'directions'),
+    isochrones: (body, profile) => request(body, profile, 'isochrones'),
+  }
+}
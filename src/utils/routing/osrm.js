@@ -0,0 +1,113 @@
+/**
+ * osrm.js — Self-hosted OSRM backend.
+ *
+ * OSRM knows far less about a way than ORS: no elevation, surface or bike
+ * suitability, and only a handful of road classes on its intersections.
+ * Steps carry what there is (pushing sections, ferries, motorways, tunnels);
+ * everything else scores as a shared road. Round trips and isochrones are
+ * not available.
+ */
+
+import { http } from '../http.js'
+import { STEP, WAYCAT, SUITABILITY_BY_WAYTYPE, toExtra, edgeRuns, routeFeature, featureCollection, failWith } from './shape.js'
+
+const TURN = {
+  left: STEP.LEFT, right: STEP.RIGHT, 'sharp left': STEP.SHARP_LEFT, 'sharp right': STEP.SHARP_RIGHT,
+  'slight left': STEP.SLIGHT_LEFT, 'slight right': STEP.SLIGHT_RIGHT, straight: STEP.STRAIGHT, uturn: STEP.U_TURN,
+}
+
+const STEP_TEXT = {
+  [STEP.LEFT]: 'Turn left', [STEP.RIGHT]: 'Turn right', [STEP.SHARP_LEFT]: 'Turn sharp left',
+  [STEP.SHARP_RIGHT]: 'Turn sharp right', [STEP.SLIGHT_LEFT]: 'Turn slightly left',
+  [STEP.SLIGHT_RIGHT]: 'Turn slightly right', [STEP.STRAIGHT]: 'Continue straight',
+  [STEP.U_TURN]: 'Make a U-turn', [STEP.KEEP_LEFT]: 'Keep left', [STEP.KEEP_RIGHT]: 'Keep right',
+  [STEP.EXIT_ROUNDABOUT]: 'Exit the roundabout',
+}
+
+const stepType = ({ type, modifier = '' }) => {
+  if (type === 'depart') return STEP.DEPART
+  if (type === 'arrive') return STEP.GOAL
+  if (type === 'roundabout' || type === 'rotary') return STEP.ENTER_ROUNDABOUT
+  if (type === 'exit roundabout' || type === 'exit rotary') return STEP.EXIT_ROUNDABOUT
+  if ((type === 'fork' || type === 'merge' || type === 'on ramp' || type === 'off ramp') && /left|right/.test(modifier))
+    return modifier.includes('left') ? STEP.KEEP_LEFT : STEP.KEEP_RIGHT
+  return TURN[modifier] ?? STEP.STRAIGHT
+}
+
+const instruction = (st, type, lastLeg) => {
+  const onto = st.name ? ` onto ${st.name}` : ''
+  if (type === STEP.DEPART) return `Head out${st.name ? ` on ${st.name}` : ''}`
+  if (type === STEP.GOAL) return lastLeg ? 'Arrive at your destination' : 'Arrive at your via point'
+  if (type === STEP.ENTER_ROUNDABOUT) return `Enter the roundabout${st.maneuver?.exit ? ` and take exit ${st.maneuver.exit}` : ''}${onto}`
+  return `${STEP_TEXT[type] || 'Continue'}${onto}`
+}
+
+// ORS profile → OSRM profile segment (a single-profile osrm-routed ignores it)
+const osrmProfile = (p = '') => p.startsWith('cycling') ? 'bike' : p.startsWith('foot') ? 'foot' : 'car'
+
+// one OSRM route → ORS route feature; geometry is rebuilt from the steps so
+// every step's way_points index into it
+const toFeature = (route) => {
+  const coords = [], wayPoints = [0], segments = []
+  const way = [], cat = []
+  route.legs.forEach((leg, li) => {
+    const steps = []
+    for (const st of leg.steps || []) {
+      const pts = st.geometry?.coordinates || []
+      const from = Math.max(0, coords.length - 1)
+      for (const p of pts) {
+        const last = coords[coords.length - 1]
+        if (!last || last[0] !== p[0] || last[1] !== p[1]) coords.push([p[0], p[1]])
+      }
+      const to = Math.max(from, coords.length - 1)
+      const classes = (st.intersections || []).flatMap(x => x.classes || [])
+      const w = st.mode === 'pushing bike' ? 7 : st.mode === 'ferry' ? 9 : classes.includes('motorway') ? 1 : null
+      const c = (classes.includes('motorway') ? WAYCAT.HIGHWAY : 0) | (st.mode === 'ferry' || classes.includes('ferry') ? WAYCAT.FERRY : 0) | (classes.includes('tunnel') ? WAYCAT.TUNNEL : 0)
+      for (let i = from; i < to; i++) { way[i] = w; cat[i] = c }
+      const type = stepType(st.maneuver || {})
+      steps.push({
+        distance: st.distance, duration: st.duration, type, name: st.name || '-',
+        instruction: instruction(st, type, li === route.legs.length - 1), way_points: [from, to],
+      })
+    }
+    wayPoints.push(coords.length - 1)
+    segments.push({ distance: leg.distance, duration: leg.duration, steps })
+  })
+
+  const edges = (arr, dflt) => Array.from({ length: Math.max(0, coords.length - 1) }, (_, i) => arr[i] ?? dflt)
+  const wayEdges = edges(way, null)
+  const extras = {
+    waytype: toExtra(edgeRuns(wayEdges), coords),
+    waycategory: toExtra(edgeRuns(edges(cat, 0)), coords),
+    suitability: toExtra(edgeRuns(wayEdges.map(w => (w == null ? null : SUITABILITY_BY_WAYTYPE[w]))), coords),
+  }
+  return routeFeature({ coords, segments, extras, wayPoints })
+}
+
+export const createOSRMBackend = ({ baseUrl } = {}) => {
+  const directions = async (body, profile = 'cycling-regular') => {
+    if (body.options?.round_trip) throw new Error('Round trips need the OpenRouteService or GraphHopper backend')
+    const pts = body.coordinates || []
+    const alts = pts.length === 2 ? body.options?.alternative_routes?.target_count || 0 : 0
+    const params = new URLSearchParams({
+      overview: 'false', steps: 'true', geometries: 'geojson',
+      alternatives: alts > 1 ? String(alts - 1) : 'false',
+    })
+    const url = `${baseUrl}/route/v1/${osrmProfile(profile)}/${pts.map(([lng, lat]) => `${lng},${lat}`).join(';')}?${params}`
+    const res = await http(url, { headers: { accept: 'application/json' } }, 20000)
+    const json = await res.json().catch(() => null)
+    // OSRM has no per-request exclusions beyond its profile's classes
+    const ignored = body.options?.avoid_polygons ? ['avoid_polygons'] : []
+    if (json?.code === 'NoRoute') return featureCollection([], ignored)
+    if (!res.ok) failWith('OSRM', res)
+    if (json?.code !== 'Ok') throw new Error(json?.message || 'OSRM could not route this request')
+    return featureCollection((json.routes || []).map(toFeature), ignored)
+  }
+
+  return {
+    id: 'osrm',
+    label: 'OSRM',
+    capabilities: { alternatives: true, roundTrip: false, isochrones: false, avoidAreas: false },
+    directions,
+  }
+}
@@ -0,0 +1,74 @@
+/**
+ * requests.js — The ORS request bodies BikeSafe sends for a plan.
+ *
+ * Kept apart from the map so the fixture generator
+ * (scripts/routing-fixtures.js) builds exactly the requests the app makes,
+ * and its files are the ones the fixture backend looks up.
+ */
+
+export const EXTRA_INFO = ['steepness', 'surface', 'waytype', 'suitability', 'avgspeed', 'waycategory']
+
+/**
+ * Directions body for `points` ([origin, ...vias, destination], or just the
+ * start with `roundTrip`: { length, points, seed }). ORS only computes
+ * alternatives between exactly two waypoints, so multi-stop requests ask
+ * for one route.
+ */
+export const directionsBody = (points, {
+  preference = 'recommended',
+  altCount = 3,
+  weightFactor = 1.6,
+  steepnessDifficulty = 1,
+  avoidFeatures,
+  avoidPolygons = null,
+  shareFactor = 0.6,
+  roundTrip,
+} = {}) => {
+  const multiStop = points.length > 2 || !!roundTrip
+  return {
+    coordinates: points.map(p => [p.lng, p.lat]),
+    preference,
+    elevation: true,
+    instructions: true,
+    instructions_format: 'text',
+    extra_info: EXTRA_INFO,
+    options: {
+      profile_params: { weightings: { steepness_difficulty: steepnessDifficulty } },
+      ...(avoidFeatures?.length ? { avoid_features: avoidFeatures } : {}),
+      ...(avoidPolygons ? { avoid_polygons: avoidPolygons } : {}),
+      ...(roundTrip ? { round_trip: roundTrip } : {}),
+      alternative_routes: (altCount > 1 && !multiStop) ? {
+        target_count: altCount,
+        share_factor: shareFactor,
+        weight_factor: weightFactor,
+      } : undefined,
+    },
+  }
+}
+
+// Candidate pools of an A → B plan. `roadWide` only differs from `road` when
+// alternatives come back, so multi-stop plans skip it.
+export const POOL_REQUESTS = {
+  shortest: { profile: 'cycling-road', preference: 'shortest', altCount: 3 },
+  road: { profile: 'cycling-road', preference: 'recommended', altCount: 8, weightFactor: 3.0, shareFactor: 0.4 },
+  roadWide: { profile: 'cycling-road', preference: 'recommended', altCount: 6, weightFactor: 2.2, shareFactor: 0.4 },
+  safe: { profile: 'cycling-regular', preference: 'recommended', altCount: 6, weightFactor: 1.8,
+    steepnessDifficulty: 2, avoidFeatures: ['steps', 'ferries', 'fords'] },
+}
+
+// ORS shapes each loop from a random seed and a number of turn points, so
+// vary both to get genuinely different loops
+export const LOOP_SEEDS = [1, 2, 3, 4, 5, 6]
+export const loopRequest = (targetM, seed, i) => ({
+  profile: 'cycling-regular', preference: 'recommended', altCount: 1, avoidFeatures: ['steps', 'ferries', 'fords'],
+  roundTrip: { length: Math.round(targetM), points: 3 + (i % 3), seed },
+})
+
+// Safe reach: isochrones from the start, then one route out per bearing
+export const REACH_MINUTES = [10, 20, 30]
+export const REACH_RAYS = 12
+export const REACH_RAY_REQUEST = { altCount: 1 }
+// rays in flight at once, so a trace doesn't burst a dozen requests at ORS
+export const REACH_RAY_CONCURRENCY = 3
+export const isochroneBody = (o, minutes = REACH_MINUTES) =>
+  ({ locations: [[o.lng, o.lat]], range: minutes.map(m => m * 60), range_type: 'time' })
@@ -0,0 +1,110 @@
+/**
+ * shape.js — Helpers for backends that translate another engine's answer
+ * into ORS's GeoJSON response shape (summary, segments[].steps, extras).
+ */
+
+import { haversineMeters } from '../scoring.js'
+
+// ORS instruction types
+export const STEP = {
+  LEFT: 0, RIGHT: 1, SHARP_LEFT: 2, SHARP_RIGHT: 3, SLIGHT_LEFT: 4, SLIGHT_RIGHT: 5,
+  STRAIGHT: 6, ENTER_ROUNDABOUT: 7, EXIT_ROUNDABOUT: 8, U_TURN: 9, GOAL: 10, DEPART: 11,
+  KEEP_LEFT: 12, KEEP_RIGHT: 13,
+}
+
+// ORS waytype codes (WAYTYPE_LABELS in scoring.js) by OSM highway class
+export const WAYTYPE_BY_CLASS = {
+  motorway: 1, trunk: 1, primary: 2,
+  secondary: 3, tertiary: 3, residential: 3, unclassified: 3, living_street: 3, service: 3, road: 3,
+  path: 4, bridleway: 4, track: 5, cycleway: 6,
+  footway: 7, pedestrian: 7, platform: 7, corridor: 7, steps: 8,
+}
+
+// ORS surface codes (SURFACE_RISK in scoring.js) by OSM surface value
+export const SURFACE_BY_TAG = {
+  paved: 1, asphalt: 1, compacted: 2, unpaved: 3, concrete: 4, cobblestone: 5, sett: 6,
+  paving_stones: 7, metal: 8, fine_gravel: 9, wood: 10, gravel: 11, ground: 12, dirt: 12,
+  grass: 13, sand: 15, mud: 17, ice: 18,
+}
+
+// Engines without a bike-suitability notion get a rough 0–10 value per waytype
+export const SUITABILITY_BY_WAYTYPE = { 0: 6, 1: 1, 2: 4, 3: 6, 4: 8, 5: 5, 6: 9, 7: 7, 8: 2, 9: 5, 10: 3 }
+
+// ORS waycategory bit flags
+export const WAYCAT = { HIGHWAY: 1, STEPS: 2, UNPAVED: 4, FERRY: 8, TRACK: 16, TUNNEL: 32, PAVED: 64, FORD: 128 }
+
+/**
+ * ORS extra `{ values, summary }` from `[from, to, value]` runs over
+ * coordinate indices. Adjacent runs with equal values are merged and null
+ * values dropped, like ORS does for unknowns.
+ */
+export const toExtra = (runs, coords) => {
+  const values = []
+  for (const [a, b, v] of runs) {
+    if (v == null || !(b > a)) continue
+    const last = values[values.length - 1]
+    if (last && last[2] === v && last[1] === a) last[1] = b
+    else values.push([a, b, v])
+  }
+  const byValue = new Map()
+  let total = 0
+  for (const [a, b, v] of values) {
+    let d = 0
+    for (let i = a + 1; i <= b && i < coords.length; i++) {
+      d += haversineMeters({ lng: coords[i - 1][0], lat: coords[i - 1][1] }, { lng: coords[i][0], lat: coords[i][1] })
+    }
+    byValue.set(v, (byValue.get(v) || 0) + d)
+    total += d
+  }
+  const summary = [...byValue].map(([value, distance]) => ({ value, distance, amount: total ? +(100 * distance / total).toFixed(2) : 0 }))
+  return { values, summary }
+}
+
+/** Ascent / descent in meters along [lng, lat, ele] coordinates. */
+export const climb = (coords) => {
+  let ascent = 0, descent = 0
+  for (let i = 1; i < coords.length; i++) {
+    const dz = (coords[i][2] ?? 0) - (coords[i - 1][2] ?? 0)
+    if (dz > 0) ascent += dz; else descent -= dz
+  }
+  return { ascent: Math.round(ascent), descent: Math.round(descent) }
+}
+
+/** ORS-style route feature. `segments` is one { distance, duration, steps } per leg. */
+export const routeFeature = ({ coords, segments, extras = {}, wayPoints }) => {
+  const distance = segments.reduce((s, x) => s + x.distance, 0)
+  const duration = segments.reduce((s, x) => s + x.duration, 0)
+  return {
+    type: 'Feature',
+    geometry: { type: 'LineString', coordinates: coords },
+    properties: {
+      summary: { distance, duration, ...(coords[0]?.length > 2 ? climb(coords) : {}) },
+      segments,
+      extras,
+      way_points: wayPoints || [0, coords.length - 1],
+    },
+  }
+}
+
+// `ignored` lists request options the engine couldn't honour (e.g. ['avoid_polygons'])
+export const featureCollection = (features, ignored = []) =>
+  ({ type: 'FeatureCollection', features, ...(ignored.length ? { ignored } : {}) })
+
+/** Throw a message safe to show in the UI for a failed backend response. */
+export const failWith = (label, res) => {
+  throw new Error(
+    res.status === 400 ? 'Bad routing request'
+    : res.status === 401 || res.status === 403 ? `${label} rejected the API key`
+    : res.status === 429 ? 'Rate limit exceeded — try again shortly'
+    : `${label} error (${res.status})`)
+}
+
+/** Expand `[from, to, value]` runs into one value per edge (n coordinates → n−1 edges). */
+export const perEdge = (runs, n) => {
+  const out = new Array(Math.max(0, n - 1)).fill(null)
+  for (const [a, b, v] of runs || []) for (let i = a; i < b && i < out.length; i++) out[i] = v
+  return out
+}
+
+/** Per-edge values back into runs for toExtra. */
+export const edgeRuns = (values) => values.map((v, i) => [i, i + 1, v])
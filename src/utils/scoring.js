@@ -5,6 +5,9 @@
  * and reused without React dependencies.
  */
 
+import { hazardLabel, HAZARD_SEVERITY } from './hazards.js'
+import { DEFAULT_POWER, CRR_BY_SURFACE, MIN_SPEED_KPH, MAX_SPEED_KPH, powerInputs, solveSpeed, powerToHold, kcalFromKJ } from './power.js'
+
 // ---------------------------------------------------------------------------
 // ORS surface-type risk weights (0 = perfect, 1 = worst).
 // Covers all 19 ORS Extra-Info "surface" codes.
@@ -18,7 +21,7 @@ export const SURFACE_RISK = {
   5:  0.6,   // cobblestone — uncomfortable, slippery when wet
   6:  0.55,  // sett (cut stone) — rough for road bikes
   7:  0.15,  // paving stones — minor bumps
-  8:  0.4,   // metal — slippery
+  8:  0.4,   // metal — slippery when wet
   9:  0.6,   // fine gravel — loose
   10: 0.5,   // wood — slippery when wet
   11: 0.7,   // gravel
@@ -117,6 +120,16 @@ export const INFRA_LABEL = {
   restricted:     'Restricted (stairs/highway)',
 }
 
+// map / chart color per infrastructure class, greens for protected
+export const INFRA_COLORS = {
+  separated_path: '#10b981',
+  buffered_lane:  '#34d399',
+  painted_lane:   '#fbbf24',
+  shared_road:    '#f87171',
+  off_road:       '#a78bfa',
+  restricted:     '#6b7280',
+}
+
 // Per-route-type infrastructure risk (higher = worse)
 export const INFRA_RISK = {
   shortest: {
@@ -145,6 +158,144 @@ export const INFRA_RISK = {
   },
 }
 
+// ---------------------------------------------------------------------------
+// Rider profiles
+// ---------------------------------------------------------------------------
+
+/** Default weights for continuousRiskValue (the four factor weights sum to 1). */
+export const RISK_WEIGHTS = {
+  suit: 0.35, steep: 0.25, surf: 0.2, speed: 0.2,
+  upMaxPct: 15,       // climb grade that counts as the worst case
+  downMaxPct: 10,     // descent grade that counts as the worst case
+  speedOnsetKph: 40,  // traffic speed where speed risk starts to build
+}
+
+const patchInfra = (patch) =>
+  Object.fromEntries(Object.entries(INFRA_RISK).map(([type, t]) => [type, { ...t, ...(patch[type] || {}) }]))
+
+/**
+ * Selectable rider profiles. Each swaps the surface table, the per-route-type
+ * infrastructure table and the continuousRiskValue weights; `general` is the
+ * original one-size-fits-all model.
+ */
+export const RIDER_PROFILES = {
+  general: {
+    id: 'general',
+    label: 'General rider',
+    description: 'Balanced defaults for an everyday hybrid bike.',
+    surfaceRisk: SURFACE_RISK,
+    infraRisk: INFRA_RISK,
+    weights: RISK_WEIGHTS,
+  },
+  commuter: {
+    id: 'commuter',
+    label: 'Confident commuter',
+    description: 'Comfortable in traffic and painted lanes; values directness.',
+    surfaceRisk: SURFACE_RISK,
+    infraRisk: patchInfra({
+      safest: { buffered_lane: 0.2, painted_lane: 0.6, shared_road: 1.0 },
+      scenic: { painted_lane: 0.5, shared_road: 0.8 },
+    }),
+    weights: { ...RISK_WEIGHTS, steep: 0.2, surf: 0.25, speedOnsetKph: 50 },
+  },
+  family: {
+    id: 'family',
+    label: 'Family with kids',
+    description: 'Avoids traffic, fast roads and steep grades at almost any cost.',
+    surfaceRisk: { ...SURFACE_RISK, 2: 0.55, 9: 0.65 },
+    infraRisk: patchInfra({
+      shortest: { painted_lane: 0.4, shared_road: 0.8 },
+      safest:   { buffered_lane: 0.8, painted_lane: 1.8, shared_road: 2.5, off_road: 0.5, restricted: 3.0 },
+      scenic:   { buffered_lane: 0.5, painted_lane: 1.2, shared_road: 1.8 },
+    }),
+    weights: { ...RISK_WEIGHTS, suit: 0.3, steep: 0.3, surf: 0.15, speed: 0.25, upMaxPct: 10, downMaxPct: 7, speedOnsetKph: 30 },
+  },
+  road: {
+    id: 'road',
+    label: 'Road bike',
+    description: 'Narrow tyres: loose and rough surfaces count heavily, traffic less so.',
+    surfaceRisk: {
+      ...SURFACE_RISK,
+      2: 0.8, 3: 0.95, 5: 0.8, 6: 0.75, 9: 0.85, 11: 0.95, 12: 0.95, 13: 0.9, 15: 1.0,
+    },
+    infraRisk: patchInfra({
+      shortest: { off_road: 1.2 },
+      safest:   { painted_lane: 0.9, shared_road: 1.4, off_road: 1.5 },
+      scenic:   { off_road: 1.2 },
+    }),
+    weights: { ...RISK_WEIGHTS, suit: 0.3, steep: 0.2, surf: 0.3, speed: 0.2, speedOnsetKph: 50 },
+  },
+  cargo: {
+    id: 'cargo',
+    label: 'Cargo bike',
+    description: 'Heavy and wide: grades, descents, rough ground and stairs matter most.',
+    surfaceRisk: { ...SURFACE_RISK, 5: 0.7, 6: 0.65, 13: 0.8, 15: 1.0, 17: 1.0 },
+    infraRisk: patchInfra({
+      shortest: { off_road: 1.0, restricted: 3.0 },
+      safest:   { off_road: 1.0, restricted: 3.0 },
+      scenic:   { off_road: 0.8, restricted: 3.0 },
+    }),
+    weights: { ...RISK_WEIGHTS, suit: 0.3, steep: 0.35, surf: 0.2, speed: 0.15, upMaxPct: 10, downMaxPct: 8 },
+  },
+}
+
+export const DEFAULT_PROFILE = RIDER_PROFILES.general
+
+/** Look up a profile by id, falling back to the general rider. */
+export const riderProfile = (id) => RIDER_PROFILES[id] || DEFAULT_PROFILE
+
+// ---------------------------------------------------------------------------
+// Riding conditions
+// ---------------------------------------------------------------------------
+
+// The "slippery when wet" rows of SURFACE_RISK and how much rain scales their
+// risk: compacted, cobblestone, metal, wood. Frozen, they're the icy ones.
+const WET_GRIP_LOSS = { 2: 1.3, 5: 1.5, 8: 2.2, 10: 1.8 }
+const SLIPPERY_WET = new Set(Object.keys(WET_GRIP_LOSS).map(Number))
+
+/**
+ * Multipliers per ORS surface code (`default` for the rest). Wet and frozen
+ * ground scales the profile's surface risk (raised to at least `riskFloor`,
+ * capped at 1) and SURFACE_SCENIC, and `downGrade` lowers the descent grade
+ * that counts as the worst case, since braking distances grow.
+ */
+export const CONDITIONS = {
+  dry: { id: 'dry', label: 'Dry', surfaceRisk: {}, surfaceScenic: {}, riskFloor: 0, downGrade: 1 },
+  wet: {
+    id: 'wet',
+    label: 'Wet',
+    // slippery surfaces, plus dirt and grass turning to mud
+    surfaceRisk: { ...WET_GRIP_LOSS, 12: 1.3, 13: 1.3 },
+    surfaceScenic: { 1: 0.8, 4: 0.8, 7: 0.5, 2: 1.5, 3: 1.4, 5: 1.5, 6: 1.4, 8: 2.0, 10: 2.0, 12: 1.6, 13: 1.5, 17: 1.2 },
+    riskFloor: 0.1,
+    downGrade: 0.8,
+  },
+  snow: {
+    id: 'snow',
+    label: 'Snow / ice',
+    surfaceRisk: { default: 1.5, 2: 1.8, 5: 1.8, 8: 2.5, 10: 2.5 },
+    surfaceScenic: { 1: 0.3, 4: 0.3, 7: 0.3, default: 1.8 },
+    riskFloor: 0.45,
+    downGrade: 0.6,
+  },
+}
+
+const scaleTable = (table, mult, lo = -Infinity, hi = Infinity) =>
+  Object.fromEntries(Object.entries(table).map(([k, v]) => [k, clamp(v * (mult[k] ?? mult.default ?? 1), lo, hi)]))
+
+/** A rider profile adjusted for riding conditions; `dry` returns it unchanged. */
+export const withConditions = (profile, conditionId = 'dry') => {
+  const c = CONDITIONS[conditionId]
+  if (!c || c.id === 'dry') return profile
+  return {
+    ...profile,
+    condition: c.id,
+    surfaceRisk: scaleTable(profile.surfaceRisk, c.surfaceRisk, c.riskFloor, 1),
+    surfaceScenic: scaleTable(profile.surfaceScenic || SURFACE_SCENIC, c.surfaceScenic),
+    weights: { ...profile.weights, downMaxPct: profile.weights.downMaxPct * c.downGrade },
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Scenic-score bonuses
 // ---------------------------------------------------------------------------
@@ -187,6 +338,15 @@ export const haversineMeters = (a, b) => {
   return 2 * R * Math.asin(Math.sqrt(s))
 }
 
+/** Initial bearing in degrees [0, 360) from a to b ({lng, lat}). */
+export const bearingDeg = (a, b) => {
+  const toRad = (x) => (x * Math.PI) / 180
+  const φ1 = toRad(a.lat), φ2 = toRad(b.lat), Δλ = toRad(b.lng - a.lng)
+  const y = Math.sin(Δλ) * Math.cos(φ2)
+  const x = Math.cos(φ1) * Math.sin(φ2) - Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ)
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360
+}
+
 /** Average absolute grade (%) across a coordinate segment [[lng,lat,elev], …]. */
 export const avgGrade = (seg) => {
   let dSum = 0, dzSum = 0
@@ -243,23 +403,25 @@ const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v))
 
 /**
  * Continuous risk value for a single segment (0 = safe, 3 = worst).
- * Combines suitability, steepness (directional), surface, and traffic speed.
+ * Combines suitability, steepness (directional), surface, and traffic speed,
+ * weighted by the rider profile's surface table and weights.
  * segLen dampens steepness penalty for short segments (<200m).
  */
-export const continuousRiskValue = ({ suit, surf, avgPct, avgspeed, upGrade, downGrade, segLen }) => {
+export const continuousRiskValue = ({ suit, surf, avgPct, avgspeed, upGrade, downGrade, segLen }, profile = DEFAULT_PROFILE) => {
+  const W = profile.weights
   const s = suit > 1 ? suit : (suit ?? 7) * 10
   const suitRisk = 3.0 * Math.pow(1 - clamp(s, 1, 10) / 10, 1.5)
 
-  const upRisk   = clamp((upGrade ?? avgPct) / 15, 0, 1) * 1.5
-  const downRisk = clamp((downGrade ?? 0) / 10, 0, 1) * 2.5
+  const upRisk   = clamp((upGrade ?? avgPct) / W.upMaxPct, 0, 1) * 1.5
+  const downRisk = clamp((downGrade ?? 0) / W.downMaxPct, 0, 1) * 2.5
   const lenDampen = segLen != null ? clamp(segLen / 200, 0.3, 1.0) : 1.0
   const steepRisk = Math.max(upRisk, downRisk) * lenDampen
 
-  const surfRisk  = (SURFACE_RISK[surf] ?? 0.3) * 2.0
+  const surfRisk  = (profile.surfaceRisk[surf] ?? 0.3) * 2.0
   const spd = avgspeed != null ? Number(avgspeed) : null
-  const speedRisk = spd != null ? clamp((spd - 40) / 50, 0, 1) * 2.0 : 0
+  const speedRisk = spd != null ? clamp((spd - W.speedOnsetKph) / 50, 0, 1) * 2.0 : 0
 
-  return clamp(suitRisk * 0.35 + steepRisk * 0.25 + surfRisk * 0.2 + speedRisk * 0.2, 0, 3)
+  return clamp(suitRisk * W.suit + steepRisk * W.steep + surfRisk * W.surf + speedRisk * W.speed, 0, 3)
 }
 
 /**
@@ -268,7 +430,7 @@ export const continuousRiskValue = ({ suit, surf, avgPct, avgspeed, upGrade, dow
  * Returns { risk, reasons, value } where value is the continuous
  * float in [0, 3] and risk is the display band string.
  */
-export const gradeRisk = ({ suit, surf, avgPct, avgspeed, infraType, upGrade, downGrade, segLen }) => {
+export const gradeRisk = ({ suit, surf, avgPct, avgspeed, infraType, upGrade, downGrade, segLen }, profile = DEFAULT_PROFILE) => {
   const reasons = []
   const s = suit > 1 ? suit : (suit ?? 7) * 10
   if (s <= 4) reasons.push(`Lower suitability score (${s.toFixed(1)}/10)`)
@@ -281,10 +443,19 @@ export const gradeRisk = ({ suit, surf, avgPct, avgspeed, infraType, upGrade, do
   else if (dg >= STEEP_MED_PCT) reasons.push(`Noticeable descent (~${dg.toFixed(1)}%)`)
   else if (ug >= STEEP_MED_PCT) reasons.push(`Noticeable climb (~${ug.toFixed(1)}%)`)
 
-  const surfW = SURFACE_RISK[surf] ?? 0.3
+  const surfW = profile.surfaceRisk[surf] ?? 0.3
   if (surfW >= 0.7) reasons.push('Unpaved / rough surface')
   else if (surfW >= 0.5) reasons.push('Rough surface')
 
+  if (profile.condition === 'wet') {
+    if (SLIPPERY_WET.has(Number(surf))) reasons.push('Slippery when wet')
+    if (dg >= STEEP_MED_PCT) reasons.push('Wet descent — allow longer braking')
+  } else if (profile.condition === 'snow') {
+    if (SLIPPERY_WET.has(Number(surf))) reasons.push('Icy when frozen')
+    if (infraType === 'separated_path' || infraType === 'off_road') reasons.push('Paths may not be cleared of snow')
+    if (dg >= STEEP_MED_PCT) reasons.push('Descent in snow / ice')
+  }
+
   const spd = avgspeed != null ? Number(avgspeed) : null
   if (spd != null && spd >= 60) reasons.push(`High-speed road (~${Math.round(spd)} km/h)`)
 
@@ -293,17 +464,19 @@ export const gradeRisk = ({ suit, surf, avgPct, avgspeed, infraType, upGrade, do
   else if (infraType === 'shared_road')
     reasons.push('No cycling infrastructure')
 
-  const value = continuousRiskValue({ suit, surf, avgPct, avgspeed, upGrade, downGrade, segLen })
-  const risk = value >= 2.0 ? 'high' : value >= 1.0 ? 'med' : 'low'
-  return { risk, reasons, value }
+  const value = continuousRiskValue({ suit, surf, avgPct, avgspeed, upGrade, downGrade, segLen }, profile)
+  return { risk: riskBand(value), reasons, value }
 }
 
+/** Display band for a continuous risk value. */
+export const riskBand = (value) => value >= 2.0 ? 'high' : value >= 1.0 ? 'med' : 'low'
+
 // ---------------------------------------------------------------------------
 // Risk feature-collection builder
 // ---------------------------------------------------------------------------
 
 /** Build a GeoJSON FeatureCollection of risk-graded segments from an ORS route feature. */
-export const toRiskFCRaw = (feature) => {
+export const toRiskFCRaw = (feature, profile = DEFAULT_PROFILE) => {
   const coords = feature?.geometry?.coordinates || []
   const extras = feature?.properties?.extras || {}
   if (coords.length < 2) return null
@@ -336,7 +509,7 @@ export const toRiskFCRaw = (feature) => {
     const avgPct   = avgGrade(seg)
     const { upGrade, downGrade } = directionalGrade(seg)
     const infraType = inferInfraType(way, suit, avgspeed, waycat)
-    const { risk, reasons, value } = gradeRisk({ suit, surf, avgPct, avgspeed, infraType, upGrade, downGrade, segLen: sLen })
+    const { risk, reasons, value } = gradeRisk({ suit, surf, avgPct, avgspeed, infraType, upGrade, downGrade, segLen: sLen }, profile)
     fc.features.push({
       type: 'Feature',
       properties: {
@@ -352,6 +525,69 @@ export const toRiskFCRaw = (feature) => {
   return fc
 }
 
+// ---------------------------------------------------------------------------
+// Reported hazards
+// ---------------------------------------------------------------------------
+
+export const HAZARD_RADIUS_M = 25
+// added to the segment's continuous risk, by severity (1 minor … 3 severe)
+export const HAZARD_RISK_BUMP = { 1: 0.6, 2: 1.2, 3: 2.0 }
+// riskScore penalty per hazard in weighted meters: a severe one costs
+// as much as a kilometre of high-risk riding
+export const HAZARD_PENALTY_M = { 1: 300, 2: 1000, 3: 3000 }
+
+// distance (m) from a point to a polyline, in a local flat projection
+const pointToLineM = (p, coords) => {
+  const k = Math.cos((p.lat * Math.PI) / 180)
+  const X = (lng) => (lng - p.lng) * 111320 * k
+  const Y = (lat) => (lat - p.lat) * 110540
+  let best = Infinity
+  for (let i = 1; i < coords.length; i++) {
+    const ax = X(coords[i - 1][0]), ay = Y(coords[i - 1][1])
+    const dx = X(coords[i][0]) - ax, dy = Y(coords[i][1]) - ay
+    const len2 = dx * dx + dy * dy
+    const t = len2 ? clamp(-(ax * dx + ay * dy) / len2, 0, 1) : 0
+    best = Math.min(best, Math.hypot(ax + t * dx, ay + t * dy))
+  }
+  return best
+}
+
+/**
+ * Raise the risk of segments passing within `radiusM` of an active hazard.
+ * Each hazard counts once, on its nearest segment, which gets a reason line
+ * in `why`, the hazard ids and a `hazardPenalty` for riskScore.
+ */
+export const withHazards = (fc, hazards, radiusM = HAZARD_RADIUS_M) => {
+  if (!fc?.features?.length || !hazards?.length) return fc
+  const hits = new Map()
+  for (const h of hazards) {
+    let best = -1, bestM = radiusM
+    fc.features.forEach((f, i) => {
+      const d = pointToLineM(h, f.geometry?.coordinates || [])
+      if (d <= bestM) { best = i; bestM = d }
+    })
+    if (best >= 0) hits.set(best, [...(hits.get(best) || []), h])
+  }
+  if (!hits.size) return fc
+
+  const features = fc.features.map((f, i) => {
+    const hs = hits.get(i)
+    if (!hs) return f
+    const value = clamp(f.properties.value + HAZARD_RISK_BUMP[Math.max(...hs.map(h => h.severity))], 0, 3)
+    const reasons = hs.map(h => `Reported ${hazardLabel(h).toLowerCase()} (${HAZARD_SEVERITY[h.severity]})`)
+    return {
+      ...f,
+      properties: {
+        ...f.properties, value, risk: riskBand(value),
+        why: [...reasons, f.properties.why].filter(Boolean).join(' • '),
+        hazards: hs.map(h => h.id),
+        hazardPenalty: hs.reduce((s, h) => s + HAZARD_PENALTY_M[h.severity], 0),
+      },
+    }
+  })
+  return { ...fc, features }
+}
+
 // ---------------------------------------------------------------------------
 // Route-level scores
 // ---------------------------------------------------------------------------
@@ -361,20 +597,37 @@ export const distanceOf = (feature) =>
   feature?.properties?.summary?.distance ??
   (getInsights(feature)?.totalDistM ?? 0)
 
+/** Km of a risk FeatureCollection per risk band and per infrastructure type. */
+export const kmByClass = (fc) => {
+  const risk = { low: 0, med: 0, high: 0 }
+  const infra = {}
+  for (const f of fc?.features || []) {
+    const c = f.geometry?.coordinates || []
+    let m = 0
+    for (let k = 1; k < c.length; k++) m += haversineMeters({ lng: c[k - 1][0], lat: c[k - 1][1] }, { lng: c[k][0], lat: c[k][1] })
+    const r = f.properties?.risk
+    if (risk[r] != null) risk[r] += m / 1000
+    const t = f.properties?.infraType
+    if (t) infra[t] = (infra[t] || 0) + m / 1000
+  }
+  return { risk, infra }
+}
+
 /**
  * Weighted risk score per km (lower = safer).
  *
  * When routeType is provided, uses infrastructure-aware scoring:
- * each segment's infra risk (from INFRA_RISK table) plus the base
- * risk band weight, combined per-km.
+ * each segment's infra risk (from the profile's INFRA_RISK table) plus
+ * the base risk band weight, combined per-km.
  *
  * When routeType is omitted, falls back to the original 3/2/1 band weights.
+ * Segments near reported hazards add their fixed `hazardPenalty` on top.
  * Returns 2.0 (neutral) when extra_info is unavailable.
  */
-export const riskScore = (feature, toRiskFC, routeType) => {
+export const riskScore = (feature, toRiskFC, routeType, profile = DEFAULT_PROFILE) => {
   const fc = toRiskFC(feature)
   if (!fc?.features?.length) return 2.0
-  const infraTable = routeType ? INFRA_RISK[routeType] : null
+  const infraTable = routeType ? profile.infraRisk[routeType] : null
   let lenM = 0, score = 0
   for (const f of fc.features) {
     const c = f.geometry?.coordinates || []
@@ -394,26 +647,110 @@ export const riskScore = (feature, toRiskFC, routeType) => {
     } else {
       w = f.properties?.risk === 'high' ? 3 : f.properties?.risk === 'med' ? 2 : 1
     }
-    score += w * seg
+    score += w * seg + (f.properties?.hazardPenalty || 0)
   }
   const km = Math.max(0.001, lenM / 1000)
   return score / km
 }
 
 // ---------------------------------------------------------------------------
-// Route insights (elevation, distance, speed, ETA)
+// Route insights (elevation, distance, speed, ETA, effort)
 // ---------------------------------------------------------------------------
 
-/** Compute elevation profile, cumulative distance, suggested speed & ETA. */
-export const getInsights = (feature) => {
+// Wind: forecasts are for 10 m up; a rider feels less.
+export const WIND_HEIGHT_FACTOR = 0.7
+
+/**
+ * Wind components for a segment heading `bearing` (degrees). `wind` is
+ * { kph, fromDeg } as reported (the direction it blows from). Returns
+ * { head, cross } in km/h at rider height; head < 0 is a tailwind.
+ */
+export const windComponents = (bearing, wind) => {
+  const kph = (wind?.kph || 0) * WIND_HEIGHT_FACTOR
+  const rel = ((wind?.fromDeg ?? 0) - bearing) * Math.PI / 180
+  return { head: kph * Math.cos(rel), cross: Math.abs(kph * Math.sin(rel)) }
+}
+
+// calm power-model speed (km/h) by grade and ORS surface, the base a calibration extends
+const physicsKph = (rider) => (grade, surf) => solveSpeed({ ...rider, crr: CRR_BY_SURFACE[surf] ?? CRR_BY_SURFACE[0], grade }).ms * 3.6
+
+/** Flat, calm, paved speed (km/h): the rider's calibrated one when there is a model. */
+export const cruiseSpeedKph = ({ power = DEFAULT_POWER, calibration = null } = {}) => {
+  const base = physicsKph(powerInputs(power))
+  return calibration ? clamp(calibration.speedKph(0, 1, base), MIN_SPEED_KPH, MAX_SPEED_KPH) : base(0, 1)
+}
+
+const GRADE_WINDOW_M = 60     // elevation is noisy point to point: grade over at least this much road
+const CLIMB_GRADE = 0.03      // counts toward climbing time
+const CLIMB_MIN_M = 150       // shortest stretch reported as a climb or descent
+const CLIMB_HYST_M = 3        // a dip or bump smaller than this doesn't end a climb
+
+/**
+ * Steepest sustained climb and descent on an elevation profile.
+ *
+ * The profile is split into uphill and downhill stretches at its turning
+ * points, ignoring wiggles under CLIMB_HYST_M. Of the stretches at least
+ * CLIMB_MIN_M long and averaging CLIMB_GRADE or more, the steepest each way
+ * is returned as { fromKm, toKm, lengthKm, gradePct, deltaM }, or null.
+ */
+export const steepestStretches = (distKm, elevM) => {
+  const n = Math.min(distKm?.length || 0, elevM?.length || 0)
+  if (n < 2) return { climb: null, descent: null }
+  // runs [from, to]: a run ends where its extreme is first reached and the
+  // next one starts where it was last held, so flats belong to neither
+  const runs = []
+  let dir = 0, lo = 0, hi = 0, from = 0, first = 0, last = 0
+  for (let j = 1; j < n; j++) {
+    const e = elevM[j]
+    if (dir === 0) {
+      if (e <= elevM[lo]) lo = j
+      if (e >= elevM[hi]) hi = j
+      if (e - elevM[lo] >= CLIMB_HYST_M) { dir = 1; from = lo; first = last = j }
+      else if (elevM[hi] - e >= CLIMB_HYST_M) { dir = -1; from = hi; first = last = j }
+    } else if ((e - elevM[first]) * dir > 0) first = last = j
+    else if (e === elevM[first]) last = j
+    else if ((elevM[first] - e) * dir >= CLIMB_HYST_M) { runs.push([from, first]); dir = -dir; from = last; first = last = j }
+  }
+  if (dir !== 0) runs.push([from, first])
+
+  let climb = null, descent = null
+  for (const [a, b] of runs) {
+    const len = (distKm[b] - distKm[a]) * 1000
+    if (len < CLIMB_MIN_M) continue
+    const deltaM = elevM[b] - elevM[a]
+    const grade = deltaM / len
+    const s = { fromKm: distKm[a], toKm: distKm[b], lengthKm: len / 1000, gradePct: grade * 100, deltaM }
+    if (grade >= CLIMB_GRADE && (!climb || s.gradePct > climb.gradePct)) climb = s
+    if (grade <= -CLIMB_GRADE && (!descent || s.gradePct < descent.gradePct)) descent = s
+  }
+  return { climb, descent }
+}
+
+/**
+ * Compute elevation profile, cumulative distance, speed, ETA and effort.
+ *
+ * Speeds come from the power model in power.js: `power` is the rider's
+ * settings (mass, position, effort), rolling resistance follows each
+ * segment's ORS surface, and with `wind` ({ kph, fromDeg }) the headwind
+ * component adds to air speed. `speedKph[i]` is the speed on the segment
+ * ending at coordinate i (index 0 repeats the first segment), and so is
+ * `gradePct[i]`.
+ *
+ * With a `calibration` model (see calibration.js) calm speeds come from the
+ * rider's recorded rides instead; wind scales them as it would the power
+ * model's, and power and energy are what holding those speeds takes.
+ */
+export const getInsights = (feature, { wind, power = DEFAULT_POWER, calibration = null } = {}) => {
   const coords = feature?.geometry?.coordinates || []
   if (coords.length < 2) return null
+  const rider = powerInputs(power)
+  const baseKph = physicsKph(rider)
+  const surfVals = feature?.properties?.extras?.surface?.values || []
 
   let total = 0, ascent = 0, descent = 0
   const distKm = [0]
   const elevM = [coords[0][2] ?? 0]
-  const samples = []
-
+  const segs = []
   for (let i = 1; i < coords.length; i++) {
     const [x1, y1, z1 = 0] = coords[i - 1]
     const [x2, y2, z2 = 0] = coords[i]
@@ -423,19 +760,78 @@ export const getInsights = (feature) => {
     if (dz > 0) ascent += dz; else descent += -dz
     distKm.push(total / 1000)
     elevM.push(z2)
-    if (d > 0) {
-      const grade = dz / d
-      let v = 18 - 80 * grade
-      v = Math.max(10, Math.min(v, 28))
-      samples.push({ v, w: d })
-    }
+    segs.push({ d, bearing: bearingDeg({ lng: x1, lat: y1 }, { lng: x2, lat: y2 }), surf: valueAt(i - 1, surfVals, 1) })
   }
 
-  const sumW = samples.reduce((s, x) => s + x.w, 0) || 1
-  const avgV = samples.reduce((s, x) => s + x.v * (x.w / sumW), 0)
-  const etaMin = ((total / 1000) / Math.max(5, avgV)) * 60
+  // grade per segment over a window of at least GRADE_WINDOW_M around it
+  const gradeAt = (i) => {
+    let a = i, b = i + 1
+    while (distKm[b] - distKm[a] < GRADE_WINDOW_M / 1000 && (a > 0 || b < coords.length - 1)) {
+      if (a > 0) a--
+      if (b < coords.length - 1) b++
+    }
+    const run = (distKm[b] - distKm[a]) * 1000
+    return run > 0 ? clamp((elevM[b] - elevM[a]) / run, -0.25, 0.25) : 0
+  }
 
-  return { distKm, elevM, totalDistM: total, ascentM: ascent, descentM: descent, avgSpeedKph: avgV, etaMin }
+  const windy = wind?.kph > 0
+  const windKm = { head: 0, tail: 0, cross: 0 }
+  let headSum = 0, timeS = 0, calmS = 0, workJ = 0, climbS = 0, maxGrade = 0, minGrade = 0
+  const speedKph = [], gradePct = []
+  segs.forEach((sg, i) => {
+    if (!(sg.d > 0)) {
+      speedKph.push(speedKph[speedKph.length - 1] ?? 0)
+      gradePct.push(gradePct[gradePct.length - 1] ?? 0)
+      return
+    }
+    const grade = gradeAt(i)
+    gradePct.push(grade * 100)
+    maxGrade = Math.max(maxGrade, grade); minGrade = Math.min(minGrade, grade)
+    const env = { ...rider, crr: CRR_BY_SURFACE[sg.surf] ?? CRR_BY_SURFACE[0], grade }
+    const physics = solveSpeed(env)
+    const calm = calibration
+      ? { ms: clamp(calibration.speedKph(grade, sg.surf, baseKph), MIN_SPEED_KPH, MAX_SPEED_KPH) / 3.6 }
+      : physics
+    let cur = calm, headMs = 0
+    if (windy) {
+      const wc = windComponents(sg.bearing, wind)
+      headMs = wc.head / 3.6
+      const blown = solveSpeed({ ...env, headMs })
+      cur = calibration ? { ms: clamp(calm.ms * blown.ms / physics.ms, MIN_SPEED_KPH / 3.6, MAX_SPEED_KPH / 3.6) } : blown
+      // head within ±45° of the nose, tail within ±45° of the back
+      const kind = wc.head >= wc.cross ? 'head' : -wc.head >= wc.cross ? 'tail' : 'cross'
+      windKm[kind] += sg.d / 1000
+      headSum += wc.head * sg.d
+    }
+    const t = sg.d / cur.ms
+    timeS += t
+    calmS += sg.d / calm.ms
+    workJ += (cur.watts ?? powerToHold(cur.ms, { ...env, headMs })) * t
+    if (grade >= CLIMB_GRADE) climbS += t
+    speedKph.push(cur.ms * 3.6)
+  })
+  speedKph.unshift(speedKph[0] ?? 0)
+  gradePct.unshift(gradePct[0] ?? 0)
+
+  const etaMin = timeS / 60
+  const insights = {
+    distKm, elevM, totalDistM: total, ascentM: ascent, descentM: descent,
+    avgSpeedKph: timeS > 0 ? (total / 1000) / (timeS / 3600) : 0, etaMin, speedKph, gradePct,
+    powerW: calibration ? workJ / Math.max(1, timeS) : rider.powerW,
+    energyKJ: workJ / 1000, kcal: kcalFromKJ(workJ / 1000), climbMin: climbS / 60,
+    maxGradePct: maxGrade * 100, minGradePct: minGrade * 100,                 // steepest climb / descent over GRADE_WINDOW_M
+    ...steepestStretches(distKm, elevM),                                      // steepest sustained climb / descent
+    calibratedRides: calibration?.rides || 0,
+  }
+  if (windy) {
+    insights.wind = {
+      ...wind,
+      headKm: windKm.head, tailKm: windKm.tail, crossKm: windKm.cross,
+      avgHeadKph: headSum / Math.max(1, total),                       // distance-weighted; < 0 overall tailwind
+      etaDeltaMin: etaMin - calmS / 60,
+    }
+  }
+  return insights
 }
 
 // ---------------------------------------------------------------------------
@@ -523,9 +919,12 @@ export const routeOverlap = (a, b) => {
  * @param {Function} [envBonusFn] - (coords) => number  (0–5 range).
  *        Called with the segment's coordinate array; returns a bonus for
  *        nearby parks / water. Optional — defaults to 0 when omitted.
+ * @param {object}   [profile] - rider profile; its `surfaceScenic` (set by
+ *        withConditions) replaces SURFACE_SCENIC
  */
-export const scenicScore = (feature, toRiskFC, envBonusFn) => {
+export const scenicScore = (feature, toRiskFC, envBonusFn, profile = DEFAULT_PROFILE) => {
   const fc = toRiskFC(feature)
+  const surfaceScenic = profile.surfaceScenic || SURFACE_SCENIC
   if (!fc?.features?.length) return null
 
   let totalM = 0, score = 0
@@ -540,7 +939,7 @@ export const scenicScore = (feature, toRiskFC, envBonusFn) => {
     const surf  = f.properties?.surf ?? f.properties?.surface
 
     const bInfra = infra ? (SCENIC_INFRA_BONUS[infra] ?? 0) : (SCENIC_WAY_BONUS[way] ?? 0)
-    const bSurf  = SURFACE_SCENIC[Number(surf)] ?? 0
+    const bSurf  = surfaceScenic[Number(surf)] ?? 0
     const bEnv   = typeof envBonusFn === 'function' ? envBonusFn(coords) : 0
 
     const segScore = (bInfra + bSurf + bEnv * 0.25) * (L / 1000)
@@ -0,0 +1,101 @@
+/**
+ * speech.js — Spoken turn-by-turn guidance through the Web Speech API.
+ *
+ * guidanceCues() decides what to say for a navigation fix; each cue has a
+ * key so the caller can make sure it is spoken only once per route.
+ */
+
+import { loadJSON, saveJSON } from './storage.js'
+
+export const VOICE_KEY = 'bikesafe:voice'
+
+export const FAR_M = 250          // "In 250 metres, turn left…"
+export const NEAR_M = 60          // "Turn left…" right before the maneuver
+export const RISK_AHEAD_M = 300   // warn about high-risk stretches this far ahead
+
+export const speechSupported = () => typeof window !== 'undefined' && 'speechSynthesis' in window
+
+const browserLang = () => (typeof navigator !== 'undefined' && navigator.language) || 'en-US'
+
+/** Saved voice settings: { muted, voiceURI, rate, lang }. */
+export const loadVoiceSettings = () => {
+  const dflt = { muted: false, voiceURI: '', rate: 1, lang: browserLang() }
+  return { ...dflt, ...loadJSON(VOICE_KEY, {}) }
+}
+export const saveVoiceSettings = (v) => saveJSON(VOICE_KEY, v)
+
+/** Installed voices for a language (matched on its primary subtag), best match first. */
+export const voicesFor = (lang) => {
+  if (!speechSupported()) return []
+  const base = String(lang || '').toLowerCase().split('-')[0]
+  return window.speechSynthesis.getVoices()
+    .filter(v => v.lang.toLowerCase().split(/[-_]/)[0] === base)
+    .sort((a, b) => (b.lang.toLowerCase() === String(lang).toLowerCase()) - (a.lang.toLowerCase() === String(lang).toLowerCase()))
+}
+
+/** Languages of all installed voices, e.g. ['en-GB', 'en-US', 'fr-FR']. */
+export const voiceLanguages = () => speechSupported()
+  ? [...new Set(window.speechSynthesis.getVoices().map(v => v.lang.replace('_', '-')))].sort()
+  : []
+
+/** Say `text` unless muted. `interrupt` cuts off whatever is being said. */
+export const speak = (text, { muted, voiceURI, rate = 1, lang } = {}, { interrupt = false } = {}) => {
+  if (muted || !text || !speechSupported()) return
+  const synth = window.speechSynthesis
+  if (interrupt) synth.cancel()
+  const u = new SpeechSynthesisUtterance(text)
+  u.lang = lang || browserLang()
+  u.rate = rate
+  const voice = synth.getVoices().find(v => v.voiceURI === voiceURI) || voicesFor(u.lang)[0]
+  if (voice) u.voice = voice
+  synth.speak(u)
+}
+
+/** Distance phrased for speech: 10 m steps up close, 50 m steps further out. */
+export const spokenDistance = (m) => {
+  if (m >= 950) return `${(m / 1000).toFixed(1).replace(/\.0$/, '')} kilometres`
+  const step = m > 200 ? 50 : 10
+  return `${Math.max(step, Math.round(m / step) * step)} metres`
+}
+
+// band reasons are written for the screen; drop the numbers in brackets and the
+// generic suitability note, and keep the two most specific ones
+const spokenReasons = (band) => {
+  const rs = (band.reasons || [])
+    .filter(r => !/suitability/i.test(r))
+    .map(r => r.replace(/\s*\(.*?\)/g, '').trim())
+    .filter(Boolean)
+  const text = (rs.length ? rs.slice(0, 2) : [band.wayLabel || 'high-risk section']).join(' and ')
+  return text.charAt(0).toLowerCase() + text.slice(1)
+}
+
+/**
+ * Cues for one navigation fix. `steps` are flatSteps of the route, `bands`
+ * the risk bands ({ fromKm, toKm, risk, reasons, wayLabel }) and `alongKm`
+ * the rider's snapped position. Returns [{ key, text }].
+ */
+export const guidanceCues = ({ steps, stepIdx, nextM, bands = [], alongKm, status }) => {
+  const cues = []
+  if (status === 'off') return [{ key: `off:${Math.round(alongKm * 1000)}`, text: 'Off route.' }]
+  if (status === 'rerouting') return [{ key: 'rerouting', text: 'Finding a new route.' }]
+  if (status === 'arrived') return [{ key: 'arrived', text: 'You have arrived.' }]
+  if (status !== 'on') return cues
+
+  const next = steps[stepIdx + 1]
+  if (stepIdx === 0) cues.push({ key: 'step:0', text: steps[0]?.instruction })
+  if (next) {
+    if (nextM <= NEAR_M) cues.push({ key: `step:${stepIdx + 1}:near`, text: next.instruction })
+    else if (nextM <= FAR_M) cues.push({ key: `step:${stepIdx + 1}:far`, text: `In ${spokenDistance(nextM)}, ${next.instruction}` })
+  }
+
+  // a run of back-to-back high bands is one warning, keyed on where it starts
+  bands.forEach((b, i) => {
+    if (b.risk !== 'high') return
+    const prev = bands[i - 1]
+    if (prev?.risk === 'high' && Math.abs(prev.toKm - b.fromKm) < 1e-6) return
+    const aheadM = (b.fromKm - alongKm) * 1000
+    if (aheadM > 0 && aheadM <= RISK_AHEAD_M) cues.push({ key: `risk:${i}`, text: `In ${spokenDistance(aheadM)}: ${spokenReasons(b)}` })
+    else if (aheadM <= 0 && alongKm < b.toKm) cues.push({ key: `risk:${i}`, text: `Caution: ${spokenReasons(b)}` })
+  })
+  return cues.filter(c => c.text)
+}
@@ -0,0 +1,26 @@
+/**
+ * storage.js — localStorage access for settings and saved data.
+ *
+ * Storage can be missing, blocked or full (private browsing, quota), so
+ * reads fall back to a default and writes are best-effort: what can't be
+ * saved lasts for the session.
+ */
+
+/** The stored string, or null when there is none or storage is unavailable. */
+export const loadItem = (key) => {
+  try { return localStorage.getItem(key) } catch { return null }
+}
+export const saveItem = (key, text) => {
+  try { localStorage.setItem(key, text) } catch { /* unavailable or full */ }
+}
+
+/** The stored value parsed as JSON, or `fallback` when missing or unreadable. */
+export const loadJSON = (key, fallback = null) => {
+  const raw = loadItem(key)
+  if (raw == null) return fallback
+  try { return JSON.parse(raw) } catch { return fallback }
+}
+export const saveJSON = (key, value) => saveItem(key, JSON.stringify(value))
+
+/** Locally unique id for a saved record, e.g. newId('hz') → "hz-lq2x9k3a-4f8c1". */
+export const newId = (prefix) => `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`
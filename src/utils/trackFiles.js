@@ -0,0 +1,249 @@
+/**
+ * trackFiles.js — GPX / TCX / GeoJSON / KML track files for BikeSafe.
+ *
+ * Export writes the exact geometry of a designated route (with elevation)
+ * plus its ORS turn instructions as cue points, so head units follow our
+ * route instead of re-routing. Import reads a track from a local file into
+ * plain [lng, lat, ele?] coordinates for map-matching and scoring.
+ */
+
+import { haversineMeters } from './scoring.js'
+
+const xmlEscape = (s) => String(s ?? '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;').replace(/'/g, '&apos;')
+
+const fmtCoord = (n) => Number(n).toFixed(6)
+
+// ORS instruction type -> TCX CoursePoint PointType
+const TCX_POINT_TYPE = {
+  0: 'Left', 1: 'Right', 2: 'Left', 3: 'Right', 4: 'Left', 5: 'Right',
+  6: 'Straight', 9: 'Generic', 10: 'Generic', 11: 'Generic', 12: 'Left', 13: 'Right',
+}
+
+/** Cumulative distance in meters at each coordinate. */
+const cumulativeMeters = (coords) => {
+  const out = [0]
+  for (let i = 1; i < coords.length; i++) {
+    const [x1, y1] = coords[i - 1], [x2, y2] = coords[i]
+    out.push(out[i - 1] + haversineMeters({ lng: x1, lat: y1 }, { lng: x2, lat: y2 }))
+  }
+  return out
+}
+
+/**
+ * Turn flat ORS steps into cue points anchored on the route geometry.
+ * Each step starts at way_points[0]; the final "arrive" step is kept so the
+ * device announces the destination.
+ */
+export const cuePoints = (feature, steps = []) => {
+  const coords = feature?.geometry?.coordinates || []
+  if (!coords.length) return []
+  return steps
+    .filter(st => Array.isArray(st?.way_points) && st.instruction)
+    .map(st => {
+      const i = Math.max(0, Math.min(coords.length - 1, st.way_points[0] ?? 0))
+      const [lng, lat, ele] = coords[i]
+      return { index: i, lng, lat, ele, type: st.type, name: st.name, instruction: st.instruction }
+    })
+}
+
+/** GPX 1.1 document: one track plus a waypoint per cue. */
+export const toGPX = (feature, steps = [], { name = 'BikeSafe route' } = {}) => {
+  const coords = feature?.geometry?.coordinates || []
+  const cues = cuePoints(feature, steps)
+  const ele = (z) => Number.isFinite(z) ? `<ele>${z.toFixed(1)}</ele>` : ''
+
+  const wpts = cues.map(c =>
+    `  <wpt lat="${fmtCoord(c.lat)}" lon="${fmtCoord(c.lng)}">${ele(c.ele)}` +
+    `<name>${xmlEscape(c.instruction)}</name><type>cue</type></wpt>`)
+  const trkpts = coords.map(([lng, lat, z]) =>
+    `      <trkpt lat="${fmtCoord(lat)}" lon="${fmtCoord(lng)}">${ele(z)}</trkpt>`)
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="BikeSafe" xmlns="http://www.topografix.com/GPX/1/1">',
+    `  <metadata><name>${xmlEscape(name)}</name></metadata>`,
+    ...wpts,
+    '  <trk>',
+    `    <name>${xmlEscape(name)}</name>`,
+    '    <trkseg>',
+    ...trkpts,
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>',
+    '',
+  ].join('\n')
+}
+
+/**
+ * TCX course with CoursePoints for each cue.
+ * Courses require timestamps, so times are synthesized from `speedKph`
+ * starting at `startTime`.
+ */
+export const toTCX = (feature, steps = [], { name = 'BikeSafe route', speedKph = 18, startTime = new Date() } = {}) => {
+  const coords = feature?.geometry?.coordinates || []
+  const cum = cumulativeMeters(coords)
+  const mps = Math.max(1, speedKph) / 3.6
+  const t0 = startTime.getTime()
+  const timeAt = (i) => new Date(t0 + (cum[i] / mps) * 1000).toISOString()
+  // <Name> in a course is limited to 15 characters by the schema
+  const courseName = xmlEscape(String(name).slice(0, 15))
+
+  const trackpoints = coords.map(([lng, lat, z], i) => [
+    '        <Trackpoint>',
+    `          <Time>${timeAt(i)}</Time>`,
+    `          <Position><LatitudeDegrees>${fmtCoord(lat)}</LatitudeDegrees><LongitudeDegrees>${fmtCoord(lng)}</LongitudeDegrees></Position>`,
+    Number.isFinite(z) ? `          <AltitudeMeters>${z.toFixed(1)}</AltitudeMeters>` : null,
+    `          <DistanceMeters>${cum[i].toFixed(1)}</DistanceMeters>`,
+    '        </Trackpoint>',
+  ].filter(Boolean).join('\n'))
+
+  const coursePoints = cuePoints(feature, steps).map(c => [
+    '      <CoursePoint>',
+    `        <Name>${xmlEscape(String(c.name && c.name !== '-' ? c.name : c.instruction).slice(0, 10))}</Name>`,
+    `        <Time>${timeAt(c.index)}</Time>`,
+    `        <Position><LatitudeDegrees>${fmtCoord(c.lat)}</LatitudeDegrees><LongitudeDegrees>${fmtCoord(c.lng)}</LongitudeDegrees></Position>`,
+    `        <PointType>${TCX_POINT_TYPE[c.type] || 'Generic'}</PointType>`,
+    `        <Notes>${xmlEscape(c.instruction)}</Notes>`,
+    '      </CoursePoint>',
+  ].join('\n'))
+
+  const totalS = (cum[cum.length - 1] || 0) / mps
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2">',
+    '  <Courses>',
+    '    <Course>',
+    `      <Name>${courseName}</Name>`,
+    '      <Lap>',
+    `        <TotalTimeSeconds>${totalS.toFixed(0)}</TotalTimeSeconds>`,
+    `        <DistanceMeters>${(cum[cum.length - 1] || 0).toFixed(1)}</DistanceMeters>`,
+    '        <Intensity>Active</Intensity>',
+    '      </Lap>',
+    '      <Track>',
+    ...trackpoints,
+    '      </Track>',
+    ...coursePoints,
+    '    </Course>',
+    '  </Courses>',
+    '</TrainingCenterDatabase>',
+    '',
+  ].join('\n')
+}
+
+/** Trigger a browser download of `text` as `filename`. */
+export const downloadText = (filename, text, mime = 'application/xml') => {
+  const blob = new Blob([text], { type: mime })
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url; a.download = filename
+  document.body.appendChild(a); a.click()
+  document.body.removeChild(a)
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
+
+// ---------------------------------------------------------------------------
+// Import
+// ---------------------------------------------------------------------------
+
+const num = (v) => { const n = parseFloat(v); return Number.isFinite(n) ? n : undefined }
+const point = (lng, lat, ele) => (ele === undefined ? [lng, lat] : [lng, lat, ele])
+const byTag = (root, tag) => Array.from(root.getElementsByTagNameNS('*', tag))
+const childText = (el, tag) => byTag(el, tag)[0]?.textContent?.trim()
+
+const parseGPX = (doc) => {
+  let pts = byTag(doc, 'trkpt')
+  if (!pts.length) pts = byTag(doc, 'rtept')
+  const coords = [], times = []
+  for (const p of pts) {
+    const c = point(num(p.getAttribute('lon')), num(p.getAttribute('lat')), num(childText(p, 'ele')))
+    if (c[0] === undefined || c[1] === undefined) continue
+    const t = Date.parse(childText(p, 'time') || '')
+    coords.push(c)
+    times.push(Number.isFinite(t) ? t : null)
+  }
+  const name = childText(byTag(doc, 'trk')[0] || byTag(doc, 'rte')[0] || doc, 'name')
+  return { name, coords, times }
+}
+
+const parseKML = (doc) => {
+  const coords = []
+  // classic <LineString><coordinates>lng,lat[,alt] …</coordinates>
+  for (const ls of byTag(doc, 'LineString')) {
+    for (const tuple of (childText(ls, 'coordinates') || '').split(/\s+/)) {
+      const [lng, lat, ele] = tuple.split(',').map(num)
+      if (lng !== undefined && lat !== undefined) coords.push(point(lng, lat, ele))
+    }
+  }
+  // Google Earth <gx:Track><gx:coord>lng lat alt</gx:coord>
+  if (!coords.length) {
+    for (const c of byTag(doc, 'coord')) {
+      const [lng, lat, ele] = c.textContent.trim().split(/\s+/).map(num)
+      if (lng !== undefined && lat !== undefined) coords.push(point(lng, lat, ele))
+    }
+  }
+  const name = childText(byTag(doc, 'Placemark')[0] || doc, 'name')
+  return { name, coords }
+}
+
+const parseGeoJSON = (json) => {
+  const feats = json?.type === 'FeatureCollection' ? json.features || []
+    : json?.type === 'Feature' ? [json]
+    : [{ type: 'Feature', properties: {}, geometry: json }]
+  for (const f of feats) {
+    const g = f?.geometry
+    const lines = g?.type === 'LineString' ? [g.coordinates]
+      : g?.type === 'MultiLineString' ? g.coordinates
+      : []
+    const coords = lines.flat().filter(c => Number.isFinite(c?.[0]) && Number.isFinite(c?.[1]))
+    if (coords.length >= 2) return { name: f.properties?.name, coords }
+  }
+  return { name: undefined, coords: [] }
+}
+
+/**
+ * Parse a GPX, KML or GeoJSON track. Format is picked from the file
+ * extension, falling back to sniffing the content.
+ * Returns { name, coords } with coords as [lng, lat, ele?]; throws when the
+ * file has fewer than two usable points. GPX also gives `times`, epoch ms
+ * per coordinate (null where a point has no <time>).
+ */
+export const parseTrack = (text, filename = '') => {
+  const ext = String(filename).toLowerCase().split('.').pop()
+  const body = String(text || '').trim()
+  let out
+  if (ext === 'geojson' || ext === 'json' || body.startsWith('{')) {
+    let json
+    try { json = JSON.parse(body) } catch { throw new Error('Could not read GeoJSON file') }
+    out = parseGeoJSON(json)
+  } else {
+    const doc = new DOMParser().parseFromString(body, 'application/xml')
+    if (doc.getElementsByTagName('parsererror').length) throw new Error('Could not read track file')
+    const root = doc.documentElement?.localName
+    if (root === 'gpx') out = parseGPX(doc)
+    else if (root === 'kml') out = parseKML(doc)
+    else throw new Error('Unsupported track format (use GPX, GeoJSON or KML)')
+  }
+  if (out.coords.length < 2) throw new Error('No track points found in file')
+  return out
+}
+
+/**
+ * Pick at most `maxPoints` coordinates evenly spaced by distance along the
+ * track, always keeping the first and last point.
+ */
+export const sampleTrack = (coords, maxPoints = 50) => {
+  if (coords.length <= maxPoints) return coords
+  const cum = cumulativeMeters(coords)
+  const total = cum[cum.length - 1]
+  const out = [coords[0]]
+  let j = 1
+  for (let k = 1; k < maxPoints - 1; k++) {
+    const target = (total * k) / (maxPoints - 1)
+    while (j < coords.length - 1 && cum[j] < target) j++
+    if (coords[j] !== out[out.length - 1]) out.push(coords[j])
+  }
+  out.push(coords[coords.length - 1])
+  return out
+}
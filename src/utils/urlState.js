@@ -0,0 +1,201 @@
+/**
+ * urlState.js — Encode / decode BikeSafe plans and shared routes in the URL.
+ *
+ * Everything lives in the hash because GitHub Pages can't rewrite paths;
+ * public/404.html already forwards `/plan?o=…` links there.
+ *
+ * Plan (`#plan?…`, editable — rebuilt by routing again):
+ *   o=lat,lng          origin
+ *   d=lat,lng          destination
+ *   v=lat,lng          via point (repeated, in order)
+ *   r=safest           selected route tag (r=loop:2 for the second loop)
+ *   loop=25km          round-trip target instead of a destination (km | min)
+ *   map=zoom/lat/lng   map view
+ *
+ * Shared route (`#view?…`, read-only — carries the geometry itself):
+ *   r=safest           route tag
+ *   p=…                encoded polyline with elevation
+ *   k=12lr3hp…         risk runs: <edge count><risk l|m|h><infra letter>
+ */
+
+import { encodePolyline, decodePolyline, simplifyIndices } from './polyline.js'
+
+export const ROUTE_TAGS = ['shortest', 'safest', 'long']
+
+// loops have no tag of their own, so a plan keeps the selected one by number
+const LOOP_TAG = /^loop:([1-9]\d*)$/
+const isPlanTag = (tag) => ROUTE_TAGS.includes(tag) || LOOP_TAG.test(tag)
+
+/** Loop number of a `loop:<n>` plan tag, or null. */
+export const loopNumber = (tag) => {
+  const m = String(tag || '').match(LOOP_TAG)
+  return m ? Number(m[1]) : null
+}
+
+/** Tag that reselects a route when its plan is reopened: its own, or `loop:<n>`. */
+export const planTag = (feature) => {
+  const p = feature?.properties || {}
+  return p._tag === 'loop' && p._loop ? `loop:${p._loop}` : p._tag
+}
+
+const PREC = 5
+
+const fmtLatLng = (c) => `${(+c.lat).toFixed(PREC)},${(+c.lng).toFixed(PREC)}`
+
+const parseLatLng = (s) => {
+  const [lat, lng] = String(s || '').split(',').map(Number)
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null
+  if (lat < -90 || lat > 90 || lng < -180 || lng > 180) return null
+  return { lng, lat }
+}
+
+const parseLoop = (s) => {
+  const m = String(s || '').match(/^(\d+(?:\.\d+)?)(km|min)$/)
+  return m ? { value: Number(m[1]), unit: m[2] } : null
+}
+
+const parseView = (s) => {
+  const [zoom, lat, lng] = String(s || '').split('/').map(Number)
+  if (![zoom, lat, lng].every(Number.isFinite)) return null
+  if (lat < -90 || lat > 90 || lng < -180 || lng > 180) return null
+  return { zoom: Math.max(0, Math.min(22, zoom)), lat, lng }
+}
+
+/** Query string (without `?`) for a plan; empty when there's nothing to keep. */
+export const encodePlan = ({ origin, dest, vias = [], tag, loop, view } = {}) => {
+  // values are digits, signs, dots, commas and slashes — all legal in a fragment
+  const parts = []
+  if (origin) parts.push(`o=${fmtLatLng(origin)}`)
+  for (const v of vias) if (v) parts.push(`v=${fmtLatLng(v)}`)
+  if (dest) parts.push(`d=${fmtLatLng(dest)}`)
+  if (tag && isPlanTag(tag)) parts.push(`r=${tag}`)
+  if (loop && Number(loop.value) > 0) parts.push(`loop=${+Number(loop.value).toFixed(1)}${loop.unit === 'min' ? 'min' : 'km'}`)
+  if (view) parts.push(`map=${(+view.zoom).toFixed(2)}/${(+view.lat).toFixed(PREC)}/${(+view.lng).toFixed(PREC)}`)
+  return parts.join('&')
+}
+
+/**
+ * Read a plan from a location. Accepts `#plan?…`, `#/plan?…`, `#?…` and a
+ * plain `?…` query. Returns { origin, dest, vias, tag, loop, view } with nulls
+ * for anything missing or malformed.
+ */
+export const decodePlan = (loc = window.location) => {
+  const hash = String(loc.hash || '').replace(/^#/, '')
+  const q = hash.includes('?') ? hash.slice(hash.indexOf('?') + 1) : hash.includes('=') ? hash : ''
+  const params = new URLSearchParams(loc.search || '')
+  for (const [k, v] of new URLSearchParams(q)) params.append(k, v)
+
+  const tag = params.get('r')
+  return {
+    origin: parseLatLng(params.get('o')),
+    dest:   parseLatLng(params.get('d')),
+    vias:   params.getAll('v').map(parseLatLng).filter(Boolean),
+    tag:    isPlanTag(tag) ? tag : null,
+    loop:   parseLoop(params.get('loop')),
+    view:   parseView(params.get('map')),
+  }
+}
+
+/** Absolute link that reopens the plan in BikeSafe. */
+export const planLink = (plan, loc = window.location) => {
+  const q = encodePlan(plan)
+  return `${loc.origin}${loc.pathname}${q ? `#plan?${q}` : ''}`
+}
+
+/** Mirror the plan into the address bar without adding history entries. */
+export const writePlanToUrl = (plan) => {
+  const q = encodePlan(plan)
+  const next = `${window.location.pathname}${window.location.search}${q ? `#plan?${q}` : ''}`
+  if (next !== `${window.location.pathname}${window.location.search}${window.location.hash}`)
+    window.history.replaceState(window.history.state, '', next)
+}
+
+// ---------------------------------------------------------------------------
+// Shared (read-only) routes
+// ---------------------------------------------------------------------------
+
+export const TAG_LABELS = { shortest: 'Shortest', safest: 'Safest', long: 'Long & Scenic', loop: 'Loop', imported: 'Imported track' }
+export const tagLabel = (tag) => (loopNumber(tag) ? `Loop ${loopNumber(tag)}` : TAG_LABELS[tag] || tag)
+
+const INFRA_CODE = {
+  separated_path: 's', buffered_lane: 'b', painted_lane: 'p',
+  shared_road: 'r', off_road: 'o', restricted: 'x',
+}
+const INFRA_FROM_CODE = Object.fromEntries(Object.entries(INFRA_CODE).map(([k, v]) => [v, k]))
+const RISK_CODE = { low: 'l', med: 'm', high: 'h' }
+const RISK_FROM_CODE = { l: 'low', m: 'med', h: 'high' }
+
+// keeps the link scannable as a QR code on a phone screen
+const SHARE_BUDGET = 1500
+
+/**
+ * Query string (without `?`) for a read-only shared route. The geometry is
+ * simplified until it fits the QR budget; risk bands from `riskFC` are
+ * re-projected onto the kept vertices as run-length codes.
+ */
+export const encodeSharedRoute = (feature, riskFC, tag) => {
+  const coords = feature?.geometry?.coordinates || []
+  if (coords.length < 2) return ''
+  const bandAt = (i) => (riskFC?.features || []).find(f =>
+    i >= (f.properties?.sIndex ?? 0) && i < (f.properties?.eIndex ?? 0))?.properties
+
+  let tol = 2, q = ''
+  for (let attempt = 0; attempt < 14; attempt++, tol *= 1.6) {
+    const keep = simplifyIndices(coords, tol)
+    const p = encodePolyline(keep.map(i => coords[i]), { elevation: true })
+
+    let k = '', run = 0, code = null
+    for (let j = 1; j < keep.length; j++) {
+      const b = bandAt(Math.floor((keep[j - 1] + keep[j]) / 2))
+      const c = `${RISK_CODE[b?.risk] || 'l'}${INFRA_CODE[b?.infraType] || 'r'}`
+      if (c === code) run++
+      else { if (code) k += `${run}${code}`; code = c; run = 1 }
+    }
+    if (code) k += `${run}${code}`
+
+    q = `r=${encodeURIComponent(tag || 'route')}&p=${encodeURIComponent(p)}&k=${k}`
+    if (q.length <= SHARE_BUDGET) break
+  }
+  return q
+}
+
+/**
+ * Read a shared route from `#view?…`. Returns { tag, feature, riskFC } where
+ * riskFC mirrors toRiskFCRaw's shape (without per-segment reasons), or null
+ * when the location isn't a shared-route link or the payload is damaged.
+ */
+export const decodeSharedRoute = (loc = window.location) => {
+  const hash = String(loc.hash || '').replace(/^#\/?/, '')
+  if (!hash.startsWith('view?')) return null
+  const params = new URLSearchParams(hash.slice(5))
+  let coords
+  try { coords = decodePolyline(params.get('p'), { elevation: true }) } catch { return null }
+  if (coords.length < 2) return null
+  const tag = TAG_LABELS[params.get('r')] ? params.get('r') : null
+
+  const features = []
+  let s = 0
+  for (const [, n, r, inf] of String(params.get('k') || '').matchAll(/(\d+)([lmh])([a-z])/g)) {
+    const e = Math.min(coords.length - 1, s + Number(n))
+    if (e <= s) break
+    features.push({
+      type: 'Feature',
+      properties: { rid: features.length, risk: RISK_FROM_CODE[r], infraType: INFRA_FROM_CODE[inf] || 'shared_road', sIndex: s, eIndex: e, why: '' },
+      geometry: { type: 'LineString', coordinates: coords.slice(s, e + 1) },
+    })
+    s = e
+  }
+
+  const feature = {
+    type: 'Feature',
+    properties: { _label: `Shared: ${TAG_LABELS[tag] || 'Route'}`, _tag: tag, _shared: true },
+    geometry: { type: 'LineString', coordinates: coords },
+  }
+  return { tag, feature, riskFC: { type: 'FeatureCollection', features } }
+}
+
+/** Absolute link that opens a read-only view of this exact route. */
+export const sharedRouteLink = (feature, riskFC, loc = window.location) => {
+  const q = encodeSharedRoute(feature, riskFC, feature?.properties?._tag)
+  return q ? `${loc.origin}${loc.pathname}#view?${q}` : ''
+}
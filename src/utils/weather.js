@@ -0,0 +1,92 @@
+/**
+ * weather.js — Current weather behind a small provider adapter.
+ *
+ * A provider is { id, label, current({ lng, lat }) } resolving to an
+ * observation:
+ *
+ *   { tempC, precipMm, snowCm, windKph, windFromDeg, code, summary, observedAt }
+ *
+ * `code` is a WMO weather code when the source has one. Picked at build
+ * time with VITE_WEATHER_PROVIDER:
+ *   open-meteo (default)  api.open-meteo.com, no key needed
+ *   local                 reads public/fixtures/weather.json — a stand-in for
+ *                         offline work and demos; edit it to try conditions
+ */
+
+import { http } from './http.js'
+
+export const WEATHER_PROVIDERS = ['open-meteo', 'local']
+
+// WMO weather codes (as used by Open-Meteo)
+const WMO_SUMMARY = {
+  0: 'Clear', 1: 'Mainly clear', 2: 'Partly cloudy', 3: 'Overcast', 45: 'Fog', 48: 'Freezing fog',
+  51: 'Light drizzle', 53: 'Drizzle', 55: 'Heavy drizzle', 56: 'Freezing drizzle', 57: 'Freezing drizzle',
+  61: 'Light rain', 63: 'Rain', 65: 'Heavy rain', 66: 'Freezing rain', 67: 'Freezing rain',
+  71: 'Light snow', 73: 'Snow', 75: 'Heavy snow', 77: 'Snow grains',
+  80: 'Rain showers', 81: 'Rain showers', 82: 'Violent rain showers', 85: 'Snow showers', 86: 'Snow showers',
+  95: 'Thunderstorm', 96: 'Thunderstorm with hail', 99: 'Thunderstorm with hail',
+}
+const FROZEN_CODES = new Set([48, 56, 57, 66, 67, 71, 73, 75, 77, 85, 86])
+const WET_CODES = new Set([51, 53, 55, 61, 63, 65, 80, 81, 82, 95, 96, 99])
+
+const COMPASS = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW']
+
+/** 16-point compass name for a direction in degrees, e.g. 250 → 'WSW'. */
+export const compassPoint = (deg) => COMPASS[Math.round((((+deg % 360) + 360) % 360) / 22.5) % 16]
+
+const num = (v, dflt = null) => (Number.isFinite(+v) && v !== null && v !== '' ? +v : dflt)
+
+/** Riding condition id for scoring (see CONDITIONS in scoring.js): dry, wet or snow. */
+export const conditionFromWeather = (obs) => {
+  if (!obs) return 'dry'
+  const precip = obs.precipMm ?? 0
+  if ((obs.snowCm ?? 0) > 0 || FROZEN_CODES.has(obs.code) || (precip > 0 && (obs.tempC ?? 10) <= 0)) return 'snow'
+  if (precip > 0 || WET_CODES.has(obs.code)) return 'wet'
+  return 'dry'
+}
+
+const normalize = (o) => ({
+  tempC: num(o.tempC),
+  precipMm: num(o.precipMm, 0),
+  snowCm: num(o.snowCm, 0),
+  windKph: num(o.windKph, 0),
+  windFromDeg: num(o.windFromDeg, 0),
+  code: num(o.code),
+  summary: o.summary || WMO_SUMMARY[num(o.code)] || '',
+  observedAt: o.observedAt || new Date().toISOString(),
+})
+
+export const createOpenMeteoProvider = ({ baseUrl = 'https://api.open-meteo.com' } = {}) => ({
+  id: 'open-meteo',
+  label: 'Open-Meteo',
+  current: async ({ lng, lat }) => {
+    const params = new URLSearchParams({
+      latitude: lat.toFixed(3), longitude: lng.toFixed(3), wind_speed_unit: 'kmh',
+      current: 'temperature_2m,precipitation,snowfall,weather_code,wind_speed_10m,wind_direction_10m',
+    })
+    const res = await http(`${baseUrl}/v1/forecast?${params}`, { headers: { accept: 'application/json' } }, 10000)
+    if (!res.ok) throw new Error(`Weather service error (${res.status})`)
+    const c = (await res.json())?.current || {}
+    return normalize({
+      tempC: c.temperature_2m, precipMm: c.precipitation, snowCm: c.snowfall, code: c.weather_code,
+      windKph: c.wind_speed_10m, windFromDeg: c.wind_direction_10m, observedAt: c.time,
+    })
+  },
+})
+
+export const createLocalWeatherProvider = ({ url } = {}) => ({
+  id: 'local',
+  label: 'Local weather file',
+  current: async () => {
+    const res = await http(url, { headers: { accept: 'application/json' } }, 5000)
+    if (!res.ok) throw new Error('No local weather file (public/fixtures/weather.json)')
+    return normalize(await res.json())
+  },
+})
+
+export const createWeatherProvider = (env = import.meta.env) => {
+  const kind = String(env.VITE_WEATHER_PROVIDER || 'open-meteo').toLowerCase()
+  if (kind === 'local') return createLocalWeatherProvider({ url: `${env.BASE_URL || '/'}fixtures/weather.json` })
+  if (kind !== 'open-meteo') console.warn(`[weather] unknown provider "${kind}", using Open-Meteo`)
+  return createOpenMeteoProvider({ baseUrl: env.VITE_WEATHER_URL || undefined })
+}
@@ -1,5 +1,28 @@
 import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
+import { mkdirSync, writeFileSync } from 'node:fs'
+import { resolve } from 'node:path'
+
+// Dev server only: with VITE_ROUTING_RECORD set, the app posts every live
+// routing response here and it is saved for the fixture backend to replay.
+const recordRoutingFixtures = () => ({
+  name: 'bikesafe-record-routing-fixtures',
+  apply: 'serve',
+  configureServer(server) {
+    const dir = resolve(server.config.publicDir, 'fixtures/routing')
+    server.middlewares.use('/__routing-fixtures', (req, res) => {
+      const name = (req.url || '').replace(/^\//, '')
+      if (req.method !== 'POST' || !/^[a-z]+-[0-9a-f]{8}\.json$/.test(name)) { res.statusCode = 400; res.end(); return }
+      let body = ''
+      req.on('data', (c) => { body += c })
+      req.on('end', () => {
+        mkdirSync(dir, { recursive: true })
+        writeFileSync(resolve(dir, name), body)
+        res.statusCode = 204; res.end()
+      })
+    })
+  },
+})
 
 export default defineConfig(({ mode }) => {
   const env = loadEnv(mode, process.cwd(), '')
@@ -8,7 +31,7 @@ export default defineConfig(({ mode }) => {
 
   return {
     base: '/', // user site lives at root
-    plugins: [react()],
+    plugins: [react(), ...(env.VITE_ROUTING_RECORD ? [recordRoutingFixtures()] : [])],
     server: {
       proxy: {
         '/ors': {